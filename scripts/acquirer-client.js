@@ -2,8 +2,10 @@
 
 const net = require('net');
 const process = require('process');
-const { buildIso8583Message } = require('../src/iso8583/builder');
-const { parseIso8583Message } = require('../src/iso8583/parser');
+const { Iso8583Codec } = require('../src/iso8583/codec');
+const { normalizeFraming, encodeFrame, readFrames } = require('../src/framing');
+
+const isoCodec = new Iso8583Codec();
 
 function pad(value, length) {
   return `${value}`.padStart(length, '0');
@@ -25,6 +27,19 @@ function parseArgs(argv) {
   return args;
 }
 
+// --framing binary2|ascii4, --length-includes-header and --tpdu <10 hex>
+// match the framing configured for the link on the switch.
+function getFraming(args) {
+  return normalizeFraming(
+    {
+      length: args.framing ?? 'binary2',
+      lengthIncludesHeader: args['length-includes-header'] === true,
+      tpdu: args.tpdu ?? null,
+    },
+    'Framing',
+  );
+}
+
 function isoDateParts() {
   const now = new Date();
   const utc = new Date(now.getTime() + now.getTimezoneOffset() * 60000);
@@ -48,8 +63,6 @@ function build0100(fieldsOverride = {}) {
     `${nowParts.de13}${nowParts.de12}${pad(Math.floor(Math.random() * 100), 2)}`.slice(0, 12);
 
   const counterpart = fieldsOverride[103] ?? '2001070006085';
-  const de48 =
-    fieldsOverride[48] ?? `8480${pad(counterpart.length, 2)}${counterpart}`;
 
   const fields = {
     2: '0000950000000000',
@@ -68,15 +81,15 @@ function build0100(fieldsOverride = {}) {
     41: '90200151',
     42: 'AL-ARAFAH BANK ',
     43: 'aibl i-banking           DHAKA        BD',
-    47: '9270132001070006085',
-    48: de48,
+    47: { counterpartAccount: '2001070006085' },
+    48: { paymentServiceCode: counterpart },
     49: '050',
     103: counterpart,
-    112: '    TWHAT_TRX  TIBFTA2A',
+    112: { parameterName: 'TWHAT_TRX', transactionType: 'TIBFTA2A' },
     ...fieldsOverride,
   };
 
-  return buildIso8583Message({ mti: '0100', fields });
+  return isoCodec.pack({ mti: '0100', fields });
 }
 
 (async function main() {
@@ -92,9 +105,14 @@ function build0100(fieldsOverride = {}) {
     process.exit(1);
   }
 
-  const header = Buffer.alloc(2);
-  header.writeUInt16BE(message.length);
-  const payload = Buffer.concat([header, message]);
+  let framing;
+  try {
+    framing = getFraming(args);
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+  const payload = encodeFrame(framing, message);
 
   console.log(`Connecting to switch at ${host}:${port}`);
   const socket = net.createConnection({ host, port }, () => {
@@ -102,11 +120,14 @@ function build0100(fieldsOverride = {}) {
     socket.write(payload);
   });
 
+  let received = Buffer.alloc(0);
   socket.on('data', (chunk) => {
     console.log(`Received response (${chunk.length} bytes): ${chunk.toString('hex')}`);
+    const { messages, remaining } = readFrames(framing, Buffer.concat([received, chunk]));
+    received = remaining;
+    if (messages.length === 0) return;
     try {
-      const withoutHeader = chunk.slice(2);
-      const parsed = parseIso8583Message(withoutHeader);
+      const parsed = isoCodec.unpack(messages[0]);
       console.log('Parsed response:', parsed);
     } catch (error) {
       console.warn('Failed to parse response:', error.message);
@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+
+/**
+ * Maintains the switch's encrypted software key store.
+ *
+ * Examples:
+ *   NPSB_KEYSTORE_PASSPHRASE=secret node scripts/keystore.js set-zmk --link ISSUER_A \
+ *     --components 0123456789ABCDEFFEDCBA9876543210,11111111111111112222222222222222
+ *   NPSB_KEYSTORE_PASSPHRASE=secret node scripts/keystore.js set-imk --bin 476173 \
+ *     --imk 0123456789ABCDEFFEDCBA9876543210 --scheme CVN10
+ *   NPSB_KEYSTORE_PASSPHRASE=secret node scripts/keystore.js list
+ */
+
+const process = require('process');
+const { KeyStore } = require('../src/security/key-store');
+const { xorBuffers, toKeyBuffer, calculateCheckValue } = require('../src/security/crypto');
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 1) {
+    const key = argv[i];
+    if (!key.startsWith('--')) continue;
+    const next = argv[i + 1];
+    if (next == null || next.startsWith('--')) {
+      args[key.slice(2)] = true;
+    } else {
+      args[key.slice(2)] = next;
+      i += 1;
+    }
+  }
+  return args;
+}
+
+function combineComponents(components) {
+  return components
+    .map((component) => toKeyBuffer(component))
+    .reduce((combined, component) => xorBuffers(combined, component))
+    .toString('hex')
+    .toUpperCase();
+}
+
+(function main() {
+  const [command] = process.argv.slice(2);
+  const args = parseArgs(process.argv.slice(3));
+  const file = args.file ?? process.env.NPSB_KEYSTORE_FILE ?? 'data/keystore.enc';
+  const passphrase = process.env.NPSB_KEYSTORE_PASSPHRASE;
+
+  if (!passphrase) {
+    console.error('NPSB_KEYSTORE_PASSPHRASE must be set');
+    process.exit(1);
+  }
+
+  let keyStore;
+  try {
+    keyStore = new KeyStore(file, passphrase).load();
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  if (command === 'set-zmk') {
+    if (!args.link || (!args.zmk && !args.components)) {
+      console.error('Usage: keystore.js set-zmk --link NAME (--zmk HEX | --components HEX,HEX[,HEX])');
+      process.exit(1);
+    }
+
+    const components = args.components ? `${args.components}`.split(',') : [];
+    components.forEach((component, index) => {
+      console.log(`Component ${index + 1} KCV: ${calculateCheckValue(component)}`);
+    });
+
+    const zmk = args.zmk ?? combineComponents(components);
+    const checkValue = keyStore.setZmk(args.link, zmk);
+    keyStore.save();
+    console.log(`ZMK for ${args.link} stored in ${file} (KCV ${checkValue})`);
+    return;
+  }
+
+  if (command === 'set-imk') {
+    if (!args.bin || !args.imk) {
+      console.error('Usage: keystore.js set-imk --bin PREFIX --imk HEX [--scheme CVN10|CSK]');
+      process.exit(1);
+    }
+
+    const checkValue = keyStore.setIssuerMasterKey(`${args.bin}`, args.imk, args.scheme ?? 'CVN10');
+    keyStore.save();
+    console.log(`Issuer master key for BIN ${args.bin} stored in ${file} (KCV ${checkValue})`);
+    return;
+  }
+
+  if (command === 'list') {
+    console.log(JSON.stringify(keyStore.describe(), null, 2));
+    const issuerMasterKeys = keyStore.describeIssuerMasterKeys();
+    if (issuerMasterKeys.length > 0) {
+      console.log(JSON.stringify(issuerMasterKeys, null, 2));
+    }
+    return;
+  }
+
+  console.error('Usage: keystore.js <set-zmk|set-imk|list> [--file PATH]');
+  process.exit(1);
+})();
@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+
+/**
+ * Inspects and resolves the switch's store-and-forward queue. A running
+ * switch picks up changes on its next SAF pass.
+ *
+ * Examples:
+ *   node scripts/saf.js counts
+ *   node scripts/saf.js list --status manual
+ *   node scripts/saf.js retry --id 2f1c...   (re-queue with a fresh retry budget)
+ *   node scripts/saf.js resolve --id 2f1c... (drop after settling it by hand)
+ */
+
+const process = require('process');
+const { SafQueue } = require('../src/saf-queue');
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 1) {
+    const key = argv[i];
+    if (!key.startsWith('--')) continue;
+    const next = argv[i + 1];
+    if (next == null || next.startsWith('--')) {
+      args[key.slice(2)] = true;
+    } else {
+      args[key.slice(2)] = next;
+      i += 1;
+    }
+  }
+  return args;
+}
+
+(function main() {
+  const [command] = process.argv.slice(2);
+  const args = parseArgs(process.argv.slice(3));
+  const file = args.file ?? process.env.NPSB_SAF_FILE ?? 'data/saf-queue.json';
+
+  let safQueue;
+  try {
+    safQueue = new SafQueue(file).load();
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  if (command === 'counts') {
+    console.log(JSON.stringify(safQueue.counts(), null, 2));
+    return;
+  }
+
+  if (command === 'list') {
+    const entries = safQueue.entries
+      .filter((entry) => !args.status || entry.status === args.status)
+      .filter((entry) => !args.destination || entry.destination === args.destination)
+      .map(({ id, destination, mti, status, attempts, reason, createdAt, lastAttemptAt, fields }) => ({
+        id,
+        destination,
+        mti,
+        stan: fields[11],
+        status,
+        attempts,
+        reason,
+        createdAt,
+        lastAttemptAt,
+      }));
+    console.log(JSON.stringify(entries, null, 2));
+    return;
+  }
+
+  if (command === 'retry' || command === 'resolve') {
+    if (!args.id) {
+      console.error(`Usage: saf.js ${command} --id ID`);
+      process.exit(1);
+    }
+
+    const entry = command === 'retry' ? safQueue.requeue(args.id) : safQueue.resolve(args.id);
+    if (!entry) {
+      console.error(`No SAF entry ${args.id} in ${file}`);
+      process.exit(1);
+    }
+    console.log(
+      command === 'retry'
+        ? `Re-queued ${entry.mti} STAN ${entry.fields[11]} for ${entry.destination ?? 'any issuer'}`
+        : `Resolved ${entry.mti} STAN ${entry.fields[11]}, removed from ${file}`,
+    );
+    return;
+  }
+
+  console.error('Usage: saf.js <counts|list|retry|resolve> [--file PATH] [--status STATUS] [--destination NAME]');
+  process.exit(1);
+})();
@@ -10,7 +10,10 @@
  */
 
 const net = require('net');
-const { buildIso8583Message } = require('../src/iso8583/builder');
+const { Iso8583Codec } = require('../src/iso8583/codec');
+const { normalizeFraming, encodeFrame } = require('../src/framing');
+
+const isoCodec = new Iso8583Codec();
 
 function parseArgs(argv) {
   const args = {};
@@ -20,15 +23,37 @@ function parseArgs(argv) {
     const value = argv[i + 1];
     if (value == null || value.startsWith('--')) {
       args[key.slice(2)] = true;
-      i -= 1;
     } else {
       args[key.slice(2)] = value;
-      i += 0;
+      i += 1;
     }
   }
   return args;
 }
 
+// --framing binary2|ascii4, --length-includes-header and --tpdu <10 hex>
+// match the framing configured for the link on the switch.
+function getFraming(args) {
+  return normalizeFraming(
+    {
+      length: args.framing ?? 'binary2',
+      lengthIncludesHeader: args['length-includes-header'] === true,
+      tpdu: args.tpdu ?? null,
+    },
+    'Framing',
+  );
+}
+
+// --additionalInfo may still be the legacy fixed-width DE112 text
+// ('    TWHAT_TRX  TIBFTA2A'): the parameter name and transaction type words.
+function parseAdditionalInfo(text) {
+  const words = typeof text === 'string' ? text.trim().split(/\s+/).filter(Boolean) : [];
+  if (words.length === 0 || words.length > 2) {
+    throw new Error(`--additionalInfo must be "[PARAMETER_NAME] TRANSACTION_TYPE", got "${text}"`);
+  }
+  return { parameterName: words.length === 2 ? words[0] : 'TWHAT_TRX', transactionType: words[words.length - 1] };
+}
+
 function pad(value, length) {
   return value.toString().padStart(length, '0');
 }
@@ -48,18 +73,6 @@ function currentDateTime() {
   };
 }
 
-function buildField47(counterpartAccount) {
-  if (!counterpartAccount) return undefined;
-  const len = pad(counterpartAccount.length, 2);
-  return `9270${len}${counterpartAccount}`;
-}
-
-function buildField48(counterpartAccount) {
-  if (!counterpartAccount) return undefined;
-  const len = pad(counterpartAccount.length, 2);
-  return `8480${len}${counterpartAccount}`;
-}
-
 (async function main() {
   const argv = parseArgs(process.argv.slice(2));
 
@@ -86,7 +99,18 @@ function buildField48(counterpartAccount) {
     argv.cardAcceptorName ?? 'aibl i-banking           DHAKA        BD';
 
   const counterpart = argv.counterpart ?? '2001070006085';
-  const additionalInfo = argv.additionalInfo ?? '    TWHAT_TRX  TIBFTA2A';
+  let additionalInfo = {
+    parameterName: 'TWHAT_TRX',
+    transactionType: argv.transactionType ?? 'TIBFTA2A',
+  };
+  if (argv.additionalInfo !== undefined) {
+    try {
+      additionalInfo = parseAdditionalInfo(argv.additionalInfo);
+    } catch (error) {
+      console.error(error.message);
+      process.exit(1);
+    }
+  }
   const currencyCode = argv.currency ?? '050';
 
   const fields = {
@@ -106,8 +130,8 @@ function buildField48(counterpartAccount) {
     41: terminalId,
     42: cardAcceptorId,
     43: cardAcceptorName,
-    47: argv.field47 ?? buildField47(counterpart),
-    48: argv.field48 ?? buildField48(counterpart),
+    47: argv.field47 ?? { counterpartAccount: counterpart },
+    48: argv.field48 ?? { paymentServiceCode: counterpart },
     49: currencyCode,
     103: counterpart,
     112: additionalInfo,
@@ -120,15 +144,20 @@ function buildField48(counterpartAccount) {
 
   let message;
   try {
-    message = buildIso8583Message({ mti: '0100', fields });
+    message = isoCodec.pack({ mti: '0100', fields });
   } catch (error) {
     console.error('Failed to build ISO8583 message:', error.message);
     process.exit(1);
   }
 
-  const header = Buffer.alloc(2);
-  header.writeUInt16BE(message.length);
-  const payload = Buffer.concat([header, message]);
+  let framing;
+  try {
+    framing = getFraming(argv);
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+  const payload = encodeFrame(framing, message);
 
   console.log(`Connecting to ${host}:${port}`);
   const socket = net.createConnection({ host, port }, () => {
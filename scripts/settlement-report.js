@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+
+/**
+ * Writes the end-of-day settlement files (CSV and fixed-width) for each
+ * participant from the switch's transaction journal. The date defaults to
+ * the last settlement date closed by cutover.
+ *
+ * Examples:
+ *   node scripts/settlement-report.js
+ *   node scripts/settlement-report.js --date 2024-03-14 --participant ISSUER_A
+ *   node scripts/settlement-report.js --date 2024-03-14 --out /srv/finance --fees config/fees.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const process = require('process');
+const { TransactionJournal } = require('../src/journal');
+const { parseCutoverTime, getSettlementDate } = require('../src/settlement');
+const {
+  loadFeeSchedule,
+  buildSettlementReports,
+  formatCsv,
+  formatFixedWidth,
+  getReportFileName,
+} = require('../src/settlement-report');
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 1) {
+    const key = argv[i];
+    if (!key.startsWith('--')) continue;
+    const next = argv[i + 1];
+    if (next == null || next.startsWith('--')) {
+      args[key.slice(2)] = true;
+    } else {
+      args[key.slice(2)] = next;
+      i += 1;
+    }
+  }
+  return args;
+}
+
+function getLastClosedSettlementDate(cutoverTime) {
+  const current = getSettlementDate(parseCutoverTime(cutoverTime));
+  return new Date(Date.parse(current) - 86400000).toISOString().slice(0, 10);
+}
+
+(function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const journalFile = args.journal ?? process.env.NPSB_JOURNAL_FILE ?? 'data/journal.jsonl';
+  const feesFile = args.fees ?? process.env.NPSB_FEES_FILE ?? 'config/fees.json';
+  const cutoverTime = args.cutover ?? process.env.NPSB_CUTOVER_TIME ?? '18:00';
+  const outDir = args.out ?? process.env.NPSB_SETTLEMENT_REPORT_DIR ?? 'data/settlement-reports';
+
+  let reports;
+  let settlementDate;
+  try {
+    settlementDate = args.date ?? getLastClosedSettlementDate(cutoverTime);
+    reports = buildSettlementReports(new TransactionJournal(journalFile).loadTransactions(), {
+      settlementDate,
+      cutoverTime,
+      feeSchedule: loadFeeSchedule(feesFile),
+    });
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  const participants = args.participant ? [args.participant] : Object.keys(reports);
+  if (participants.length === 0) {
+    console.log(`No settled A2A/IBFT transactions for ${settlementDate} in ${journalFile}`);
+    return;
+  }
+
+  const dateDir = path.join(outDir, settlementDate);
+  fs.mkdirSync(dateDir, { recursive: true });
+  for (const participant of participants) {
+    const report = reports[participant];
+    if (!report) {
+      console.error(`No settlement activity for ${participant} on ${settlementDate}`);
+      process.exitCode = 1;
+      continue;
+    }
+
+    const csvFile = path.join(dateDir, getReportFileName(participant, 'csv'));
+    const textFile = path.join(dateDir, getReportFileName(participant, 'txt'));
+    fs.writeFileSync(csvFile, formatCsv(report));
+    fs.writeFileSync(textFile, formatFixedWidth(report));
+    const { transfers, reversals, net } = report.totals;
+    console.log(
+      `${participant} ${settlementDate}: ${transfers.count} transfers, ${reversals.count} reversals, ` +
+        `net ${net} -> ${csvFile}, ${textFile}`,
+    );
+  }
+})();
@@ -7,7 +7,7 @@ param(
   [string]$SettlementAmount,
   [string]$BillingAmount,
   [string]$CounterpartAccount = '2001070006085',
-  [string]$AdditionalInfo = '    TWHAT_TRX  TIBFTA2A',
+  [string]$AdditionalInfo,
   [string]$MerchantType = '6013',
   [string]$EntryMode = '012',
   [string]$AcquirerId = '000015',
@@ -16,7 +16,8 @@ param(
   [string]$CardAcceptorName = 'aibl i-banking           DHAKA        BD',
   [string]$CurrencyCode = '050',
   [string]$Stan,
-  [string]$Rrn
+  [string]$Rrn,
+  [string]$TransactionType = 'TIBFTA2A'
 )
 
 function New-Stan {
@@ -48,6 +49,12 @@ if (-not $Rrn) {
   $Rrn = New-Rrn -StanValue $Stan
 }
 
+# -AdditionalInfo takes the legacy fixed-width DE112 text ('    TWHAT_TRX  TIBFTA2A');
+# DE112 is now built from the transaction type, which is its last word.
+if ($AdditionalInfo) {
+  $TransactionType = ($AdditionalInfo.Trim() -split '\s+')[-1]
+}
+
 $settlement = if ($SettlementAmount) { $SettlementAmount } else { $Amount }
 $billing = if ($BillingAmount) { $BillingAmount } else { $Amount }
 
@@ -86,7 +93,7 @@ $arguments = @(
   '--cardAcceptorId', $CardAcceptorId,
   '--cardAcceptorName', $CardAcceptorName,
   '--counterpart', $CounterpartAccount,
-  '--additionalInfo', $AdditionalInfo,
+  '--transactionType', $TransactionType,
   '--currency', $CurrencyCode
 )
 
@@ -0,0 +1,141 @@
+// TCP framing for ISO 8583 links: how each message is delimited on the
+// socket. A frame is a length indicator, an optional 5-byte TPDU and the
+// message itself. The length is either 2 binary bytes (big-endian) or 4
+// ASCII digits and may count its own bytes; the TPDU, when configured, is
+// sent on every message and stripped from every message received.
+//
+// A length that is not digits, is too short for the TPDU or exceeds the
+// maximum frame size is garbage: the reader drops one byte at a time until it
+// finds a plausible length again instead of waiting on a bogus one.
+
+const LENGTH_FORMATS = {
+  binary2: 2,
+  ascii4: 4,
+};
+const TPDU_LENGTH = 5;
+
+const DEFAULT_FRAMING = {
+  length: 'binary2',
+  lengthIncludesHeader: false,
+  tpdu: null,
+  maxFrameSize: 8192,
+};
+
+// Validates a framing block (links.json "framing" or script options) and
+// fills in the defaults.
+function normalizeFraming(framing, label = 'Framing') {
+  if (framing == null) {
+    return DEFAULT_FRAMING;
+  }
+  if (typeof framing !== 'object') {
+    throw new Error(`${label} must be an object`);
+  }
+
+  const length = framing.length ?? DEFAULT_FRAMING.length;
+  if (!LENGTH_FORMATS[length]) {
+    throw new Error(`${label} length must be one of ${Object.keys(LENGTH_FORMATS).join(', ')}`);
+  }
+
+  let tpdu = null;
+  if (framing.tpdu != null && framing.tpdu !== false) {
+    if (!/^[0-9A-Fa-f]{10}$/.test(`${framing.tpdu}`)) {
+      throw new Error(`${label} tpdu must be ${TPDU_LENGTH} bytes of hex`);
+    }
+    tpdu = Buffer.from(`${framing.tpdu}`, 'hex');
+  }
+
+  const maxFrameSize =
+    framing.maxFrameSize != null ? parseInt(framing.maxFrameSize, 10) : DEFAULT_FRAMING.maxFrameSize;
+  const limit = length === 'binary2' ? 0xffff : 9999;
+  if (Number.isNaN(maxFrameSize) || maxFrameSize < 1 || maxFrameSize > limit) {
+    throw new Error(`${label} maxFrameSize must be between 1 and ${limit} for ${length} lengths`);
+  }
+
+  return {
+    length,
+    lengthIncludesHeader: framing.lengthIncludesHeader === true,
+    tpdu,
+    maxFrameSize,
+  };
+}
+
+function getHeaderLength(framing) {
+  return LENGTH_FORMATS[framing.length];
+}
+
+function encodeFrame(framing, message) {
+  const body = framing.tpdu ? Buffer.concat([framing.tpdu, message]) : message;
+  const headerLength = getHeaderLength(framing);
+  if (body.length > framing.maxFrameSize) {
+    throw new Error(`Message of ${body.length} bytes exceeds the ${framing.maxFrameSize} byte frame limit`);
+  }
+
+  const length = body.length + (framing.lengthIncludesHeader ? headerLength : 0);
+  let header;
+  if (framing.length === 'ascii4') {
+    header = Buffer.from(`${length}`.padStart(headerLength, '0'), 'ascii');
+  } else {
+    header = Buffer.alloc(headerLength);
+    header.writeUInt16BE(length);
+  }
+  return Buffer.concat([header, body]);
+}
+
+// The number of bytes after the length indicator, or null when the
+// indicator at the start of `buffer` cannot be a real one.
+function readBodyLength(framing, buffer) {
+  const headerLength = getHeaderLength(framing);
+  let length;
+  if (framing.length === 'ascii4') {
+    const digits = buffer.slice(0, headerLength).toString('latin1');
+    length = /^\d{4}$/.test(digits) ? parseInt(digits, 10) : NaN;
+  } else {
+    length = buffer.readUInt16BE(0);
+  }
+  if (framing.lengthIncludesHeader) {
+    length -= headerLength;
+  }
+
+  const minimum = framing.tpdu ? TPDU_LENGTH : 0;
+  if (Number.isNaN(length) || length < minimum || length > framing.maxFrameSize) {
+    return null;
+  }
+  return length;
+}
+
+// Splits complete messages off a receive buffer; returns { messages,
+// remaining, discarded } where discarded counts garbage bytes skipped.
+// Empty frames (length zero) are treated as keep-alives and dropped.
+function readFrames(framing, buffer) {
+  const headerLength = getHeaderLength(framing);
+  const messages = [];
+  let remaining = buffer;
+  let discarded = 0;
+
+  while (remaining.length >= headerLength) {
+    const bodyLength = readBodyLength(framing, remaining);
+    if (bodyLength === null) {
+      remaining = remaining.slice(1);
+      discarded += 1;
+      continue;
+    }
+    if (remaining.length < headerLength + bodyLength) break;
+
+    const body = remaining.slice(headerLength, headerLength + bodyLength);
+    remaining = remaining.slice(headerLength + bodyLength);
+    const message = framing.tpdu ? body.slice(TPDU_LENGTH) : body;
+    if (message.length > 0) {
+      messages.push(message);
+    }
+  }
+
+  return { messages, remaining, discarded };
+}
+
+module.exports = {
+  DEFAULT_FRAMING,
+  TPDU_LENGTH,
+  normalizeFraming,
+  encodeFrame,
+  readFrames,
+};
@@ -0,0 +1,272 @@
+// Client for the Thales-style HSM host protocol (see simulator.js). Requests
+// share one lazily opened connection and are matched by message header.
+// Failures carry a `code` mirroring NPS.c: HSM_UNAVAILABLE ("HSM NOT
+// AVAILABLE"), HSM_TIMEOUT ("Time Out Situation With HSM") and
+// HSM_MALFUNCTION ("HSM MALFUNCTION DETECTED"); HSM_RESPONSE_CODES maps them
+// onto DE39.
+
+const net = require('net');
+const { DEFAULT_DECIMALISATION_TABLE } = require('../security/card-verification');
+const { ERROR_CODES, KEY_TYPES, PIN_FORMAT_CODES, getResponseCommand, frame, readFrames } = require('./protocol');
+
+const HSM_RESPONSE_CODES = {
+  HSM_UNAVAILABLE: '91',
+  HSM_TIMEOUT: '91',
+  HSM_MALFUNCTION: '96',
+  INVALID_KEY: '96',
+  INVALID_PIN_BLOCK: '55',
+};
+
+const PIN_BLOCK_ERRORS = new Set([
+  ERROR_CODES.INVALID_PIN_BLOCK,
+  ERROR_CODES.INVALID_PIN_FORMAT,
+  ERROR_CODES.INVALID_PIN_LENGTH,
+]);
+const KEY_ERRORS = new Set([ERROR_CODES.SOURCE_KEY_PARITY, ERROR_CODES.DESTINATION_KEY_PARITY]);
+
+function hsmError(code, message, hsmErrorCode = null) {
+  const error = new Error(message);
+  error.code = code;
+  error.hsmErrorCode = hsmErrorCode;
+  return error;
+}
+
+// Account number field: 12 rightmost PAN digits excluding the check digit.
+function toAccountNumber(pan) {
+  const digits = `${pan ?? ''}`.replace(/\D/g, '');
+  return digits.slice(-13, -1).padStart(12, '0');
+}
+
+function throwForErrorCode(command, errorCode) {
+  if (PIN_BLOCK_ERRORS.has(errorCode)) {
+    throw hsmError('INVALID_PIN_BLOCK', `HSM rejected PIN block (${errorCode})`, errorCode);
+  }
+  if (KEY_ERRORS.has(errorCode)) {
+    throw hsmError('INVALID_KEY', `INVALID KEY (HSM ${errorCode})`, errorCode);
+  }
+  throw hsmError('HSM_MALFUNCTION', `HSM error ${errorCode} for ${command}`, errorCode);
+}
+
+function toLmkKey(keyUnderLmk) {
+  return keyUnderLmk.length === 32 ? `U${keyUnderLmk}` : keyUnderLmk;
+}
+
+class HsmClient {
+  constructor({ host, port, timeoutMs = 5000 }) {
+    this.host = host;
+    this.port = port;
+    this.timeoutMs = timeoutMs;
+    this.socket = null;
+    this.pending = new Map();
+    this.sequence = 0;
+    this.importedKeys = new Map();
+  }
+
+  connect() {
+    if (this.socket) {
+      return this.socket;
+    }
+
+    const socket = net.createConnection({ host: this.host, port: this.port });
+    let buffer = Buffer.alloc(0);
+    this.socket = socket;
+
+    socket.on('data', (chunk) => {
+      const { frames, remaining } = readFrames(Buffer.concat([buffer, chunk]));
+      buffer = remaining;
+      for (const response of frames) {
+        this.handleResponse(response);
+      }
+    });
+
+    socket.on('error', (error) => {
+      console.warn(`HSM NOT AVAILABLE at ${this.host}:${this.port}: ${error.message}`);
+    });
+
+    socket.on('close', () => {
+      if (this.socket === socket) {
+        this.socket = null;
+      }
+      for (const [header, entry] of this.pending.entries()) {
+        if (entry.socket === socket) {
+          this.pending.delete(header);
+          clearTimeout(entry.timer);
+          entry.reject(hsmError('HSM_UNAVAILABLE', 'HSM NOT AVAILABLE'));
+        }
+      }
+    });
+
+    return socket;
+  }
+
+  nextHeader() {
+    this.sequence = (this.sequence + 1) % 10000;
+    return `${this.sequence}`.padStart(4, '0');
+  }
+
+  handleResponse({ header, code, body }) {
+    const entry = this.pending.get(header);
+    if (!entry) {
+      console.warn(`Unexpected HSM response ${code} with header ${header}`);
+      return;
+    }
+
+    this.pending.delete(header);
+    clearTimeout(entry.timer);
+    if (code !== entry.expectedCode || body.length < 2) {
+      entry.reject(hsmError('HSM_MALFUNCTION', `HSM MALFUNCTION DETECTED: unexpected response ${code}`));
+      return;
+    }
+    entry.resolve({ errorCode: body.slice(0, 2).toString('ascii'), body: body.slice(2).toString('ascii') });
+  }
+
+  // Sends one host command; resolves with { errorCode, body } for any HSM reply.
+  request(command, body) {
+    return new Promise((resolve, reject) => {
+      const socket = this.connect();
+      const header = this.nextHeader();
+      const timer = setTimeout(() => {
+        this.pending.delete(header);
+        console.warn(`Time Out Situation With HSM for command ${command}`);
+        reject(hsmError('HSM_TIMEOUT', 'Time Out Situation With HSM'));
+      }, this.timeoutMs);
+
+      this.pending.set(header, {
+        socket,
+        expectedCode: getResponseCommand(command),
+        resolve,
+        reject,
+        timer,
+      });
+      socket.write(frame(header, command, body));
+    });
+  }
+
+  // Like request(), but anything other than error code 00 becomes an error.
+  async execute(command, body) {
+    const response = await this.request(command, body);
+    if (response.errorCode !== ERROR_CODES.OK) {
+      throwForErrorCode(command, response.errorCode);
+    }
+    return response.body;
+  }
+
+  // Verification commands answer 01 for a mismatch, which is a result, not an error.
+  async verify(command, body) {
+    const response = await this.request(command, body);
+    if (response.errorCode === ERROR_CODES.VERIFICATION_FAILED) {
+      return false;
+    }
+    if (response.errorCode !== ERROR_CODES.OK) {
+      throwForErrorCode(command, response.errorCode);
+    }
+    return true;
+  }
+
+  async diagnostics() {
+    const body = await this.execute('NC', '');
+    return { lmkCheckValue: body.slice(0, 6), firmwareVersion: body.slice(16) };
+  }
+
+  async generateKey(keyType, zmkUnderLmk = null) {
+    const mode = zmkUnderLmk ? '1' : '0';
+    const body = await this.execute('A0', `${mode}${KEY_TYPES[keyType]}U${zmkUnderLmk ?? ''}`);
+    return {
+      keyUnderLmk: body.slice(0, 33),
+      keyUnderZmk: zmkUnderLmk ? body.slice(33, 66) : null,
+      checkValue: body.slice(zmkUnderLmk ? 66 : 33),
+    };
+  }
+
+  // Loads a clear key from the software key store into LMK form; cached per key.
+  importClearKey(keyType, clearKey) {
+    const clearHex = Buffer.isBuffer(clearKey) ? clearKey.toString('hex').toUpperCase() : `${clearKey}`;
+    const cacheKey = `${keyType}:${clearHex}`;
+    if (!this.importedKeys.has(cacheKey)) {
+      const imported = this.execute('ZC', `${KEY_TYPES[keyType]}${toLmkKey(clearHex)}`).then(
+        (body) => body.slice(0, body.length - 6),
+        (error) => {
+          this.importedKeys.delete(cacheKey);
+          throw error;
+        },
+      );
+      this.importedKeys.set(cacheKey, imported);
+    }
+    return this.importedKeys.get(cacheKey);
+  }
+
+  async translatePin({ sourceZpk, destinationZpk, pinBlock, sourceFormat = 0, destinationFormat = 0, pan }) {
+    const body = await this.execute(
+      'CC',
+      [
+        sourceZpk,
+        destinationZpk,
+        '12',
+        `${pinBlock}`.toUpperCase(),
+        PIN_FORMAT_CODES[sourceFormat],
+        PIN_FORMAT_CODES[destinationFormat],
+        toAccountNumber(pan),
+      ].join(''),
+    );
+    return Buffer.from(body.slice(2, 18), 'hex');
+  }
+
+  verifyPinIbm3624({
+    zpk,
+    pvk,
+    pinBlock,
+    format = 0,
+    pan,
+    checkLength = 4,
+    decimalisationTable = DEFAULT_DECIMALISATION_TABLE,
+    validationData,
+    offset,
+  }) {
+    return this.verify(
+      'EA',
+      [
+        zpk,
+        pvk,
+        '12',
+        `${pinBlock}`.toUpperCase(),
+        PIN_FORMAT_CODES[format],
+        `${checkLength}`.padStart(2, '0'),
+        toAccountNumber(pan),
+        decimalisationTable,
+        validationData,
+        `${offset}`.padEnd(12, 'F'),
+      ].join(''),
+    );
+  }
+
+  verifyPinPvv({ zpk, pvk, pinBlock, format = 0, pan, pvki, pvv }) {
+    return this.verify(
+      'EC',
+      [zpk, pvk, `${pinBlock}`.toUpperCase(), PIN_FORMAT_CODES[format], toAccountNumber(pan), pvki, pvv].join(''),
+    );
+  }
+
+  verifyCvv({ cvk, cvv, pan, expiry, serviceCode }) {
+    return this.verify('CY', `${cvk}${cvv}${pan};${expiry}${serviceCode}`);
+  }
+
+  async generateMac({ zak, data, algorithm = 3, padding = 1 }) {
+    const length = data.length.toString(16).toUpperCase().padStart(4, '0');
+    // Mode 0 (single block), binary input, 16-hex MAC.
+    const header = Buffer.from(`001${algorithm}${padding}${KEY_TYPES.ZAK}${zak}${length}`, 'ascii');
+    const body = await this.execute('M6', Buffer.concat([header, data]));
+    return Buffer.from(body, 'hex');
+  }
+
+  close() {
+    if (this.socket) {
+      this.socket.destroy();
+      this.socket = null;
+    }
+  }
+}
+
+module.exports = {
+  HSM_RESPONSE_CODES,
+  HsmClient,
+};
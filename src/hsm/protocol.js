@@ -0,0 +1,78 @@
+// Thales-style host command framing shared by the HSM simulator and client:
+// 2-byte length, 4-character message header, 2-character command code, then
+// the command body. Responses echo the header, use the next command code
+// (CC -> CD) and start with a 2-digit error code.
+
+const LENGTH_PREFIX = 2;
+const MESSAGE_HEADER_LENGTH = 4;
+
+const ERROR_CODES = {
+  OK: '00',
+  VERIFICATION_FAILED: '01',
+  SOURCE_KEY_PARITY: '10',
+  DESTINATION_KEY_PARITY: '11',
+  INVALID_INPUT: '15',
+  INVALID_PIN_BLOCK: '20',
+  INVALID_PIN_FORMAT: '23',
+  INVALID_PIN_LENGTH: '24',
+  COMMAND_DISABLED: '68',
+};
+
+const KEY_TYPES = {
+  ZMK: '000',
+  ZPK: '001',
+  PVK: '002',
+  TAK: '003',
+  ZAK: '008',
+  CVK: '402',
+};
+
+// ISO 9564 formats 0, 1 and 3 by their Thales PIN block format codes.
+const PIN_FORMAT_CODES = {
+  0: '01',
+  1: '05',
+  3: '47',
+};
+
+function getResponseCommand(command) {
+  return `${command[0]}${String.fromCharCode(command.charCodeAt(1) + 1)}`;
+}
+
+function frame(header, code, body = '') {
+  const payload = Buffer.concat([
+    Buffer.from(`${header}${code}`, 'ascii'),
+    Buffer.isBuffer(body) ? body : Buffer.from(body, 'ascii'),
+  ]);
+  const prefix = Buffer.alloc(LENGTH_PREFIX);
+  prefix.writeUInt16BE(payload.length, 0);
+  return Buffer.concat([prefix, payload]);
+}
+
+// Splits complete frames off a receive buffer; returns { frames, remaining }.
+function readFrames(buffer) {
+  const frames = [];
+  let remaining = buffer;
+  while (remaining.length >= LENGTH_PREFIX) {
+    const length = remaining.readUInt16BE(0);
+    if (remaining.length < LENGTH_PREFIX + length) break;
+    const payload = remaining.slice(LENGTH_PREFIX, LENGTH_PREFIX + length);
+    remaining = remaining.slice(LENGTH_PREFIX + length);
+    if (payload.length < MESSAGE_HEADER_LENGTH + 2) continue;
+    frames.push({
+      header: payload.slice(0, MESSAGE_HEADER_LENGTH).toString('ascii'),
+      code: payload.slice(MESSAGE_HEADER_LENGTH, MESSAGE_HEADER_LENGTH + 2).toString('ascii'),
+      body: payload.slice(MESSAGE_HEADER_LENGTH + 2),
+    });
+  }
+  return { frames, remaining };
+}
+
+module.exports = {
+  MESSAGE_HEADER_LENGTH,
+  ERROR_CODES,
+  KEY_TYPES,
+  PIN_FORMAT_CODES,
+  getResponseCommand,
+  frame,
+  readFrames,
+};
@@ -0,0 +1,284 @@
+// Software HSM simulator speaking a subset of the Thales host command set,
+// for development rigs where no payShield is available. Keys travel
+// encrypted under a single LMK (3DES ECB, no key-type variants); scheme 'U'
+// marks a double-length key, an unprefixed 16-hex value a single-length one.
+//
+//   NC  diagnostics                 A0  generate key (optionally under a ZMK)
+//   CC  translate PIN ZPK -> ZPK    EA  verify PIN, IBM 3624 offset
+//   EC  verify PIN, Visa PVV        CY  verify CVV
+//   M6  generate MAC                ZC  load a clear key (simulator only)
+
+const net = require('net');
+const {
+  encryptEcb,
+  decryptEcb,
+  generateKey,
+  calculateCheckValue,
+  toKeyBuffer,
+} = require('../security/crypto');
+const { encodePinBlock, decodePinBlock } = require('../security/pin');
+const { calculateMac } = require('../security/mac');
+const { verifyIbm3624Pin, verifyPvv, verifyCvv } = require('../security/card-verification');
+const { ERROR_CODES, PIN_FORMAT_CODES, getResponseCommand, frame, readFrames } = require('./protocol');
+
+const PORT = parseInt(process.env.NPSB_HSM_PORT ?? '1500', 10);
+const HOST = process.env.NPSB_HSM_BIND_HOST ?? '127.0.0.1';
+const LMK = process.env.NPSB_HSM_LMK ?? '0123456789ABCDEFFEDCBA9876543210';
+const FIRMWARE_VERSION = '0007-E000';
+
+const PIN_FORMATS_BY_CODE = Object.fromEntries(
+  Object.entries(PIN_FORMAT_CODES).map(([format, code]) => [code, Number(format)]),
+);
+
+class HsmCommandError extends Error {
+  constructor(errorCode, message) {
+    super(message);
+    this.errorCode = errorCode;
+  }
+}
+
+function isOddParity(buffer) {
+  return buffer.every((byte) => {
+    let bits = 0;
+    for (let bit = 0; bit < 8; bit += 1) {
+      bits += (byte >> bit) & 1;
+    }
+    return bits % 2 === 1;
+  });
+}
+
+function createReader(body) {
+  let offset = 0;
+  return {
+    take(length) {
+      if (offset + length > body.length) {
+        throw new HsmCommandError(ERROR_CODES.INVALID_INPUT, 'Command body too short');
+      }
+      const value = body.slice(offset, offset + length).toString('ascii');
+      offset += length;
+      return value;
+    },
+    takeKey() {
+      return this.take(body[offset] === 0x55 ? 33 : 16); // 'U' + 32 hex or 16 hex
+    },
+    takeUntil(delimiter) {
+      const end = body.indexOf(delimiter, offset);
+      if (end === -1) {
+        throw new HsmCommandError(ERROR_CODES.INVALID_INPUT, `Missing '${delimiter}' delimiter`);
+      }
+      const value = body.slice(offset, end).toString('ascii');
+      offset = end + 1;
+      return value;
+    },
+    takeBytes(length) {
+      if (offset + length > body.length) {
+        throw new HsmCommandError(ERROR_CODES.INVALID_INPUT, 'Command body too short');
+      }
+      const value = body.slice(offset, offset + length);
+      offset += length;
+      return value;
+    },
+  };
+}
+
+function createHsmSimulator({ lmk = LMK } = {}) {
+  const lmkKey = toKeyBuffer(lmk);
+
+  function encryptUnderLmk(clearKey) {
+    const encrypted = encryptEcb(lmkKey, clearKey).toString('hex').toUpperCase();
+    return clearKey.length === 16 ? `U${encrypted}` : encrypted;
+  }
+
+  function decryptUnderLmk(keyUnderLmk, parityErrorCode = ERROR_CODES.SOURCE_KEY_PARITY) {
+    const hex = keyUnderLmk.startsWith('U') ? keyUnderLmk.slice(1) : keyUnderLmk;
+    if (!/^([0-9A-F]{16}|[0-9A-F]{32})$/i.test(hex)) {
+      throw new HsmCommandError(ERROR_CODES.INVALID_INPUT, 'Key is not valid hex');
+    }
+    const clearKey = decryptEcb(lmkKey, Buffer.from(hex, 'hex'));
+    if (!isOddParity(clearKey)) {
+      throw new HsmCommandError(parityErrorCode, 'Key parity error');
+    }
+    return clearKey;
+  }
+
+  function readPinFormat(code) {
+    const format = PIN_FORMATS_BY_CODE[code];
+    if (format === undefined) {
+      throw new HsmCommandError(ERROR_CODES.INVALID_PIN_FORMAT, `Unsupported PIN block format ${code}`);
+    }
+    return format;
+  }
+
+  // Account numbers are the 12 rightmost PAN digits excluding the check digit;
+  // the software PIN module wants a full PAN, so append a dummy check digit.
+  function decryptPin(zpk, pinBlock, formatCode, accountNumber) {
+    try {
+      const clearBlock = decryptEcb(zpk, Buffer.from(pinBlock, 'hex'));
+      return decodePinBlock(clearBlock, readPinFormat(formatCode), `${accountNumber}0`);
+    } catch (error) {
+      if (error instanceof HsmCommandError) throw error;
+      throw new HsmCommandError(ERROR_CODES.INVALID_PIN_BLOCK, error.message);
+    }
+  }
+
+  const handlers = {
+    NC() {
+      return `${calculateCheckValue(lmkKey)}0000000000${FIRMWARE_VERSION}`;
+    },
+
+    A0(reader) {
+      const mode = reader.take(1);
+      reader.take(3); // key type: variants are not modelled
+      reader.take(1); // key scheme under LMK
+      const clearKey = generateKey(16);
+      let response = encryptUnderLmk(clearKey);
+      if (mode === '1') {
+        const zmk = decryptUnderLmk(reader.takeKey());
+        response += `U${encryptEcb(zmk, clearKey).toString('hex').toUpperCase()}`;
+      }
+      return `${response}${calculateCheckValue(clearKey)}`;
+    },
+
+    ZC(reader) {
+      reader.take(3);
+      const clearKey = toKeyBuffer(reader.takeKey().replace(/^U/, ''));
+      return `${encryptUnderLmk(clearKey)}${calculateCheckValue(clearKey)}`;
+    },
+
+    CC(reader) {
+      const sourceZpk = decryptUnderLmk(reader.takeKey(), ERROR_CODES.SOURCE_KEY_PARITY);
+      const destinationZpk = decryptUnderLmk(reader.takeKey(), ERROR_CODES.DESTINATION_KEY_PARITY);
+      const maxPinLength = parseInt(reader.take(2), 10);
+      const pinBlock = reader.take(16);
+      const sourceFormat = reader.take(2);
+      const destinationFormat = reader.take(2);
+      const accountNumber = reader.take(12);
+
+      const pin = decryptPin(sourceZpk, pinBlock, sourceFormat, accountNumber);
+      if (pin.length > maxPinLength) {
+        throw new HsmCommandError(ERROR_CODES.INVALID_PIN_LENGTH, 'PIN longer than maximum');
+      }
+      const translated = encryptEcb(
+        destinationZpk,
+        encodePinBlock(pin, readPinFormat(destinationFormat), `${accountNumber}0`),
+      );
+      return `${`${pin.length}`.padStart(2, '0')}${translated.toString('hex').toUpperCase()}${destinationFormat}`;
+    },
+
+    EA(reader) {
+      const zpk = decryptUnderLmk(reader.takeKey());
+      const pvk = decryptUnderLmk(reader.takeKey());
+      reader.take(2); // maximum PIN length
+      const pinBlock = reader.take(16);
+      const formatCode = reader.take(2);
+      const checkLength = parseInt(reader.take(2), 10);
+      const accountNumber = reader.take(12);
+      const decimalisationTable = reader.take(16);
+      const validationData = reader.take(12);
+      const offset = reader.take(12);
+
+      const pin = decryptPin(zpk, pinBlock, formatCode, accountNumber);
+      const verified = verifyIbm3624Pin({
+        pin,
+        pvk,
+        validationData,
+        accountNumber,
+        decimalisationTable,
+        offset,
+        checkLength,
+      });
+      if (!verified) {
+        throw new HsmCommandError(ERROR_CODES.VERIFICATION_FAILED, 'PIN verification failed');
+      }
+      return '';
+    },
+
+    EC(reader) {
+      const zpk = decryptUnderLmk(reader.takeKey());
+      const pvk = decryptUnderLmk(reader.takeKey());
+      const pinBlock = reader.take(16);
+      const formatCode = reader.take(2);
+      const accountNumber = reader.take(12);
+      const pvki = reader.take(1);
+      const pvv = reader.take(4);
+
+      const pin = decryptPin(zpk, pinBlock, formatCode, accountNumber);
+      if (!verifyPvv({ pin, pvk, accountNumber, pvki, pvv })) {
+        throw new HsmCommandError(ERROR_CODES.VERIFICATION_FAILED, 'PVV verification failed');
+      }
+      return '';
+    },
+
+    CY(reader) {
+      const cvk = decryptUnderLmk(reader.takeKey());
+      const cvv = reader.take(3);
+      const pan = reader.takeUntil(';');
+      const expiry = reader.take(4);
+      const serviceCode = reader.take(3);
+
+      if (!verifyCvv({ cvk, pan, expiry, serviceCode, cvv })) {
+        throw new HsmCommandError(ERROR_CODES.VERIFICATION_FAILED, 'CVV verification failed');
+      }
+      return '';
+    },
+
+    M6(reader) {
+      reader.take(1); // mode flag: only single-block (0) is supported
+      const inputFormat = reader.take(1);
+      const macSize = reader.take(1);
+      const algorithm = parseInt(reader.take(1), 10);
+      const padding = parseInt(reader.take(1), 10);
+      reader.take(3); // key type
+      const key = decryptUnderLmk(reader.takeKey());
+      const length = parseInt(reader.take(4), 16);
+      const raw = reader.takeBytes(length);
+      const data = inputFormat === '1' ? Buffer.from(raw.toString('ascii'), 'hex') : raw;
+
+      const mac = calculateMac(key, data, { algorithm, padding }).toString('hex').toUpperCase();
+      return macSize === '1' ? mac : mac.slice(0, 8);
+    },
+  };
+
+  function handleCommand({ header, code, body }) {
+    const responseCode = getResponseCommand(code);
+    const handler = handlers[code];
+    if (!handler) {
+      return frame(header, responseCode, ERROR_CODES.COMMAND_DISABLED);
+    }
+
+    try {
+      return frame(header, responseCode, `${ERROR_CODES.OK}${handler(createReader(body))}`);
+    } catch (error) {
+      const errorCode = error instanceof HsmCommandError ? error.errorCode : ERROR_CODES.INVALID_INPUT;
+      if (errorCode !== ERROR_CODES.VERIFICATION_FAILED) {
+        console.warn(`HSM command ${code} failed with ${errorCode}: ${error.message}`);
+      }
+      return frame(header, responseCode, errorCode);
+    }
+  }
+
+  return net.createServer((socket) => {
+    let buffer = Buffer.alloc(0);
+    socket.on('data', (chunk) => {
+      const { frames, remaining } = readFrames(Buffer.concat([buffer, chunk]));
+      buffer = remaining;
+      for (const command of frames) {
+        socket.write(handleCommand(command));
+      }
+    });
+    socket.on('error', (error) => {
+      console.warn(`HSM simulator client error: ${error.message}`);
+    });
+  });
+}
+
+if (require.main === module) {
+  const server = createHsmSimulator();
+  server.listen(PORT, HOST, () => {
+    console.log(`HSM simulator listening on ${HOST}:${PORT}, LMK check value ${calculateCheckValue(LMK)}`);
+  });
+}
+
+module.exports = {
+  createHsmSimulator,
+};
@@ -21,16 +21,21 @@ function asciiToBcd(value, digitCount) {
   return buffer;
 }
 
+// An 0xF nibble is padding (some hosts right-pad odd-length values with it).
 function bcdToAscii(buffer, digitCount) {
   let ascii = '';
   for (let i = 0; i < buffer.length; i += 1) {
-    const byte = buffer[i];
-    ascii += ((byte >> 4) & 0x0f).toString(10);
-    ascii += (byte & 0x0f).toString(10);
+    for (const nibble of [(buffer[i] >> 4) & 0x0f, buffer[i] & 0x0f]) {
+      if (nibble === 0x0f) continue;
+      if (nibble > 9) {
+        throw new Error(`Invalid BCD digit ${nibble.toString(16).toUpperCase()}`);
+      }
+      ascii += nibble.toString(10);
+    }
   }
 
   if (digitCount != null) {
-    ascii = ascii.slice(ascii.length - digitCount);
+    ascii = ascii.padStart(digitCount, '0').slice(-digitCount);
   }
 
   return ascii;
@@ -0,0 +1,375 @@
+// ISO 8583 codec driven by a spec object (see spec.js). Messages go in and
+// out as Buffers: MTI, bitmap(s), then the fields in bitmap order. Values are
+// strings; binary ('b') fields are uppercase hex and also accept a Buffer
+// when packing.
+//
+// The spec's wire profile decides how each part is carried:
+//   mtiEncoding      'char' (4 characters) or 'bcd' (2 bytes)
+//   bitmapEncoding   'binary' (8 bytes per bitmap) or 'hex' (16 characters)
+//   numericEncoding  'char' or 'bcd' for 'n' fields
+//   lengthEncoding   'char' or 'bcd' for llvar/lllvar length indicators
+//   charset          'ascii' or 'ebcdic' for everything carried as characters
+// Binary fields are raw bytes in every profile.
+//
+// Fields with a sub-field layout (DE47, DE48, DE112, DE125) also accept an
+// object of named sub-fields when packing, and unpack() returns them parsed
+// under `subfields`.
+
+const { NPSB_SPEC } = require('./spec');
+const { asciiToBcd, bcdToAscii } = require('./bcd');
+const { encodeEbcdic, decodeEbcdic } = require('./ebcdic');
+const { extractIccTags } = require('./emv');
+const { parseSubfields, buildSubfields } = require('./subfields');
+
+const BITMAP_LENGTH = 8;
+
+function toBinary(fieldNum, value) {
+  if (Buffer.isBuffer(value)) {
+    return Buffer.from(value);
+  }
+  const hex = `${value}`.trim();
+  if (!/^([0-9A-Fa-f]{2})*$/.test(hex)) {
+    throw new Error(`Field ${fieldNum} expects hex data`);
+  }
+  return Buffer.from(hex, 'hex');
+}
+
+class Iso8583Codec {
+  constructor(spec = NPSB_SPEC) {
+    this.spec = spec;
+    this.mtiLength = spec.mtiEncoding === 'bcd' ? 2 : 4;
+  }
+
+  getDefinition(fieldNum) {
+    const definition = this.spec.fields[fieldNum];
+    if (!definition) {
+      throw new Error(`Field ${fieldNum} is not defined in the ${this.spec.name} spec`);
+    }
+    return definition;
+  }
+
+  encodeText(text) {
+    return this.spec.charset === 'ebcdic' ? encodeEbcdic(text) : Buffer.from(text, 'latin1');
+  }
+
+  decodeText(buffer) {
+    return this.spec.charset === 'ebcdic' ? decodeEbcdic(buffer) : buffer.toString('latin1');
+  }
+
+  // Digits as BCD or as characters; `encoding` is 'bcd' or 'char'.
+  encodeDigits(digits, encoding) {
+    return encoding === 'bcd' ? asciiToBcd(digits) : this.encodeText(digits);
+  }
+
+  decodeDigits(buffer, digitCount, encoding) {
+    if (encoding === 'bcd') {
+      return bcdToAscii(buffer, digitCount);
+    }
+    const digits = this.decodeText(buffer);
+    if (!/^\d*$/.test(digits)) {
+      throw new Error(`Expected digits, got "${digits}"`);
+    }
+    return digits;
+  }
+
+  isPackedNumeric(definition) {
+    return definition.contentType === 'n' && this.spec.numericEncoding === 'bcd';
+  }
+
+  // Returns the data bytes of a value and the length its indicator carries.
+  encodeValue(fieldNum, definition, value) {
+    const built = definition.subfields && typeof value === 'object' && !Buffer.isBuffer(value);
+    if (definition.contentType === 'b') {
+      const data = toBinary(fieldNum, built ? buildSubfields(definition.subfields, value) : value);
+      return { data, length: data.length };
+    }
+
+    let text = built ? buildSubfields(definition.subfields, value) : `${value}`;
+    if (definition.contentType === 'n') {
+      if (!/^\d*$/.test(text)) {
+        throw new Error(`Field ${fieldNum} expects numeric data, got "${text}"`);
+      }
+      if (definition.format === 'fixed') {
+        text = text.padStart(definition.length, '0');
+      }
+      return { data: this.encodeDigits(text, this.spec.numericEncoding), length: text.length };
+    }
+
+    if (definition.format === 'fixed') {
+      text = text.padEnd(definition.length, ' ');
+    }
+    return { data: this.encodeText(text), length: text.length };
+  }
+
+  encodeField(fieldNum, value) {
+    const definition = this.getDefinition(fieldNum);
+    const { data, length } = this.encodeValue(fieldNum, definition, value);
+
+    if (definition.format === 'fixed') {
+      if (length !== definition.length) {
+        throw new Error(`Field ${fieldNum} must be ${definition.length} long, got ${length}`);
+      }
+      return data;
+    }
+
+    if (length > definition.maxLength) {
+      throw new Error(`Field ${fieldNum} length ${length} exceeds maximum ${definition.maxLength}`);
+    }
+    const lengthDigits = `${length}`.padStart(definition.format === 'llvar' ? 2 : 3, '0');
+    return Buffer.concat([this.encodeDigits(lengthDigits, this.spec.lengthEncoding), data]);
+  }
+
+  // Decodes the field at `offset`; returns { value, length } where length is
+  // the number of bytes it occupies, indicator included.
+  decodeField(fieldNum, buffer, offset) {
+    const definition = this.getDefinition(fieldNum);
+    let length = definition.length;
+    let headerLength = 0;
+
+    if (definition.format !== 'fixed') {
+      const digits = definition.format === 'llvar' ? 2 : 3;
+      headerLength = this.spec.lengthEncoding === 'bcd' ? Math.ceil(digits / 2) : digits;
+      const header = buffer.slice(offset, offset + headerLength);
+      if (header.length !== headerLength) {
+        throw new Error(`Field ${fieldNum} length indicator truncated at offset ${offset}`);
+      }
+      length = parseInt(this.decodeDigits(header, digits, this.spec.lengthEncoding), 10);
+      if (Number.isNaN(length) || length > definition.maxLength) {
+        throw new Error(`Field ${fieldNum} has an invalid length indicator at offset ${offset}`);
+      }
+    }
+
+    const packed = this.isPackedNumeric(definition);
+    const dataLength = packed ? Math.ceil(length / 2) : length;
+    const start = offset + headerLength;
+    const data = buffer.slice(start, start + dataLength);
+    if (data.length !== dataLength) {
+      throw new Error(`Field ${fieldNum} truncated: needs ${dataLength} bytes at offset ${start}`);
+    }
+
+    let value;
+    if (definition.contentType === 'b') {
+      value = data.toString('hex').toUpperCase();
+    } else if (definition.contentType === 'n') {
+      value = this.decodeDigits(data, length, this.spec.numericEncoding);
+    } else {
+      value = this.decodeText(data);
+      // Fixed text fields are space padded on the wire; variable ones are kept as sent.
+      if (definition.format === 'fixed') {
+        value = value.trimEnd();
+      }
+    }
+    return { value, length: headerLength + dataLength };
+  }
+
+  encodeMti(mti) {
+    if (!/^\d{4}$/.test(`${mti}`)) {
+      throw new Error(`MTI must be 4 digits, got ${mti}`);
+    }
+    return this.encodeDigits(mti, this.spec.mtiEncoding);
+  }
+
+  decodeMti(buffer) {
+    return this.decodeDigits(buffer.slice(0, this.mtiLength), 4, this.spec.mtiEncoding);
+  }
+
+  buildBitmap(fieldNumbers) {
+    const hasSecondary = fieldNumbers.some((fieldNum) => fieldNum > 64);
+    const bitmap = Buffer.alloc(hasSecondary ? BITMAP_LENGTH * 2 : BITMAP_LENGTH);
+    for (const fieldNum of fieldNumbers) {
+      if (fieldNum < 2 || fieldNum > 128) {
+        throw new Error(`Field ${fieldNum} cannot be carried in the bitmap`);
+      }
+      bitmap[Math.floor((fieldNum - 1) / 8)] |= 1 << (7 - ((fieldNum - 1) % 8));
+    }
+    if (hasSecondary) {
+      bitmap[0] |= 0x80;
+    }
+    return bitmap;
+  }
+
+  encodeBitmap(bitmap) {
+    return this.spec.bitmapEncoding === 'hex' ? this.encodeText(bitmap.toString('hex').toUpperCase()) : bitmap;
+  }
+
+  // Reads the bitmap after the MTI; returns the bitmap bytes, the fields it
+  // marks present (ascending) and where the first field starts.
+  readBitmap(buffer) {
+    const hex = this.spec.bitmapEncoding === 'hex';
+    const wireLength = hex ? BITMAP_LENGTH * 2 : BITMAP_LENGTH;
+    const readOne = (offset) => {
+      const slice = buffer.slice(offset, offset + wireLength);
+      if (slice.length !== wireLength) {
+        throw new Error(`Message too short for its bitmap: ${buffer.length} bytes`);
+      }
+      if (!hex) {
+        return slice;
+      }
+      const text = this.decodeText(slice);
+      if (!/^[0-9A-Fa-f]{16}$/.test(text)) {
+        throw new Error(`Invalid hex bitmap "${text}"`);
+      }
+      return Buffer.from(text, 'hex');
+    };
+
+    let bitmap = readOne(this.mtiLength);
+    if (bitmap[0] & 0x80) {
+      bitmap = Buffer.concat([bitmap, readOne(this.mtiLength + wireLength)]);
+    }
+
+    const fieldNumbers = [];
+    for (let fieldNum = 2; fieldNum <= bitmap.length * 8; fieldNum += 1) {
+      if (bitmap[Math.floor((fieldNum - 1) / 8)] & (1 << (7 - ((fieldNum - 1) % 8)))) {
+        fieldNumbers.push(fieldNum);
+      }
+    }
+    const offset = this.mtiLength + (bitmap.length / BITMAP_LENGTH) * wireLength;
+    return { bitmap, fieldNumbers, offset };
+  }
+
+  // message: { mti, fields }; null/undefined field values are left out.
+  pack({ mti, fields }) {
+    const fieldNumbers = Object.keys(fields)
+      .map(Number)
+      .filter((fieldNum) => fields[fieldNum] != null)
+      .sort((a, b) => a - b);
+    return Buffer.concat([
+      this.encodeMti(mti),
+      this.encodeBitmap(this.buildBitmap(fieldNumbers)),
+      ...fieldNumbers.map((fieldNum) => this.encodeField(fieldNum, fields[fieldNum])),
+    ]);
+  }
+
+  // Returns { mti, bitmap (hex), fields, emv? }; emv holds the DE55 tags.
+  unpack(buffer) {
+    if (buffer.length < this.mtiLength) {
+      throw new Error(`Message too short: ${buffer.length} bytes`);
+    }
+
+    const mti = this.decodeMti(buffer);
+    const { bitmap, fieldNumbers, offset: fieldsOffset } = this.readBitmap(buffer);
+    const fields = {};
+    let offset = fieldsOffset;
+    for (const fieldNum of fieldNumbers) {
+      const { value, length } = this.decodeField(fieldNum, buffer, offset);
+      fields[fieldNum] = value;
+      offset += length;
+    }
+
+    const emv = extractIccTags(fields[55]);
+    const subfields = this.readSubfields(fields);
+    return {
+      mti,
+      bitmap: bitmap.toString('hex').toUpperCase(),
+      fields,
+      ...(emv ? { emv } : {}),
+      ...(subfields ? { subfields } : {}),
+    };
+  }
+
+  // Named sub-fields of one field value; throws when the value does not
+  // follow the field's layout.
+  parseSubfields(fieldNum, value) {
+    const layout = this.getDefinition(fieldNum).subfields;
+    if (!layout) {
+      throw new Error(`Field ${fieldNum} has no sub-field layout in the ${this.spec.name} spec`);
+    }
+    return parseSubfields(layout, value);
+  }
+
+  // Sub-fields of every field that has a layout, by field number. A field
+  // whose value does not follow its layout is left out rather than failing
+  // the whole message.
+  readSubfields(fields) {
+    const result = {};
+    for (const [fieldNum, value] of Object.entries(fields)) {
+      if (!this.spec.fields[fieldNum]?.subfields) continue;
+      try {
+        result[fieldNum] = this.parseSubfields(Number(fieldNum), value);
+      } catch (error) {
+        // left as the plain field value
+      }
+    }
+    return Object.keys(result).length > 0 ? result : null;
+  }
+
+  // Re-packs a message from another codec's profile into this one.
+  translate(buffer, sourceCodec) {
+    if (sourceCodec === this) {
+      return buffer;
+    }
+    const { mti, fields } = sourceCodec.unpack(buffer);
+    return this.pack({ mti, fields });
+  }
+
+  // Returns the byte offset and encoded length of a field inside a packed
+  // message, or null when the field is absent.
+  locateField(buffer, targetField) {
+    const { fieldNumbers, offset: fieldsOffset } = this.readBitmap(buffer);
+    let offset = fieldsOffset;
+    for (const fieldNum of fieldNumbers) {
+      const { length } = this.decodeField(fieldNum, buffer, offset);
+      if (fieldNum === targetField) {
+        return { offset, length };
+      }
+      offset += length;
+    }
+    return null;
+  }
+
+  // Re-encodes one field of a packed message, adding it to the bitmap when
+  // absent. Every other field keeps its original bytes.
+  setField(buffer, targetField, value) {
+    const { bitmap, fieldNumbers, offset: fieldsOffset } = this.readBitmap(buffer);
+    let offset = fieldsOffset;
+    let insertAt = null;
+    let replacedLength = 0;
+    for (const fieldNum of fieldNumbers) {
+      const { length } = this.decodeField(fieldNum, buffer, offset);
+      if (insertAt === null && fieldNum >= targetField) {
+        insertAt = offset;
+        replacedLength = fieldNum === targetField ? length : 0;
+      }
+      offset += length;
+    }
+    if (insertAt === null) {
+      insertAt = offset;
+    }
+
+    const newBitmap = Buffer.alloc(targetField > 64 ? BITMAP_LENGTH * 2 : bitmap.length);
+    bitmap.copy(newBitmap);
+    if (targetField > 64) {
+      newBitmap[0] |= 0x80;
+    }
+    newBitmap[Math.floor((targetField - 1) / 8)] |= 1 << (7 - ((targetField - 1) % 8));
+
+    return Buffer.concat([
+      buffer.slice(0, this.mtiLength),
+      this.encodeBitmap(newBitmap),
+      buffer.slice(fieldsOffset, insertAt),
+      this.encodeField(targetField, value),
+      buffer.slice(insertAt + replacedLength),
+    ]);
+  }
+
+  // Drops one field from a packed message, or returns it as is when the field
+  // is absent. The secondary bitmap goes when no field above 64 is left.
+  removeField(buffer, targetField) {
+    const location = this.locateField(buffer, targetField);
+    if (!location) {
+      return buffer;
+    }
+    const { fieldNumbers, offset: fieldsOffset } = this.readBitmap(buffer);
+    const remaining = fieldNumbers.filter((fieldNum) => fieldNum !== targetField);
+    return Buffer.concat([
+      buffer.slice(0, this.mtiLength),
+      this.encodeBitmap(this.buildBitmap(remaining)),
+      buffer.slice(fieldsOffset, location.offset),
+      buffer.slice(location.offset + location.length),
+    ]);
+  }
+}
+
+module.exports = {
+  Iso8583Codec,
+};
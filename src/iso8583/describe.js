@@ -0,0 +1,50 @@
+// Labelled, display-safe field listings for the web API and the live
+// monitor. Labels come from spec.js; card data (the journal's
+// SENSITIVE_FIELDS) is masked. Private data elements that follow their sub-field layout also list
+// their named sub-fields.
+
+const { getFieldDefinition } = require('./spec');
+const { parseSubfields } = require('./subfields');
+const { SENSITIVE_FIELDS, maskPan, redactFieldValue } = require('../journal');
+
+function getFieldLabel(fieldNum) {
+  return getFieldDefinition(fieldNum)?.label ?? `Field ${fieldNum}`;
+}
+
+function maskFieldValue(fieldNum, value) {
+  if (fieldNum === 2) return maskPan(value);
+  if (fieldNum === 35) return maskPan(`${value}`.split(/[=D]/)[0]);
+  if (SENSITIVE_FIELDS.includes(fieldNum)) return redactFieldValue(fieldNum, `${value}`);
+  return value;
+}
+
+function describeSubfields(fieldNum, value) {
+  const layout = getFieldDefinition(fieldNum)?.subfields;
+  if (!layout) return null;
+  try {
+    return parseSubfields(layout, value);
+  } catch (error) {
+    return null;
+  }
+}
+
+function describeFields(fields) {
+  return Object.keys(fields)
+    .map(Number)
+    .sort((a, b) => a - b)
+    .map((fieldNum) => {
+      const subfields = describeSubfields(fieldNum, fields[fieldNum]);
+      return {
+        field: fieldNum,
+        label: getFieldLabel(fieldNum),
+        value: maskFieldValue(fieldNum, fields[fieldNum]),
+        ...(subfields ? { subfields } : {}),
+      };
+    });
+}
+
+module.exports = {
+  getFieldLabel,
+  maskFieldValue,
+  describeFields,
+};
@@ -0,0 +1,54 @@
+// EBCDIC (code page 037) for links that exchange character data in EBCDIC.
+// Only the printable ASCII range is mapped; anything else is rejected rather
+// than silently substituted.
+
+const ASCII_TO_EBCDIC = {
+  ' ': 0x40, '!': 0x5a, '"': 0x7f, '#': 0x7b, $: 0x5b, '%': 0x6c, '&': 0x50, "'": 0x7d,
+  '(': 0x4d, ')': 0x5d, '*': 0x5c, '+': 0x4e, ',': 0x6b, '-': 0x60, '.': 0x4b, '/': 0x61,
+  ':': 0x7a, ';': 0x5e, '<': 0x4c, '=': 0x7e, '>': 0x6e, '?': 0x6f, '@': 0x7c, '[': 0xba,
+  '\\': 0xe0, ']': 0xbb, '^': 0xb0, _: 0x6d, '`': 0x79, '{': 0xc0, '|': 0x4f, '}': 0xd0,
+  '~': 0xa1,
+};
+for (let digit = 0; digit <= 9; digit += 1) {
+  ASCII_TO_EBCDIC[`${digit}`] = 0xf0 + digit;
+}
+// Letters come in three runs per case: A-I, J-R and S-Z.
+[
+  ['A', 0xc1, 9], ['J', 0xd1, 9], ['S', 0xe2, 8],
+  ['a', 0x81, 9], ['j', 0x91, 9], ['s', 0xa2, 8],
+].forEach(([first, code, count]) => {
+  for (let i = 0; i < count; i += 1) {
+    ASCII_TO_EBCDIC[String.fromCharCode(first.charCodeAt(0) + i)] = code + i;
+  }
+});
+
+const EBCDIC_TO_ASCII = new Map(Object.entries(ASCII_TO_EBCDIC).map(([char, code]) => [code, char]));
+
+function encodeEbcdic(text) {
+  return Buffer.from(
+    Array.from(`${text}`, (char) => {
+      const code = ASCII_TO_EBCDIC[char];
+      if (code === undefined) {
+        throw new Error(`Character "${char}" has no EBCDIC mapping`);
+      }
+      return code;
+    }),
+  );
+}
+
+function decodeEbcdic(buffer) {
+  let text = '';
+  for (const byte of buffer) {
+    const char = EBCDIC_TO_ASCII.get(byte);
+    if (char === undefined) {
+      throw new Error(`EBCDIC byte ${byte.toString(16).toUpperCase()} has no ASCII mapping`);
+    }
+    text += char;
+  }
+  return text;
+}
+
+module.exports = {
+  encodeEbcdic,
+  decodeEbcdic,
+};
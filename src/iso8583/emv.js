@@ -0,0 +1,122 @@
+// BER-TLV codec for DE55 (ICC system related data). Tags and values are
+// uppercase hex, the same representation the codec uses for binary fields.
+
+const EMV_TAG_NAMES = {
+  '82': 'AIP',
+  '84': 'DF_NAME',
+  '8A': 'ARC',
+  '91': 'ISSUER_AUTH_DATA',
+  '95': 'TVR',
+  '9A': 'TXN_DATE',
+  '9C': 'TXN_TYPE',
+  '5F2A': 'TXN_CURRENCY',
+  '5F34': 'PAN_SEQUENCE',
+  '9F02': 'AMOUNT_AUTHORISED',
+  '9F03': 'AMOUNT_OTHER',
+  '9F10': 'IAD',
+  '9F1A': 'TERMINAL_COUNTRY',
+  '9F26': 'ARQC',
+  '9F27': 'CID',
+  '9F33': 'TERMINAL_CAPABILITIES',
+  '9F34': 'CVM_RESULTS',
+  '9F36': 'ATC',
+  '9F37': 'UN',
+};
+
+// Tags NPS.c traces one per line when it maps chip data.
+const LOGGED_TAGS = ['9F26', '9F36', '95', '82', '9F10', '9F37'];
+
+function toBuffer(data) {
+  return Buffer.isBuffer(data) ? data : Buffer.from(`${data ?? ''}`.trim(), 'hex');
+}
+
+function readTag(buffer, offset) {
+  let end = offset + 1;
+  if ((buffer[offset] & 0x1f) === 0x1f) {
+    while (end < buffer.length && buffer[end] & 0x80) {
+      end += 1;
+    }
+    end += 1;
+  }
+  if (end > buffer.length) {
+    throw new Error(`Truncated TLV tag at offset ${offset}`);
+  }
+  return { tag: buffer.slice(offset, end).toString('hex').toUpperCase(), next: end };
+}
+
+function readLength(buffer, offset) {
+  const first = buffer[offset];
+  if (first === undefined) {
+    throw new Error(`Missing TLV length at offset ${offset}`);
+  }
+  if (first < 0x80) {
+    return { length: first, next: offset + 1 };
+  }
+
+  const byteCount = first & 0x7f;
+  if (byteCount === 0 || byteCount > 2 || offset + 1 + byteCount > buffer.length) {
+    throw new Error(`Unsupported TLV length encoding at offset ${offset}`);
+  }
+  return { length: buffer.readUIntBE(offset + 1, byteCount), next: offset + 1 + byteCount };
+}
+
+function parseTlv(data) {
+  const buffer = toBuffer(data);
+  const tags = {};
+
+  let offset = 0;
+  while (offset < buffer.length) {
+    if (buffer[offset] === 0x00 || buffer[offset] === 0xff) {
+      offset += 1; // padding between data objects
+      continue;
+    }
+    const { tag, next: lengthOffset } = readTag(buffer, offset);
+    const { length, next: valueOffset } = readLength(buffer, lengthOffset);
+    if (valueOffset + length > buffer.length) {
+      throw new Error(`TLV ${tag} length ${length} exceeds remaining data`);
+    }
+    tags[tag] = buffer.slice(valueOffset, valueOffset + length).toString('hex').toUpperCase();
+    offset = valueOffset + length;
+  }
+
+  return tags;
+}
+
+function encodeLength(length) {
+  if (length < 0x80) return Buffer.from([length]);
+  if (length <= 0xff) return Buffer.from([0x81, length]);
+  return Buffer.from([0x82, length >> 8, length & 0xff]);
+}
+
+function buildTlv(tags) {
+  const parts = Object.entries(tags)
+    .filter(([, value]) => value != null)
+    .map(([tag, value]) => {
+      const valueBuffer = toBuffer(value);
+      return Buffer.concat([Buffer.from(tag, 'hex'), encodeLength(valueBuffer.length), valueBuffer]);
+    });
+  return Buffer.concat(parts).toString('hex').toUpperCase();
+}
+
+function extractIccTags(fieldValue) {
+  if (!fieldValue) return null;
+  try {
+    return parseTlv(fieldValue);
+  } catch (error) {
+    return null;
+  }
+}
+
+function formatIccTags(tags) {
+  return LOGGED_TAGS.filter((tag) => tags[tag] !== undefined)
+    .map((tag) => `${EMV_TAG_NAMES[tag]}=${tags[tag]}`)
+    .join(' ');
+}
+
+module.exports = {
+  EMV_TAG_NAMES,
+  parseTlv,
+  buildTlv,
+  extractIccTags,
+  formatIccTags,
+};
@@ -1,246 +1,399 @@
-// Field definitions tailored for the NPSB network-management interface.
-// ISO field numbers map to metadata describing how to (de)serialize values.
+// Field definitions for the NPSB ISO 8583 interface, shared by every codec
+// instance (see codec.js). Fixed fields have a length; variable fields
+// (llvar/lllvar) a maximum length. Lengths count digits for 'n', bytes for
+// 'b' and characters otherwise. Private data elements with a `subfields`
+// layout can be read and built as named sub-fields.
+//
+// A spec is the field table plus the wire profile (see codec.js): how the MTI,
+// bitmap, numeric data and length indicators are encoded and which character
+// set text travels in. NPSB sends a character MTI, a binary bitmap, BCD
+// numerics and lengths, and ASCII text; links that differ override the
+// profile settings with extendSpec.
+
+// Sub-field layouts for the private data elements (see subfields.js). The
+// key exchange tags ride in DE48 or DE125, whichever the link uses.
+const KEY_EXCHANGE_TAGS = {
+  740: { name: 'keyUnderZmk', label: 'Working Key under ZMK', maxLength: 48, contentType: 'an' },
+  741: { name: 'keyType', label: 'Working Key Type', length: 3, contentType: 'an' },
+  742: { name: 'checkValue', label: 'Key Check Value', maxLength: 16, contentType: 'an' },
+};
+
+const subfieldLayouts = {
+  47: {
+    format: 'pds',
+    tags: {
+      927: { name: 'counterpartAccount', label: 'Counterpart Account', maxLength: 28, contentType: 'an' },
+    },
+  },
+  48: {
+    format: 'pds',
+    tags: {
+      848: { name: 'paymentServiceCode', label: 'Payment Service Code', maxLength: 28, contentType: 'ans' },
+      ...KEY_EXCHANGE_TAGS,
+    },
+  },
+  // The transaction type as NPS.c sends it: F0 { D2 "TWHAT_TRX", D3 "T" + type },
+  // e.g. TIBFTA2A, TPOSRP (retail purchase), TPOSPA (pre-auth), TPOSCA (cash advance).
+  // BER-TLV is binary, so DE112 is a 'b' field and never charset-converted.
+  112: {
+    format: 'tlv',
+    template: 'F0',
+    tags: {
+      D2: { name: 'parameterName', label: 'Parameter Name', maxLength: 99, contentType: 'ans' },
+      D3: { name: 'transactionType', label: 'Transaction Type', maxLength: 99, contentType: 'ans' },
+    },
+  },
+  125: {
+    format: 'pds',
+    tags: { ...KEY_EXCHANGE_TAGS },
+  },
+};
 
 const fieldDefinitions = {
   2: {
     label: 'Primary Account Number',
     format: 'llvar',
-    lengthRange: { min: 1, max: 19 },
+    maxLength: 19,
     contentType: 'n',
-    encoding: 'bcd',
   },
   3: {
     label: 'Processing Code',
     format: 'fixed',
     length: 6,
     contentType: 'n',
-    encoding: 'bcd',
   },
   4: {
     label: 'Amount, Transaction',
     format: 'fixed',
     length: 12,
     contentType: 'n',
-    encoding: 'bcd',
   },
   5: {
     label: 'Amount, Settlement',
     format: 'fixed',
     length: 12,
     contentType: 'n',
-    encoding: 'bcd',
   },
   6: {
     label: 'Amount, Cardholder Billing',
     format: 'fixed',
     length: 12,
     contentType: 'n',
-    encoding: 'bcd',
   },
   7: {
     label: 'Transmission Date & Time',
-    length: 10,
     format: 'fixed',
+    length: 10,
     contentType: 'n',
-    encoding: 'bcd',
   },
   10: {
     label: 'Conversion Rate, Cardholder Billing',
     format: 'fixed',
     length: 8,
     contentType: 'n',
-    encoding: 'bcd',
   },
   11: {
     label: 'System Trace Audit Number',
-    length: 6,
     format: 'fixed',
+    length: 6,
     contentType: 'n',
-    encoding: 'bcd',
   },
   12: {
     label: 'Local Transaction Time',
-    length: 6,
     format: 'fixed',
+    length: 6,
     contentType: 'n',
-    encoding: 'bcd',
   },
   13: {
     label: 'Local Transaction Date',
-    length: 4,
     format: 'fixed',
+    length: 4,
     contentType: 'n',
-    encoding: 'bcd',
   },
   14: {
     label: 'Expiration Date',
+    format: 'fixed',
     length: 4,
+    contentType: 'n',
+  },
+  15: {
+    label: 'Settlement Date',
     format: 'fixed',
+    length: 4,
     contentType: 'n',
-    encoding: 'bcd',
   },
   18: {
     label: 'Merchant\'s Type',
-    length: 4,
     format: 'fixed',
+    length: 4,
     contentType: 'n',
-    encoding: 'bcd',
   },
   19: {
     label: 'Acquiring Country Code',
-    length: 3,
     format: 'fixed',
+    length: 3,
     contentType: 'n',
-    encoding: 'bcd',
   },
   22: {
     label: 'Point of Service Entry Mode',
-    length: 3,
     format: 'fixed',
+    length: 3,
     contentType: 'n',
-    encoding: 'bcd',
   },
   23: {
     label: 'Card Sequence Number',
-    length: 3,
     format: 'fixed',
+    length: 3,
     contentType: 'n',
-    encoding: 'bcd',
   },
   25: {
     label: 'POS Condition Code',
-    length: 2,
     format: 'fixed',
+    length: 2,
     contentType: 'n',
-    encoding: 'bcd',
   },
   32: {
     label: 'Acquiring Institution ID Code',
     format: 'llvar',
-    lengthRange: { min: 1, max: 11 },
+    maxLength: 11,
     contentType: 'n',
-    encoding: 'bcd',
+  },
+  35: {
+    label: 'Track 2 Data',
+    format: 'llvar',
+    maxLength: 37,
+    contentType: 'z',
   },
   37: {
     label: 'Retrieval Reference Number',
-    length: 12,
     format: 'fixed',
+    length: 12,
     contentType: 'ans',
-    encoding: 'ascii',
   },
   38: {
     label: 'Authorization Code Response',
-    length: 6,
     format: 'fixed',
+    length: 6,
     contentType: 'an',
-    encoding: 'ascii',
   },
   39: {
     label: 'Response Code',
-    length: 2,
     format: 'fixed',
+    length: 2,
     contentType: 'an',
-    encoding: 'ascii',
   },
   41: {
     label: 'Card Acceptor Terminal Identification',
-    length: 8,
     format: 'fixed',
+    length: 8,
     contentType: 'ans',
-    encoding: 'ascii',
   },
   42: {
     label: 'Card Acceptor Identification Code',
-    length: 15,
     format: 'fixed',
+    length: 15,
     contentType: 'ans',
-    encoding: 'ascii',
   },
   43: {
     label: 'Card Acceptor Name/Location',
-    length: 40,
     format: 'fixed',
+    length: 40,
+    contentType: 'ans',
+  },
+  46: {
+    label: 'Additional Data - ISO',
+    format: 'lllvar',
+    maxLength: 999,
     contentType: 'ans',
-    encoding: 'ascii',
   },
   47: {
     label: 'Additional Data - National',
     format: 'lllvar',
-    lengthRange: { min: 0, max: 999 },
+    maxLength: 999,
     contentType: 'ans',
-    encoding: 'ascii',
+    subfields: subfieldLayouts[47],
   },
   48: {
     label: 'Additional Data - Private',
     format: 'lllvar',
-    lengthRange: { min: 0, max: 999 },
+    maxLength: 999,
     contentType: 'ans',
-    encoding: 'ascii',
+    subfields: subfieldLayouts[48],
   },
   49: {
     label: 'Transaction Currency Code',
-    length: 3,
     format: 'fixed',
+    length: 3,
     contentType: 'n',
-    encoding: 'bcd',
   },
   50: {
     label: 'Settlement Currency Code',
-    length: 3,
     format: 'fixed',
+    length: 3,
     contentType: 'n',
-    encoding: 'bcd',
   },
   51: {
     label: 'Cardholder Billing Currency Code',
-    length: 3,
     format: 'fixed',
+    length: 3,
     contentType: 'n',
-    encoding: 'bcd',
+  },
+  52: {
+    label: 'PIN Data',
+    format: 'fixed',
+    length: 8,
+    contentType: 'b',
+  },
+  53: {
+    label: 'Security Related Control Information',
+    format: 'fixed',
+    length: 16,
+    contentType: 'b',
+  },
+  54: {
+    label: 'Additional Amounts',
+    format: 'lllvar',
+    maxLength: 120,
+    contentType: 'ans',
   },
   55: {
     label: 'ICC System Related Data',
     format: 'lllvar',
-    lengthRange: { min: 0, max: 255 },
+    maxLength: 255,
     contentType: 'b',
-    encoding: 'binary',
+  },
+  66: {
+    label: 'Settlement Code',
+    format: 'fixed',
+    length: 1,
+    contentType: 'n',
   },
   70: {
     label: 'Network Management Information Code',
+    format: 'fixed',
     length: 3,
+    contentType: 'n',
+  },
+  74: {
+    label: 'Credits, Number',
+    format: 'fixed',
+    length: 10,
+    contentType: 'n',
+  },
+  75: {
+    label: 'Credits Reversal, Number',
+    format: 'fixed',
+    length: 10,
+    contentType: 'n',
+  },
+  76: {
+    label: 'Debits, Number',
+    format: 'fixed',
+    length: 10,
+    contentType: 'n',
+  },
+  77: {
+    label: 'Debits Reversal, Number',
+    format: 'fixed',
+    length: 10,
+    contentType: 'n',
+  },
+  86: {
+    label: 'Credits, Amount',
     format: 'fixed',
+    length: 16,
     contentType: 'n',
-    encoding: 'bcd',
+  },
+  87: {
+    label: 'Credits Reversal, Amount',
+    format: 'fixed',
+    length: 16,
+    contentType: 'n',
+  },
+  88: {
+    label: 'Debits, Amount',
+    format: 'fixed',
+    length: 16,
+    contentType: 'n',
+  },
+  89: {
+    label: 'Debits Reversal, Amount',
+    format: 'fixed',
+    length: 16,
+    contentType: 'n',
+  },
+  90: {
+    label: 'Original Data Elements',
+    format: 'fixed',
+    length: 42,
+    contentType: 'n',
+  },
+  97: {
+    label: 'Amount, Net Settlement',
+    format: 'fixed',
+    length: 17,
+    contentType: 'x+n',
   },
   103: {
     label: 'Account Identification 2',
     format: 'llvar',
-    lengthRange: { min: 0, max: 28 },
+    maxLength: 28,
     contentType: 'ans',
-    encoding: 'ascii',
   },
   112: {
     label: 'Additional Data',
     format: 'lllvar',
-    lengthRange: { min: 0, max: 999 },
+    maxLength: 999,
+    contentType: 'b',
+    subfields: subfieldLayouts[112],
+  },
+  125: {
+    label: 'Additional Data - Network',
+    format: 'lllvar',
+    maxLength: 999,
     contentType: 'ans',
-    encoding: 'ascii',
+    subfields: subfieldLayouts[125],
   },
   128: {
     label: 'Message Authentication Code',
-    length: 8,
     format: 'fixed',
-    contentType: 'an',
-    encoding: 'binary',
+    length: 8,
+    contentType: 'b',
   },
 };
 
-function getFieldDefinition(fieldNumber) {
-  return fieldDefinitions[fieldNumber] ?? null;
+// Allowed values for each wire profile setting.
+const PROFILE_SETTINGS = {
+  mtiEncoding: ['char', 'bcd'],
+  bitmapEncoding: ['binary', 'hex'],
+  numericEncoding: ['char', 'bcd'],
+  lengthEncoding: ['char', 'bcd'],
+  charset: ['ascii', 'ebcdic'],
+};
+
+const NPSB_SPEC = {
+  name: 'NPSB',
+  mtiEncoding: 'char',
+  bitmapEncoding: 'binary',
+  numericEncoding: 'bcd',
+  lengthEncoding: 'bcd',
+  charset: 'ascii',
+  fields: fieldDefinitions,
+};
+
+// A new spec from a base with some settings or field definitions replaced.
+function extendSpec(base, { fields = {}, ...settings } = {}) {
+  return { ...base, ...settings, fields: { ...base.fields, ...fields } };
+}
+
+function getFieldDefinition(fieldNumber, spec = NPSB_SPEC) {
+  return spec.fields[fieldNumber] ?? null;
 }
 
 module.exports = {
+  NPSB_SPEC,
+  PROFILE_SETTINGS,
+  extendSpec,
   getFieldDefinition,
   fieldDefinitions,
 };
-
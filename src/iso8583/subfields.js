@@ -0,0 +1,135 @@
+// Named sub-fields inside the NPSB private data elements, driven by the
+// `subfields` layouts in spec.js:
+//   pds  DE47, DE48, DE125: tag (3 digits) + length (3 digits) + value, repeated
+//   tlv  DE112: a BER-TLV template (e.g. F0) whose data objects carry text;
+//        the field is binary ('b'), so its value is hex like any binary field
+// Parsing maps known tags to their names and keeps unknown tags as they are;
+// building takes names or tags and checks every known value against its
+// tag's length and content type.
+
+const { parseTlv, buildTlv } = require('./emv');
+
+const CONTENT_PATTERNS = {
+  n: /^\d*$/,
+  an: /^[A-Za-z0-9]*$/,
+  ans: /^[\x20-\x7E]*$/,
+};
+const TAG_PATTERNS = {
+  pds: /^\d{3}$/,
+  tlv: /^[0-9A-F]{2,4}$/,
+};
+
+function validateSubfield(tagSpec, tag, value) {
+  const label = `${tagSpec.name} (${tag})`;
+  if (tagSpec.length != null && value.length !== tagSpec.length) {
+    throw new Error(`Sub-field ${label} must be ${tagSpec.length} long, got ${value.length}`);
+  }
+  if (tagSpec.minLength != null && value.length < tagSpec.minLength) {
+    throw new Error(`Sub-field ${label} must be at least ${tagSpec.minLength} long, got ${value.length}`);
+  }
+  if (tagSpec.maxLength != null && value.length > tagSpec.maxLength) {
+    throw new Error(`Sub-field ${label} length ${value.length} exceeds maximum ${tagSpec.maxLength}`);
+  }
+  const contentType = tagSpec.contentType ?? 'ans';
+  if (!CONTENT_PATTERNS[contentType].test(value)) {
+    throw new Error(`Sub-field ${label} expects ${contentType} data, got "${value}"`);
+  }
+}
+
+function parsePds(fieldValue) {
+  const entries = {};
+  let offset = 0;
+  while (offset < fieldValue.length) {
+    const tag = fieldValue.slice(offset, offset + 3);
+    const length = parseInt(fieldValue.slice(offset + 3, offset + 6), 10);
+    if (!TAG_PATTERNS.pds.test(tag) || Number.isNaN(length) || offset + 6 + length > fieldValue.length) {
+      throw new Error(`Malformed PDS ${tag} at offset ${offset}`);
+    }
+    entries[tag] = fieldValue.slice(offset + 6, offset + 6 + length);
+    offset += 6 + length;
+  }
+  return entries;
+}
+
+function buildPds(entries) {
+  return Object.entries(entries)
+    .map(([tag, value]) => {
+      if (value.length > 999) {
+        throw new Error(`PDS ${tag} value exceeds 999 characters`);
+      }
+      return `${tag}${`${value.length}`.padStart(3, '0')}${value}`;
+    })
+    .join('');
+}
+
+function readEntries(layout, fieldValue) {
+  if (layout.format === 'pds') {
+    return parsePds(fieldValue);
+  }
+
+  const template = parseTlv(fieldValue)[layout.template];
+  if (template === undefined) {
+    throw new Error(`Missing TLV template ${layout.template}`);
+  }
+  const entries = {};
+  for (const [tag, hex] of Object.entries(parseTlv(template))) {
+    entries[tag] = Buffer.from(hex, 'hex').toString('latin1');
+  }
+  return entries;
+}
+
+function writeEntries(layout, entries) {
+  if (layout.format === 'pds') {
+    return buildPds(entries);
+  }
+
+  const dataObjects = {};
+  for (const [tag, value] of Object.entries(entries)) {
+    dataObjects[tag] = Buffer.from(value, 'latin1');
+  }
+  return buildTlv({ [layout.template]: buildTlv(dataObjects) });
+}
+
+function findTag(layout, key) {
+  if (layout.tags[key]) return key;
+  const tag = Object.keys(layout.tags).find((candidate) => layout.tags[candidate].name === key);
+  if (tag) return tag;
+  if (TAG_PATTERNS[layout.format].test(key)) return key;
+  throw new Error(`Unknown sub-field "${key}"`);
+}
+
+// { name: value } for a field value; throws when the value is malformed or a
+// known tag breaks its definition.
+function parseSubfields(layout, fieldValue) {
+  const values = {};
+  if (!fieldValue) return values;
+
+  for (const [tag, value] of Object.entries(readEntries(layout, fieldValue))) {
+    const tagSpec = layout.tags[tag];
+    if (tagSpec) {
+      validateSubfield(tagSpec, tag, value);
+    }
+    values[tagSpec?.name ?? tag] = value;
+  }
+  return values;
+}
+
+// The field value for { name or tag: value }; null/undefined values are left out.
+function buildSubfields(layout, values) {
+  const entries = {};
+  for (const [key, value] of Object.entries(values)) {
+    if (value == null) continue;
+    const tag = findTag(layout, key);
+    const text = `${value}`;
+    if (layout.tags[tag]) {
+      validateSubfield(layout.tags[tag], tag, text);
+    }
+    entries[tag] = text;
+  }
+  return writeEntries(layout, entries);
+}
+
+module.exports = {
+  parseSubfields,
+  buildSubfields,
+};
@@ -0,0 +1,271 @@
+// Message validation for NPSB requests: which fields each MTI must, may or
+// must conditionally carry, plus per-field checks of length, content type
+// (spec.js), date/time values and sub-field layouts. Returns every problem
+// found as { field, code, message } so callers can report them all at once.
+//
+// A conditional rule requires at least one of its fields when its condition
+// holds; conditions look at another field's value (e.g. the DE3 transaction
+// type). In a strict rule (the acquirer financial requests), fields outside
+// its mandatory, conditional and optional lists are rejected as unexpected;
+// network management and reconciliation messages also come from the scheme,
+// which may add fields of its own, so they only get the field checks for
+// those. MTIs without rules only get the field checks.
+
+const { NPSB_SPEC } = require('./spec');
+const { parseSubfields, buildSubfields } = require('./subfields');
+
+const VALIDATION_ERRORS = {
+  INVALID_MTI: 'INVALID_MTI',
+  MISSING_FIELD: 'MISSING_FIELD',
+  UNEXPECTED_FIELD: 'UNEXPECTED_FIELD',
+  INVALID_LENGTH: 'INVALID_LENGTH',
+  INVALID_CONTENT: 'INVALID_CONTENT',
+  INVALID_DATE: 'INVALID_DATE',
+  INVALID_SUBFIELD: 'INVALID_SUBFIELD',
+};
+
+const CONTENT_PATTERNS = {
+  n: /^\d*$/,
+  an: /^[A-Za-z0-9]*$/,
+  ans: /^[\x20-\x7E]*$/,
+  b: /^([0-9A-Fa-f]{2})*$/,
+  z: /^[0-9=D]*$/,
+  'x+n': /^[CD]\d*$/,
+};
+
+// Date/time fields by layout; the year is not carried, so 29 February passes.
+const DATE_FIELDS = {
+  7: 'MMDDhhmmss',
+  12: 'hhmmss',
+  13: 'MMDD',
+  15: 'MMDD',
+};
+const DAYS_IN_MONTH = [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+const TRANSFER_TYPES = ['28', '40']; // A2A and IBFT, see routing and settlement
+const BALANCE_INQUIRY_TYPES = ['31'];
+
+const FINANCIAL_OPTIONAL = [5, 6, 10, 14, 15, 18, 19, 22, 23, 25, 35, 42, 43, 46, 47, 48, 50, 51, 52, 53, 54, 55];
+const FINANCIAL_TRAILER = [112, 125, 128];
+
+const AUTHORIZATION_RULES = {
+  strict: true,
+  mandatory: [2, 3, 7, 11, 12, 13, 32, 37, 41, 49],
+  conditional: [
+    {
+      fields: [4],
+      when: { field: 3, notPrefixes: BALANCE_INQUIRY_TYPES },
+      reason: 'unless DE3 is a balance inquiry (31xxxx)',
+    },
+    {
+      fields: [103],
+      when: { field: 3, prefixes: TRANSFER_TYPES },
+      reason: 'for A2A/IBFT transfers (DE3 28xxxx, 40xxxx)',
+    },
+  ],
+  optional: [...FINANCIAL_OPTIONAL, ...FINANCIAL_TRAILER],
+};
+
+const ADVICE_RULES = {
+  strict: true,
+  mandatory: [2, 3, 4, 7, 11, 32, 37],
+  conditional: [
+    {
+      fields: [103],
+      when: { field: 3, prefixes: TRANSFER_TYPES },
+      reason: 'for A2A/IBFT transfers (DE3 28xxxx, 40xxxx)',
+    },
+  ],
+  optional: [...FINANCIAL_OPTIONAL, 12, 13, 38, 39, 41, 49, 90, ...FINANCIAL_TRAILER],
+};
+
+const REVERSAL_RULES = {
+  strict: true,
+  mandatory: [2, 3, 4, 7, 11, 32, 37, 90],
+  conditional: [],
+  optional: [...FINANCIAL_OPTIONAL, 12, 13, 38, 39, 41, 49, 103, ...FINANCIAL_TRAILER],
+};
+
+const MESSAGE_RULES = {
+  '0100': AUTHORIZATION_RULES,
+  '0200': AUTHORIZATION_RULES,
+  '0120': ADVICE_RULES,
+  '0220': ADVICE_RULES,
+  '0400': REVERSAL_RULES,
+  '0420': REVERSAL_RULES,
+  '0800': {
+    mandatory: [7, 11, 70],
+    conditional: [
+      {
+        fields: [48, 125],
+        when: { field: 70, values: ['161'] },
+        reason: 'for the key block of a key change (DE70 161)',
+      },
+    ],
+    optional: [12, 13, 15, 32, 39, 53, 128],
+  },
+  '0500': {
+    mandatory: [7, 11, 15],
+    conditional: [],
+    optional: [32, 50, 66, 74, 75, 76, 77, 86, 87, 88, 89, 97, 128],
+  },
+};
+MESSAGE_RULES['0520'] = MESSAGE_RULES['0500'];
+
+function isPresent(value) {
+  return value != null && value !== '';
+}
+
+function conditionHolds(condition, fields) {
+  const value = `${fields[condition.field] ?? ''}`;
+  if (condition.prefixes) {
+    return condition.prefixes.some((prefix) => value.startsWith(prefix));
+  }
+  if (condition.notPrefixes) {
+    return isPresent(fields[condition.field]) && !condition.notPrefixes.some((prefix) => value.startsWith(prefix));
+  }
+  if (condition.values) {
+    return condition.values.includes(value.trim());
+  }
+  return isPresent(fields[condition.field]);
+}
+
+function isValidDateTime(value, layout) {
+  if (value.length !== layout.length || !/^\d+$/.test(value)) {
+    return false;
+  }
+  const part = (name) => {
+    const index = layout.indexOf(name);
+    return index === -1 ? null : parseInt(value.slice(index, index + 2), 10);
+  };
+
+  const month = part('MM');
+  const day = part('DD');
+  if (month !== null && (month < 1 || month > 12 || day < 1 || day > DAYS_IN_MONTH[month - 1])) {
+    return false;
+  }
+  const hours = part('hh');
+  return hours === null || (hours <= 23 && part('mm') <= 59 && part('ss') <= 59);
+}
+
+// Field values as the codec would pack them: hex for binary, and sub-field
+// objects built into their field value.
+function toFieldValue(definition, value) {
+  if (Buffer.isBuffer(value)) {
+    return value.toString('hex').toUpperCase();
+  }
+  if (definition.subfields && typeof value === 'object') {
+    return buildSubfields(definition.subfields, value);
+  }
+  return `${value}`;
+}
+
+function validateField(fieldNum, definition, rawValue) {
+  const errors = [];
+  const fail = (code, message) => errors.push({ field: fieldNum, code, message: `DE${fieldNum} ${message}` });
+
+  let value;
+  try {
+    value = toFieldValue(definition, rawValue);
+  } catch (error) {
+    fail(VALIDATION_ERRORS.INVALID_SUBFIELD, error.message);
+    return errors;
+  }
+
+  const binary = definition.contentType === 'b';
+  const text = definition.format === 'fixed' && !binary && definition.contentType !== 'n' ? value.trimEnd() : value;
+  const length = binary ? value.length / 2 : text.length;
+  if (definition.format === 'fixed') {
+    // Short numeric and text values are padded by the codec; binary must be exact.
+    if (binary ? length !== definition.length : length > definition.length) {
+      fail(VALIDATION_ERRORS.INVALID_LENGTH, `must be ${definition.length} long, got ${length}`);
+    }
+  } else if (length > definition.maxLength) {
+    fail(VALIDATION_ERRORS.INVALID_LENGTH, `length ${length} exceeds maximum ${definition.maxLength}`);
+  }
+
+  if (!CONTENT_PATTERNS[definition.contentType].test(text)) {
+    fail(VALIDATION_ERRORS.INVALID_CONTENT, `expects ${definition.contentType} data`);
+  } else if (definition.subfields) {
+    // Also checks the structure: PDS tag/length runs or the TLV template.
+    try {
+      parseSubfields(definition.subfields, value);
+    } catch (error) {
+      fail(VALIDATION_ERRORS.INVALID_SUBFIELD, error.message);
+    }
+  }
+
+  if (DATE_FIELDS[fieldNum] && errors.length === 0 && !isValidDateTime(value, DATE_FIELDS[fieldNum])) {
+    fail(VALIDATION_ERRORS.INVALID_DATE, `is not a valid ${DATE_FIELDS[fieldNum]} value`);
+  }
+  return errors;
+}
+
+// message: { mti, fields } with unpacked values, or values as given to
+// Iso8583Codec.pack. Returns { valid, errors }.
+function validateMessage({ mti, fields = {} }, { spec = NPSB_SPEC, rules = MESSAGE_RULES } = {}) {
+  const errors = [];
+  if (!/^\d{4}$/.test(`${mti}`)) {
+    errors.push({ field: null, code: VALIDATION_ERRORS.INVALID_MTI, message: `MTI must be 4 digits, got ${mti}` });
+    return { valid: false, errors };
+  }
+
+  const rule = rules[mti] ?? null;
+  const allowed = rule?.strict
+    ? new Set([...rule.mandatory, ...rule.conditional.flatMap((condition) => condition.fields), ...rule.optional])
+    : null;
+
+  if (rule) {
+    for (const fieldNum of rule.mandatory) {
+      if (!isPresent(fields[fieldNum])) {
+        errors.push({ field: fieldNum, code: VALIDATION_ERRORS.MISSING_FIELD, message: `DE${fieldNum} is mandatory` });
+      }
+    }
+    for (const condition of rule.conditional) {
+      if (conditionHolds(condition.when, fields) && !condition.fields.some((fieldNum) => isPresent(fields[fieldNum]))) {
+        errors.push({
+          field: condition.fields[0],
+          code: VALIDATION_ERRORS.MISSING_FIELD,
+          message: `DE${condition.fields.join(' or DE')} is required ${condition.reason}`,
+        });
+      }
+    }
+  }
+
+  const present = Object.keys(fields)
+    .map(Number)
+    .filter((fieldNum) => isPresent(fields[fieldNum]))
+    .sort((a, b) => a - b);
+  for (const fieldNum of present) {
+    const definition = spec.fields[fieldNum];
+    if (!definition) {
+      errors.push({
+        field: fieldNum,
+        code: VALIDATION_ERRORS.UNEXPECTED_FIELD,
+        message: `DE${fieldNum} is not defined in the ${spec.name} spec`,
+      });
+      continue;
+    }
+    if (allowed && !allowed.has(fieldNum)) {
+      errors.push({
+        field: fieldNum,
+        code: VALIDATION_ERRORS.UNEXPECTED_FIELD,
+        message: `DE${fieldNum} is not allowed in ${mti}`,
+      });
+    }
+    errors.push(...validateField(fieldNum, definition, fields[fieldNum]));
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+function formatValidationErrors(errors) {
+  return errors.map((error) => error.message).join('; ');
+}
+
+module.exports = {
+  VALIDATION_ERRORS,
+  MESSAGE_RULES,
+  validateMessage,
+  formatValidationErrors,
+};
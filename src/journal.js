@@ -0,0 +1,229 @@
+// Append-only transaction journal. Every request, response, reversal and
+// advice the switch handles is written as one JSON line keyed by a
+// transaction id, so a transaction's full lifecycle can be rebuilt later.
+// PANs are masked before they reach the file; the raw hex is kept as sent
+// except for card data, which is overwritten in place (see redactRaw).
+
+const fs = require('fs');
+const path = require('path');
+const { Iso8583Codec } = require('./iso8583/codec');
+
+// PAN, track 2, track 1, PIN block and chip data.
+const SENSITIVE_FIELDS = [2, 35, 45, 52, 55];
+const rawCodec = new Iso8583Codec();
+
+const JOURNAL_STATES = {
+  RECEIVED: 'received',
+  FORWARDED: 'forwarded',
+  APPROVED: 'approved',
+  DECLINED: 'declined',
+  TIMED_OUT: 'timed-out',
+  REVERSED: 'reversed',
+  STORED: 'stored', // accepted into the SAF queue, destination not yet acknowledged
+  ADVISED: 'advised',
+};
+
+const REVERSAL_RESPONSE_MTIS = new Set(['0410', '0430']);
+
+function maskPan(pan) {
+  const digits = `${pan ?? ''}`.trim();
+  if (digits.length < 11) {
+    return digits ? '*'.repeat(digits.length) : null;
+  }
+  return `${digits.slice(0, 6)}${'*'.repeat(digits.length - 10)}${digits.slice(-4)}`;
+}
+
+// The state a response to the acquirer leaves the transaction in; a declined
+// reversal leaves the original's state alone.
+function getResponseState(mti, responseCode) {
+  if (REVERSAL_RESPONSE_MTIS.has(mti)) {
+    return responseCode === '00' ? JOURNAL_STATES.REVERSED : null;
+  }
+  return responseCode === '00' ? JOURNAL_STATES.APPROVED : JOURNAL_STATES.DECLINED;
+}
+
+// Same-length stand-ins, so the raw message still parses: the PAN masked as
+// in the summary with zeros for the hidden digits, other numeric and binary
+// data zeroed and text starred.
+function redactFieldValue(fieldNum, value) {
+  if (fieldNum === 2) {
+    return (maskPan(value) ?? '').replace(/\*/g, '0');
+  }
+  switch (rawCodec.getDefinition(fieldNum).contentType) {
+    case 'n':
+    case 'z':
+      return value.replace(/\d/g, '0');
+    case 'b':
+      return '0'.repeat(value.length);
+    default:
+      return '*'.repeat(value.length);
+  }
+}
+
+// The raw message (NPSB profile) as hex with SENSITIVE_FIELDS redacted; null
+// when it cannot be parsed, so card data is never written unmasked.
+function redactRaw(raw) {
+  try {
+    let buffer = Buffer.from(raw);
+    const { fields } = rawCodec.unpack(buffer);
+    for (const fieldNum of SENSITIVE_FIELDS) {
+      if (fields[fieldNum] != null) {
+        buffer = rawCodec.setField(buffer, fieldNum, redactFieldValue(fieldNum, fields[fieldNum]));
+      }
+    }
+    return buffer.toString('hex').toUpperCase();
+  } catch (error) {
+    return null;
+  }
+}
+
+function summarizeMessage(message) {
+  const fields = message?.fields ?? {};
+  const value = (fieldNum) => (fields[fieldNum] == null || fields[fieldNum] === '' ? null : `${fields[fieldNum]}`);
+  return {
+    mti: message?.mti ?? null,
+    pan: maskPan(fields[2]),
+    processingCode: value(3),
+    amount: value(4),
+    stan: value(11),
+    rrn: value(37)?.trim() ?? null,
+    responseCode: value(39),
+  };
+}
+
+function toTime(value) {
+  if (value == null || value === '') return null;
+  const time = value instanceof Date ? value.getTime() : Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid journal date ${value}`);
+  }
+  return time;
+}
+
+class TransactionJournal {
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  // event: { direction: 'in'|'out', link, message, raw, state, note }
+  record(transactionId, { direction, link, message, raw, state, note }) {
+    const entry = {
+      transactionId,
+      at: new Date().toISOString(),
+      direction,
+      link: link ?? null,
+      ...summarizeMessage(message),
+      raw: raw ? redactRaw(raw) : null,
+      state: state ?? null,
+      note: note ?? null,
+    };
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.appendFileSync(this.filePath, `${JSON.stringify(entry)}\n`);
+    return entry;
+  }
+
+  readEvents() {
+    if (!fs.existsSync(this.filePath)) {
+      return [];
+    }
+    const events = [];
+    for (const line of fs.readFileSync(this.filePath, 'utf8').split('\n')) {
+      if (!line) continue;
+      try {
+        events.push(JSON.parse(line));
+      } catch (error) {
+        // a line cut short by a crash mid-append; the rest of the file is intact
+      }
+    }
+    return events;
+  }
+
+  // Folds the event log into one record per transaction, oldest first.
+  loadTransactions() {
+    const transactions = new Map();
+    for (const event of this.readEvents()) {
+      let transaction = transactions.get(event.transactionId);
+      if (!transaction) {
+        transaction = {
+          id: event.transactionId,
+          createdAt: event.at,
+          updatedAt: event.at,
+          state: null,
+          mti: event.mti,
+          pan: null,
+          processingCode: null,
+          amount: null,
+          stan: event.stan,
+          rrn: null,
+          responseCode: null,
+          links: [],
+          events: [],
+        };
+        transactions.set(event.transactionId, transaction);
+      }
+
+      transaction.updatedAt = event.at;
+      transaction.state = event.state ?? transaction.state;
+      transaction.pan = transaction.pan ?? event.pan;
+      transaction.processingCode = transaction.processingCode ?? event.processingCode;
+      transaction.amount = transaction.amount ?? event.amount;
+      transaction.rrn = transaction.rrn ?? event.rrn;
+      if (event.direction === 'out' && event.responseCode && event.state) {
+        transaction.responseCode = event.responseCode;
+      }
+      if (event.link && !transaction.links.includes(event.link)) {
+        transaction.links.push(event.link);
+      }
+      transaction.events.push(event);
+    }
+    return Array.from(transactions.values());
+  }
+
+  // filters: { from, to, stan, rrn, pan, amount, responseCode, link, state, limit }.
+  // STAN, RRN and amount match any message in the transaction, so a reversal's
+  // own STAN finds the original it reversed. PAN accepts a full or masked PAN.
+  query(filters = {}) {
+    const from = toTime(filters.from);
+    const to = toTime(filters.to);
+    const pan = filters.pan ? maskPan(filters.pan) : null;
+    const amount = filters.amount != null && filters.amount !== '' ? parseInt(filters.amount, 10) : null;
+    const anyEvent = (transaction, predicate) => transaction.events.some(predicate);
+
+    const matches = this.loadTransactions().filter((transaction) => {
+      const createdAt = Date.parse(transaction.createdAt);
+      if (from != null && createdAt < from) return false;
+      if (to != null && createdAt > to) return false;
+      if (filters.stan && !anyEvent(transaction, (event) => event.stan === `${filters.stan}`.padStart(6, '0'))) {
+        return false;
+      }
+      if (filters.rrn && !anyEvent(transaction, (event) => event.rrn === `${filters.rrn}`.trim())) return false;
+      if (pan && transaction.pan !== pan) return false;
+      if (amount != null && !anyEvent(transaction, (event) => parseInt(event.amount ?? '', 10) === amount)) {
+        return false;
+      }
+      if (filters.responseCode && transaction.responseCode !== filters.responseCode) return false;
+      if (filters.link && !transaction.links.includes(filters.link)) return false;
+      if (filters.state && transaction.state !== filters.state) return false;
+      return true;
+    });
+
+    const limit = parseInt(filters.limit ?? '100', 10);
+    return matches
+      .reverse()
+      .slice(0, limit > 0 ? limit : undefined)
+      .map(({ events, ...transaction }) => ({ ...transaction, messageCount: events.length }));
+  }
+
+  getTransaction(transactionId) {
+    return this.loadTransactions().find((transaction) => transaction.id === transactionId) ?? null;
+  }
+}
+
+module.exports = {
+  JOURNAL_STATES,
+  SENSITIVE_FIELDS,
+  maskPan,
+  redactFieldValue,
+  getResponseState,
+  TransactionJournal,
+};
@@ -0,0 +1,112 @@
+// Per-connection link health for the NPSB switch: sign-on state plus the
+// echo-test bookkeeping that marks a link down after too many missed 0810s.
+
+const LINK_STATES = {
+  SIGNED_OFF: 'signed-off',
+  SIGNED_ON: 'signed-on',
+  DOWN: 'down',
+};
+
+class LinkHealth {
+  constructor(
+    connectionId,
+    { name = connectionId, maxMissedEchoes = 3, initialState = LINK_STATES.SIGNED_OFF, onTransition = null } = {},
+  ) {
+    this.connectionId = connectionId;
+    this.onTransition = onTransition;
+    this.name = name;
+    this.maxMissedEchoes = maxMissedEchoes;
+    this.state = initialState;
+    this.stateBeforeDown = initialState;
+    this.missedEchoes = 0;
+    this.outstandingEchoStan = null;
+    this.outstandingRequests = new Map(); // STAN -> DE70 for switch-originated 0800s
+    this.lastEchoAt = null;
+  }
+
+  transition(nextState, reason) {
+    if (this.state === nextState) return false;
+    console.log(`Link ${this.name} (${this.connectionId}) ${this.state} -> ${nextState}: ${reason}`);
+    if (nextState === LINK_STATES.DOWN) {
+      this.stateBeforeDown = this.state;
+    }
+    this.state = nextState;
+    if (this.onTransition) {
+      this.onTransition(nextState, reason);
+    }
+    return true;
+  }
+
+  isSignedOn() {
+    return this.state === LINK_STATES.SIGNED_ON;
+  }
+
+  signOn(reason) {
+    this.missedEchoes = 0;
+    return this.transition(LINK_STATES.SIGNED_ON, reason);
+  }
+
+  signOff(reason) {
+    return this.transition(LINK_STATES.SIGNED_OFF, reason);
+  }
+
+  // Called before each scheduled echo; an echo still outstanding counts as missed.
+  recordEchoSent(stan) {
+    if (this.outstandingEchoStan != null) {
+      this.outstandingRequests.delete(this.outstandingEchoStan);
+      this.missedEchoes += 1;
+      console.warn(
+        `Link ${this.name} missed echo STAN ${this.outstandingEchoStan} (${this.missedEchoes}/${this.maxMissedEchoes})`,
+      );
+      if (this.missedEchoes >= this.maxMissedEchoes) {
+        this.transition(LINK_STATES.DOWN, `${this.missedEchoes} consecutive echo tests unanswered`);
+      }
+    }
+
+    this.outstandingEchoStan = stan;
+    this.outstandingRequests.set(stan, '301');
+  }
+
+  recordRequestSent(stan, infoCode) {
+    this.outstandingRequests.set(stan, infoCode);
+  }
+
+  // Returns the DE70 of the switch-originated request the 0810 answers, or null.
+  recordResponse(stan, responseCode) {
+    const infoCode = this.outstandingRequests.get(stan);
+    if (infoCode == null) return null;
+    this.outstandingRequests.delete(stan);
+
+    if (infoCode === '301' && stan === this.outstandingEchoStan) {
+      this.outstandingEchoStan = null;
+      this.lastEchoAt = Date.now();
+      if (responseCode === '00') {
+        this.missedEchoes = 0;
+        if (this.state === LINK_STATES.DOWN) {
+          this.transition(this.stateBeforeDown, 'echo test answered');
+        }
+      }
+    } else if (infoCode === '001' && responseCode === '00') {
+      this.signOn('sign-on acknowledged by peer');
+    } else if (infoCode === '002' && responseCode === '00') {
+      this.signOff('sign-off acknowledged by peer');
+    }
+
+    return infoCode;
+  }
+
+  toJSON() {
+    return {
+      connectionId: this.connectionId,
+      name: this.name,
+      state: this.state,
+      missedEchoes: this.missedEchoes,
+      lastEchoAt: this.lastEchoAt,
+    };
+  }
+}
+
+module.exports = {
+  LINK_STATES,
+  LinkHealth,
+};
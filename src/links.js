@@ -0,0 +1,154 @@
+// Named link (participant) configuration for the NPSB switch.
+// Each link declares who a peer is, which role it plays and where it may
+// connect from; inbound sockets are bound to exactly one link or rejected.
+
+const fs = require('fs');
+const { PROFILE_SETTINGS } = require('./iso8583/spec');
+const { normalizeFraming } = require('./framing');
+
+const LINK_ROLES = new Set(['acquirer', 'issuer']);
+
+function normalizeAddress(address) {
+  if (!address) return '';
+  return address.replace(/^::ffff:/, '');
+}
+
+// A link's wire profile only lists the settings where it differs from NPSB.
+function normalizeProfile(profile, name) {
+  if (profile == null) return null;
+  if (typeof profile !== 'object') {
+    throw new Error(`Link ${name} profile must be an object`);
+  }
+
+  const normalized = {};
+  for (const [setting, value] of Object.entries(profile)) {
+    const allowed = PROFILE_SETTINGS[setting];
+    if (!allowed) {
+      throw new Error(`Link ${name} profile has unknown setting "${setting}"`);
+    }
+    if (!allowed.includes(value)) {
+      throw new Error(`Link ${name} profile ${setting} must be one of ${allowed.join(', ')}`);
+    }
+    normalized[setting] = value;
+  }
+  return Object.keys(normalized).length > 0 ? normalized : null;
+}
+
+function normalizeLink(link, index) {
+  if (!link || typeof link !== 'object') {
+    throw new Error(`Link #${index + 1} must be an object`);
+  }
+  if (!link.name) {
+    throw new Error(`Link #${index + 1} is missing "name"`);
+  }
+  if (!LINK_ROLES.has(link.role)) {
+    throw new Error(`Link ${link.name} has unsupported role "${link.role}"`);
+  }
+  if (link.institutionId != null && !/^\d{1,11}$/.test(`${link.institutionId}`)) {
+    throw new Error(`Link ${link.name} institutionId must be 1-11 digits`);
+  }
+
+  const keyExchangeField = link.keyExchangeField != null ? parseInt(link.keyExchangeField, 10) : 48;
+  if (![48, 125].includes(keyExchangeField)) {
+    throw new Error(`Link ${link.name} keyExchangeField must be 48 or 125`);
+  }
+
+  const macAlgorithm = link.macAlgorithm != null ? parseInt(link.macAlgorithm, 10) : 3;
+  if (![1, 3].includes(macAlgorithm)) {
+    throw new Error(`Link ${link.name} macAlgorithm must be 1 or 3`);
+  }
+
+  const pinBlockFormat = link.pinBlockFormat != null ? parseInt(link.pinBlockFormat, 10) : 0;
+  if (![0, 1, 3].includes(pinBlockFormat)) {
+    throw new Error(`Link ${link.name} pinBlockFormat must be 0, 1 or 3`);
+  }
+
+  let outbound = null;
+  if (link.outbound) {
+    const port = parseInt(link.outbound.port, 10);
+    if (!link.outbound.host || Number.isNaN(port)) {
+      throw new Error(`Link ${link.name} outbound needs host and port`);
+    }
+    outbound = { host: link.outbound.host, port };
+  }
+
+  return {
+    name: link.name,
+    role: link.role,
+    institutionId: link.institutionId != null ? `${link.institutionId}` : null,
+    allowedAddresses: new Set((link.allowedAddresses ?? []).map(normalizeAddress)),
+    localPort: link.localPort != null ? parseInt(link.localPort, 10) : null,
+    outbound,
+    signOnRequired: link.signOnRequired !== false,
+    echoIntervalMs: link.echoIntervalMs != null ? parseInt(link.echoIntervalMs, 10) : null,
+    keyExchangeIntervalMs:
+      link.keyExchangeIntervalMs != null ? parseInt(link.keyExchangeIntervalMs, 10) : null,
+    keyExchangeField,
+    keyExchangeType: link.keyExchangeType ?? 'ZPK',
+    macEnabled: link.macEnabled === true,
+    macAlgorithm,
+    macFailureCode: link.macFailureCode ?? null,
+    pinBlockFormat,
+    profile: normalizeProfile(link.profile, link.name),
+    framing: normalizeFraming(link.framing, `Link ${link.name} framing`),
+  };
+}
+
+function loadLinks(filePath) {
+  if (!filePath || !fs.existsSync(filePath)) {
+    return null;
+  }
+
+  const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const links = (raw.links ?? []).map(normalizeLink);
+  const names = new Set();
+  for (const link of links) {
+    if (names.has(link.name)) {
+      throw new Error(`Duplicate link name ${link.name}`);
+    }
+    names.add(link.name);
+  }
+
+  return links;
+}
+
+// A link with a localPort only accepts peers on that listening port, which is
+// how two participants behind the same source address are told apart.
+function identifyPeer(links, remoteAddress, localPort) {
+  const address = normalizeAddress(remoteAddress);
+  const candidates = links.filter(
+    (link) =>
+      link.allowedAddresses.has(address) &&
+      (link.localPort == null || link.localPort === localPort),
+  );
+
+  if (candidates.length === 0) {
+    return { link: null, reason: `no link allows ${address} on port ${localPort}` };
+  }
+
+  const portBound = candidates.filter((link) => link.localPort === localPort);
+  const chosen = portBound.length > 0 ? portBound : candidates;
+  if (chosen.length > 1) {
+    return {
+      link: null,
+      reason: `${address} on port ${localPort} matches links ${chosen.map((link) => link.name).join(', ')}`,
+    };
+  }
+
+  return { link: chosen[0], reason: null };
+}
+
+function getListenPorts(links, defaultPort) {
+  const ports = new Set([defaultPort]);
+  for (const link of links ?? []) {
+    if (link.localPort != null) ports.add(link.localPort);
+  }
+  return Array.from(ports);
+}
+
+module.exports = {
+  loadLinks,
+  identifyPeer,
+  getListenPorts,
+  normalizeAddress,
+};
@@ -0,0 +1,130 @@
+// Live monitoring feed for the switch. A small HTTP server streams every
+// transaction message and a periodic status snapshot (links, in-flight
+// requests, throughput, approval ratio) as Server-Sent Events on /events;
+// /status returns the current snapshot as JSON. web-server.js relays both
+// to the dashboard.
+
+const http = require('http');
+const { describeFields } = require('./iso8583/describe');
+const { JOURNAL_STATES } = require('./journal');
+
+const THROUGHPUT_WINDOW_MS = 60000;
+
+class SwitchMonitor {
+  constructor({ getStatus, statusIntervalMs = 2000 }) {
+    this.getStatus = getStatus;
+    this.statusIntervalMs = statusIntervalMs;
+    this.clients = new Set();
+    this.server = null;
+    this.statusTimer = null;
+    this.sequence = 0;
+    this.messageTimes = [];
+    this.totals = { messages: 0, approved: 0, declined: 0 };
+  }
+
+  // Called for every journalled message; state is the journal state it set.
+  publishMessage({ transactionId, direction, link, message, state, note }) {
+    const now = Date.now();
+    this.pruneMessageTimes(now);
+    this.messageTimes.push(now);
+    this.totals.messages += 1;
+    if (direction === 'out' && state === JOURNAL_STATES.APPROVED) this.totals.approved += 1;
+    if (direction === 'out' && state === JOURNAL_STATES.DECLINED) this.totals.declined += 1;
+
+    this.sequence += 1;
+    this.broadcast('message', {
+      id: this.sequence,
+      at: new Date(now).toISOString(),
+      transactionId,
+      direction,
+      link,
+      mti: message.mti,
+      stan: message.fields?.[11] ?? null,
+      responseCode: message.fields?.[39] ?? null,
+      state: state ?? null,
+      note: note ?? null,
+      fields: describeFields(message.fields ?? {}),
+    });
+  }
+
+  // Times are recorded in order, so everything before the first one still
+  // inside the window has left it.
+  pruneMessageTimes(now) {
+    const firstInWindow = this.messageTimes.findIndex((time) => now - time < THROUGHPUT_WINDOW_MS);
+    this.messageTimes.splice(0, firstInWindow === -1 ? this.messageTimes.length : firstInWindow);
+  }
+
+  getStats(now = Date.now()) {
+    this.pruneMessageTimes(now);
+    const decided = this.totals.approved + this.totals.declined;
+    return {
+      messagesPerMinute: this.messageTimes.length,
+      totalMessages: this.totals.messages,
+      approved: this.totals.approved,
+      declined: this.totals.declined,
+      approvalRatio: decided > 0 ? this.totals.approved / decided : null,
+    };
+  }
+
+  snapshot() {
+    return { at: new Date().toISOString(), ...this.getStatus(), stats: this.getStats() };
+  }
+
+  broadcast(event, data) {
+    const chunk = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    for (const client of this.clients) {
+      client.write(chunk);
+    }
+  }
+
+  handleRequest(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (req.method === 'GET' && pathname === '/status') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(this.snapshot()));
+      return;
+    }
+
+    if (req.method === 'GET' && pathname === '/events') {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+      });
+      res.write(`event: status\ndata: ${JSON.stringify(this.snapshot())}\n\n`);
+      this.clients.add(res);
+      res.on('close', () => this.clients.delete(res));
+      return;
+    }
+
+    res.writeHead(404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Not found' }));
+  }
+
+  listen(port, host, callback) {
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+    this.server.on('error', (error) => {
+      console.error(`Monitor server error on port ${port}`, error);
+    });
+    this.server.listen(port, host, callback);
+    this.statusTimer = setInterval(() => {
+      if (this.clients.size > 0) {
+        this.broadcast('status', this.snapshot());
+      }
+    }, this.statusIntervalMs);
+    return this;
+  }
+
+  close() {
+    clearInterval(this.statusTimer);
+    for (const client of this.clients) {
+      client.end();
+    }
+    this.clients.clear();
+    this.server?.close();
+  }
+}
+
+module.exports = {
+  SwitchMonitor,
+};
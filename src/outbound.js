@@ -0,0 +1,68 @@
+// Outbound (switch-initiated) TCP links for participants that expect the
+// switch to dial them. Reconnects with exponential backoff until stopped.
+
+const net = require('net');
+
+function createOutboundLink(link, { onConnect, minDelayMs = 1000, maxDelayMs = 60000 } = {}) {
+  let socket = null;
+  let reconnectTimer = null;
+  let delayMs = minDelayMs;
+  let stopped = false;
+
+  function scheduleReconnect() {
+    if (stopped || reconnectTimer) return;
+    console.log(
+      `Outbound link ${link.name} reconnecting to ${link.outbound.host}:${link.outbound.port} in ${delayMs}ms`,
+    );
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      connect();
+    }, delayMs);
+    delayMs = Math.min(delayMs * 2, maxDelayMs);
+  }
+
+  function connect() {
+    if (stopped) return;
+
+    let connected = false;
+    socket = net.createConnection({ host: link.outbound.host, port: link.outbound.port });
+
+    socket.once('connect', () => {
+      connected = true;
+      delayMs = minDelayMs;
+      console.log(`Outbound link ${link.name} connected to ${link.outbound.host}:${link.outbound.port}`);
+      try {
+        onConnect(socket);
+      } catch (error) {
+        console.error(`Error initialising outbound link ${link.name}`, error);
+        socket.destroy();
+      }
+    });
+
+    socket.on('error', (error) => {
+      if (connected) return;
+      console.warn(`Outbound link ${link.name} connect failed: ${error.message}`);
+    });
+
+    socket.on('close', () => {
+      socket = null;
+      scheduleReconnect();
+    });
+  }
+
+  connect();
+
+  return {
+    link,
+    stop() {
+      stopped = true;
+      clearTimeout(reconnectTimer);
+      reconnectTimer = null;
+      if (socket) socket.destroy();
+    },
+  };
+}
+
+module.exports = {
+  createOutboundLink,
+};
@@ -0,0 +1,96 @@
+// Issuer routing table for the NPSB switch.
+// Routes map PAN BIN ranges (DE2) and destination account prefixes
+// (DE103 / DE47 PDS927) to named issuer links (see links.js), evaluated in
+// file order.
+
+const fs = require('fs');
+const { getFieldDefinition } = require('./iso8583/spec');
+const { parseSubfields } = require('./iso8583/subfields');
+
+function normalizeRoute(route, index) {
+  if (!route || typeof route !== 'object') {
+    throw new Error(`Route #${index + 1} must be an object`);
+  }
+  if (!route.issuer) {
+    throw new Error(`Route #${index + 1} is missing "issuer"`);
+  }
+
+  const binRanges = (route.binRanges ?? []).map((range) => {
+    const low = `${range.low ?? ''}`;
+    const high = `${range.high ?? range.low ?? ''}`;
+    if (!/^\d+$/.test(low) || !/^\d+$/.test(high) || low.length !== high.length) {
+      throw new Error(`Route #${index + 1} has an invalid BIN range ${low}..${high}`);
+    }
+    return { low, high };
+  });
+
+  const accountPrefixes = (route.accountPrefixes ?? []).map((prefix) => `${prefix}`);
+
+  if (binRanges.length === 0 && accountPrefixes.length === 0) {
+    throw new Error(`Route #${index + 1} needs at least one of binRanges or accountPrefixes`);
+  }
+
+  return {
+    name: route.name ?? `route-${index + 1}`,
+    issuer: route.issuer,
+    binRanges,
+    accountPrefixes,
+  };
+}
+
+function loadRoutingTable(filePath, links) {
+  if (!filePath || !fs.existsSync(filePath)) {
+    return null;
+  }
+  if (!links) {
+    throw new Error(`Routing table ${filePath} requires a link configuration to resolve issuer names`);
+  }
+
+  const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const routes = (raw.routes ?? []).map(normalizeRoute);
+  const issuerNames = new Set(links.filter((link) => link.role === 'issuer').map((link) => link.name));
+
+  for (const route of routes) {
+    if (!issuerNames.has(route.issuer)) {
+      throw new Error(`Route ${route.name} points at unknown issuer link ${route.issuer}`);
+    }
+  }
+
+  return { routes };
+}
+
+function matchesBinRange(pan, range) {
+  if (!pan || pan.length < range.low.length) return false;
+  const bin = pan.slice(0, range.low.length);
+  return bin >= range.low && bin <= range.high;
+}
+
+// DE47 that does not follow its layout simply gives no account to route on.
+function getCounterpartAccount(fields) {
+  try {
+    return parseSubfields(getFieldDefinition(47).subfields, fields[47]).counterpartAccount ?? null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function resolveRoute(table, message) {
+  const pan = message.fields[2]?.trim();
+  const accounts = [message.fields[103]?.trim(), getCounterpartAccount(message.fields)].filter(Boolean);
+
+  for (const route of table.routes) {
+    if (route.binRanges.some((range) => matchesBinRange(pan, range))) {
+      return route;
+    }
+    if (route.accountPrefixes.some((prefix) => accounts.some((account) => account.startsWith(prefix)))) {
+      return route;
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  loadRoutingTable,
+  resolveRoute,
+};
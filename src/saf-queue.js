@@ -0,0 +1,194 @@
+// Persistent store-and-forward queue for 0120/0220/0420 advices. Entries are
+// kept in a JSON file (rewritten atomically on every change) until the
+// destination answers with the matching x130/x230/x430; entries that use up
+// their retry budget are parked with status 'manual' for an operator.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const SAF_STATUSES = {
+  QUEUED: 'queued',
+  MANUAL: 'manual',
+};
+
+const ADVICE_MTIS = new Set(['0120', '0220', '0420']);
+
+// x120 -> x130; repeats (x121) are answered with the same response MTI.
+function getAdviceResponseMti(mti) {
+  return `${mti.slice(0, 2)}3${mti[3] === '1' ? '0' : mti[3]}`;
+}
+
+function getRepeatMti(mti) {
+  return `${mti.slice(0, 3)}1`;
+}
+
+class SafQueue {
+  constructor(filePath, { maxAttempts = 10, minDelayMs = 5000, maxDelayMs = 300000 } = {}) {
+    this.filePath = filePath;
+    this.maxAttempts = maxAttempts;
+    this.minDelayMs = minDelayMs;
+    this.maxDelayMs = maxDelayMs;
+    this.entries = [];
+    this.loadedMtimeMs = null;
+  }
+
+  load() {
+    if (fs.existsSync(this.filePath)) {
+      this.entries = JSON.parse(fs.readFileSync(this.filePath, 'utf8')).entries ?? [];
+      this.loadedMtimeMs = fs.statSync(this.filePath).mtimeMs;
+    } else {
+      this.entries = [];
+      this.loadedMtimeMs = null;
+    }
+    return this;
+  }
+
+  // Picks up edits made by scripts/saf.js while the switch is running.
+  reloadIfChanged() {
+    if (!fs.existsSync(this.filePath)) return false;
+    const { mtimeMs } = fs.statSync(this.filePath);
+    if (mtimeMs === this.loadedMtimeMs) return false;
+    this.load();
+    return true;
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify({ entries: this.entries }, null, 2));
+    fs.renameSync(tempPath, this.filePath);
+    this.loadedMtimeMs = fs.statSync(this.filePath).mtimeMs;
+  }
+
+  enqueue({ destination, mti, fields, reason, journalId, journalState }) {
+    this.reloadIfChanged();
+    if (!ADVICE_MTIS.has(mti)) {
+      throw new Error(`SAF only stores 0120/0220/0420 advices, got ${mti}`);
+    }
+    const now = Date.now();
+    const entry = {
+      id: crypto.randomUUID(),
+      destination: destination ?? null,
+      mti,
+      fields,
+      reason: reason ?? null,
+      journalId: journalId ?? null,
+      journalState: journalState ?? null,
+      status: SAF_STATUSES.QUEUED,
+      attempts: 0,
+      createdAt: new Date(now).toISOString(),
+      lastAttemptAt: null,
+      nextAttemptAt: now,
+    };
+    this.entries.push(entry);
+    this.save();
+    return entry;
+  }
+
+  getBackoffMs(attempts) {
+    return Math.min(this.minDelayMs * 2 ** Math.max(attempts - 1, 0), this.maxDelayMs);
+  }
+
+  // Queued entries whose next attempt is due, oldest first. An entry that has
+  // already been sent maxAttempts times is parked for manual resolution here.
+  takeDue(now = Date.now()) {
+    const due = [];
+    let changed = false;
+    for (const entry of this.entries) {
+      if (entry.status !== SAF_STATUSES.QUEUED || entry.nextAttemptAt > now) continue;
+      if (entry.attempts >= this.maxAttempts) {
+        entry.status = SAF_STATUSES.MANUAL;
+        changed = true;
+        console.warn(
+          `SAF ${entry.mti} STAN ${entry.fields[11]} unanswered after ${entry.attempts} attempts, needs manual resolution`,
+        );
+        continue;
+      }
+      due.push(entry);
+    }
+    if (changed) this.save();
+    return due;
+  }
+
+  // Records a transmission and returns the MTI to send (x121 for repeats).
+  recordAttempt(entry, now = Date.now()) {
+    const mti = entry.attempts === 0 ? entry.mti : getRepeatMti(entry.mti);
+    entry.attempts += 1;
+    entry.lastAttemptAt = new Date(now).toISOString();
+    entry.nextAttemptAt = now + this.getBackoffMs(entry.attempts);
+    this.save();
+    return mti;
+  }
+
+  // Brings forward every queued entry for a destination that has just come back.
+  retryNow(destination, now = Date.now()) {
+    this.reloadIfChanged();
+    let changed = false;
+    for (const entry of this.entries) {
+      if (entry.status === SAF_STATUSES.QUEUED && (entry.destination === destination || entry.destination === null)) {
+        entry.nextAttemptAt = now;
+        changed = true;
+      }
+    }
+    if (changed) this.save();
+  }
+
+  // Removes the entry answered by an x130/x230/x430; returns it, or null.
+  // STANs repeat, so DE7 and DE90 must match too when the response echoes them.
+  acknowledge(response, destination) {
+    this.reloadIfChanged();
+    const echoes = (entry, fieldNum) => {
+      const value = response.fields[fieldNum];
+      return value == null || entry.fields[fieldNum] == null || value === entry.fields[fieldNum];
+    };
+    const index = this.entries.findIndex(
+      (entry) =>
+        entry.attempts > 0 &&
+        getAdviceResponseMti(entry.mti) === response.mti &&
+        entry.fields[11] === response.fields[11] &&
+        echoes(entry, 7) &&
+        echoes(entry, 90) &&
+        (entry.destination === null || entry.destination === destination),
+    );
+    if (index === -1) return null;
+    const [entry] = this.entries.splice(index, 1);
+    this.save();
+    return entry;
+  }
+
+  resolve(id) {
+    const index = this.entries.findIndex((entry) => entry.id === id);
+    if (index === -1) return null;
+    const [entry] = this.entries.splice(index, 1);
+    this.save();
+    return entry;
+  }
+
+  requeue(id) {
+    const entry = this.entries.find((candidate) => candidate.id === id);
+    if (!entry) return null;
+    entry.status = SAF_STATUSES.QUEUED;
+    entry.attempts = 0;
+    entry.nextAttemptAt = Date.now();
+    this.save();
+    return entry;
+  }
+
+  counts() {
+    const counts = {};
+    for (const entry of this.entries) {
+      const destination = entry.destination ?? '(any issuer)';
+      counts[destination] = counts[destination] ?? { queued: 0, manual: 0 };
+      counts[destination][entry.status] += 1;
+    }
+    return counts;
+  }
+}
+
+module.exports = {
+  SAF_STATUSES,
+  ADVICE_MTIS,
+  getAdviceResponseMti,
+  SafQueue,
+};
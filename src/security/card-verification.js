@@ -0,0 +1,103 @@
+// Issuer-side verification algorithms: IBM 3624 PIN offsets, Visa PVV and
+// Visa CVV/CVV2. Used by the HSM simulator; keys are clear Buffers or hex.
+
+const { toKeyBuffer, encryptEcb, xorBuffers } = require('./crypto');
+
+const DEFAULT_DECIMALISATION_TABLE = '0123456789012345';
+
+// Digits first, then the hex letters A-F reduced by 10, as in the Visa PVV/CVV spec.
+function decimaliseVisa(block, count) {
+  const hex = block.toString('hex').toUpperCase();
+  const digits = hex.replace(/[A-F]/g, '');
+  const letters = hex
+    .replace(/\d/g, '')
+    .split('')
+    .map((letter) => `${parseInt(letter, 16) - 10}`)
+    .join('');
+  return `${digits}${letters}`.slice(0, count);
+}
+
+function buildValidationBlock(validationData, accountNumber) {
+  const template = `${validationData}`.toUpperCase();
+  const placeholders = (template.match(/N/g) ?? []).length;
+  const accountDigits = `${accountNumber}`.slice(-placeholders).split('');
+  const filled = template.replace(/N/g, () => accountDigits.shift() ?? '0');
+  if (!/^[0-9A-F]{1,16}$/.test(filled)) {
+    throw new Error('PIN validation data must be up to 16 hex characters');
+  }
+  return Buffer.from(filled.padEnd(16, 'F'), 'hex');
+}
+
+function calculateNaturalPin(pvk, validationData, accountNumber, pinLength, decimalisationTable) {
+  const table = decimalisationTable ?? DEFAULT_DECIMALISATION_TABLE;
+  if (!/^\d{16}$/.test(table)) {
+    throw new Error('Decimalisation table must be 16 digits');
+  }
+  const encrypted = encryptEcb(toKeyBuffer(pvk), buildValidationBlock(validationData, accountNumber));
+  return encrypted
+    .toString('hex')
+    .toUpperCase()
+    .slice(0, pinLength)
+    .split('')
+    .map((nibble) => table[parseInt(nibble, 16)])
+    .join('');
+}
+
+function calculateIbm3624Offset({ pin, pvk, validationData, accountNumber, decimalisationTable }) {
+  const natural = calculateNaturalPin(pvk, validationData, accountNumber, pin.length, decimalisationTable);
+  return pin
+    .split('')
+    .map((digit, index) => `${(Number(digit) - Number(natural[index]) + 10) % 10}`)
+    .join('');
+}
+
+function verifyIbm3624Pin({ pin, pvk, validationData, accountNumber, decimalisationTable, offset, checkLength }) {
+  const length = checkLength ?? pin.length;
+  if (length < 4 || length > pin.length) {
+    return false;
+  }
+  const expected = calculateIbm3624Offset({ pin, pvk, validationData, accountNumber, decimalisationTable });
+  return expected.slice(0, length) === `${offset}`.slice(0, length);
+}
+
+// TSP: rightmost 11 digits of the 12-digit account number, the PVKI and the first four PIN digits.
+function calculatePvv({ pin, pvk, accountNumber, pvki }) {
+  const tsp = `${`${accountNumber}`.slice(-11)}${pvki}${pin.slice(0, 4)}`;
+  if (!/^\d{16}$/.test(tsp)) {
+    throw new Error('PVV input must build a 16-digit transformed security parameter');
+  }
+  return decimaliseVisa(encryptEcb(toKeyBuffer(pvk), Buffer.from(tsp, 'hex')), 4);
+}
+
+function verifyPvv({ pin, pvk, accountNumber, pvki, pvv }) {
+  return calculatePvv({ pin, pvk, accountNumber, pvki }) === `${pvv}`;
+}
+
+function calculateCvv({ cvk, pan, expiry, serviceCode }) {
+  const data = `${pan}${expiry}${serviceCode}`;
+  if (!/^\d+$/.test(data) || data.length > 32) {
+    throw new Error('CVV input must be at most 32 digits');
+  }
+  const key = toKeyBuffer(cvk);
+  if (key.length !== 16) {
+    throw new Error('CVV calculation requires a double-length CVK pair');
+  }
+
+  const block = Buffer.from(data.padEnd(32, '0'), 'hex');
+  const first = encryptEcb(key.slice(0, 8), block.slice(0, 8));
+  return decimaliseVisa(encryptEcb(key, xorBuffers(first, block.slice(8, 16))), 3);
+}
+
+function verifyCvv({ cvk, pan, expiry, serviceCode, cvv }) {
+  return calculateCvv({ cvk, pan, expiry, serviceCode }) === `${cvv}`;
+}
+
+module.exports = {
+  DEFAULT_DECIMALISATION_TABLE,
+  calculateIbm3624Offset,
+  verifyIbm3624Pin,
+  calculatePvv,
+  verifyPvv,
+  calculateCvv,
+  verifyCvv,
+};
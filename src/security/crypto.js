@@ -0,0 +1,83 @@
+// DES/3DES primitives shared by the software key store, MAC and PIN modules.
+// Keys are handled as Buffers or hex strings; single-length keys are expanded
+// to K1K1 so that every operation can run through OpenSSL's 3DES ciphers.
+
+const crypto = require('crypto');
+
+const BLOCK_SIZE = 8;
+
+function toKeyBuffer(key) {
+  const buffer = Buffer.isBuffer(key) ? key : Buffer.from(`${key}`.trim(), 'hex');
+  if (![8, 16, 24].includes(buffer.length)) {
+    throw new Error(`DES key must be 8, 16 or 24 bytes, got ${buffer.length}`);
+  }
+  return buffer;
+}
+
+function getCipher(key) {
+  const buffer = toKeyBuffer(key);
+  if (buffer.length === 8) {
+    return { name: 'des-ede-ecb', key: Buffer.concat([buffer, buffer]) };
+  }
+  return { name: buffer.length === 16 ? 'des-ede-ecb' : 'des-ede3-ecb', key: buffer };
+}
+
+function runEcb(key, data, decrypt) {
+  if (data.length % BLOCK_SIZE !== 0) {
+    throw new Error(`DES data must be a multiple of ${BLOCK_SIZE} bytes`);
+  }
+  const { name, key: cipherKey } = getCipher(key);
+  const cipher = decrypt
+    ? crypto.createDecipheriv(name, cipherKey, null)
+    : crypto.createCipheriv(name, cipherKey, null);
+  cipher.setAutoPadding(false);
+  return Buffer.concat([cipher.update(data), cipher.final()]);
+}
+
+function encryptEcb(key, data) {
+  return runEcb(key, data, false);
+}
+
+function decryptEcb(key, data) {
+  return runEcb(key, data, true);
+}
+
+function xorBuffers(left, right) {
+  const result = Buffer.alloc(Math.min(left.length, right.length));
+  for (let i = 0; i < result.length; i += 1) {
+    result[i] = left[i] ^ right[i];
+  }
+  return result;
+}
+
+function adjustOddParity(buffer) {
+  const adjusted = Buffer.from(buffer);
+  for (let i = 0; i < adjusted.length; i += 1) {
+    let bits = 0;
+    for (let bit = 1; bit < 8; bit += 1) {
+      bits += (adjusted[i] >> bit) & 1;
+    }
+    adjusted[i] = (adjusted[i] & 0xfe) | (bits % 2 === 0 ? 1 : 0);
+  }
+  return adjusted;
+}
+
+function generateKey(length = 16) {
+  return adjustOddParity(crypto.randomBytes(length));
+}
+
+// Key check value: first three bytes of a zero block encrypted under the key.
+function calculateCheckValue(key) {
+  return encryptEcb(key, Buffer.alloc(BLOCK_SIZE)).slice(0, 3).toString('hex').toUpperCase();
+}
+
+module.exports = {
+  BLOCK_SIZE,
+  toKeyBuffer,
+  encryptEcb,
+  decryptEcb,
+  xorBuffers,
+  adjustOddParity,
+  generateKey,
+  calculateCheckValue,
+};
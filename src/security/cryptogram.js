@@ -0,0 +1,95 @@
+// EMV application cryptograms: ICC master key derivation (option A), ARQC
+// verification and ARPC generation (method 1) from a software-held issuer
+// master key. Two schemes are supported:
+//   CVN10 - Visa CVN 10: card master key, zero padding, CVR from the IAD
+//   CSK   - EMV common session key from the ATC, 0x80 padding, full IAD
+
+const crypto = require('crypto');
+const { toKeyBuffer, encryptEcb, xorBuffers, adjustOddParity } = require('./crypto');
+const { calculateMac } = require('./mac');
+
+const CRYPTOGRAM_SCHEMES = new Set(['CVN10', 'CSK']);
+
+// CDOL1 data elements in the order the recommended minimum set feeds the ARQC.
+const ARQC_DATA_TAGS = ['9F02', '9F03', '9F1A', '95', '5F2A', '9A', '9C', '9F37', '82', '9F36'];
+
+function cryptogramError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Y = rightmost 16 digits of PAN || PAN sequence number; MK = 3DES(Y) || 3DES(~Y).
+function deriveCardMasterKey(issuerMasterKey, pan, panSequence = '00') {
+  const digits = `${pan}${`${panSequence ?? '00'}`.padStart(2, '0')}`.replace(/\D/g, '');
+  const y = Buffer.from(digits.slice(-16).padStart(16, '0'), 'hex');
+  const imk = toKeyBuffer(issuerMasterKey);
+  return adjustOddParity(
+    Buffer.concat([encryptEcb(imk, y), encryptEcb(imk, xorBuffers(y, Buffer.alloc(8, 0xff)))]),
+  );
+}
+
+function deriveSessionKey(cardMasterKey, atc) {
+  const atcBuffer = Buffer.from(`${atc}`.padStart(4, '0'), 'hex');
+  const left = Buffer.concat([atcBuffer, Buffer.from([0xf0]), Buffer.alloc(5)]);
+  const right = Buffer.concat([atcBuffer, Buffer.from([0x0f]), Buffer.alloc(5)]);
+  return Buffer.concat([encryptEcb(cardMasterKey, left), encryptEcb(cardMasterKey, right)]);
+}
+
+function buildArqcData(tags, scheme) {
+  const missing = ARQC_DATA_TAGS.filter((tag) => tags[tag] === undefined);
+  if (missing.length > 0) {
+    throw cryptogramError('MISSING_TAGS', `DE55 is missing ARQC data tags ${missing.join(', ')}`);
+  }
+
+  const iad = tags['9F10'] ?? '';
+  const issuerData = scheme === 'CVN10' ? iad.slice(6, 14) : iad;
+  return Buffer.from(`${ARQC_DATA_TAGS.map((tag) => tags[tag]).join('')}${issuerData}`, 'hex');
+}
+
+function getApplicationCryptogramKey({ issuerMasterKey, scheme, pan, tags }) {
+  if (!CRYPTOGRAM_SCHEMES.has(scheme)) {
+    throw cryptogramError('INVALID_SCHEME', `Unsupported cryptogram scheme ${scheme}`);
+  }
+  const cardMasterKey = deriveCardMasterKey(issuerMasterKey, pan, tags['5F34']);
+  if (scheme === 'CVN10') {
+    return cardMasterKey;
+  }
+  if (!tags['9F36']) {
+    throw cryptogramError('MISSING_TAGS', 'DE55 is missing the ATC (9F36)');
+  }
+  return deriveSessionKey(cardMasterKey, tags['9F36']);
+}
+
+function calculateArqc(key, tags, scheme) {
+  return calculateMac(key, buildArqcData(tags, scheme), { algorithm: 3, padding: scheme === 'CVN10' ? 1 : 2 });
+}
+
+// Resolves { valid, key } where key is reused for the ARPC on the response leg.
+function verifyArqc({ issuerMasterKey, scheme, pan, tags }) {
+  if (!tags['9F26']) {
+    throw cryptogramError('MISSING_TAGS', 'DE55 is missing the ARQC (9F26)');
+  }
+  const key = getApplicationCryptogramKey({ issuerMasterKey, scheme, pan, tags });
+  const expected = calculateArqc(key, tags, scheme);
+  const actual = Buffer.from(tags['9F26'], 'hex');
+  return { valid: actual.length === expected.length && crypto.timingSafeEqual(actual, expected), key };
+}
+
+// ARPC method 1: 3DES(key, ARQC XOR ARC || 00..00); ARC is the 2-character response code.
+function generateArpc(key, arqc, responseCode) {
+  const arc = Buffer.from(`${responseCode ?? '00'}`.padEnd(2, ' ').slice(0, 2), 'ascii');
+  const block = xorBuffers(Buffer.from(arqc, 'hex'), Buffer.concat([arc, Buffer.alloc(6)]));
+  return { arpc: encryptEcb(key, block).toString('hex').toUpperCase(), arc: arc.toString('hex').toUpperCase() };
+}
+
+module.exports = {
+  CRYPTOGRAM_SCHEMES,
+  ARQC_DATA_TAGS,
+  deriveCardMasterKey,
+  deriveSessionKey,
+  calculateArqc,
+  getApplicationCryptogramKey,
+  verifyArqc,
+  generateArpc,
+};
@@ -0,0 +1,29 @@
+// Dynamic key exchange payloads (0800 DE70 161/162). The working key travels
+// under the link ZMK in DE48 or DE125 as the keyUnderZmk (PDS 740), keyType
+// (741) and checkValue (742) sub-fields; see the layouts in spec.js.
+
+const { getFieldDefinition } = require('../iso8583/spec');
+const { parseSubfields } = require('../iso8583/subfields');
+
+// Sub-field values for the codec to build into the key exchange field.
+function buildKeyBlock({ keyUnderZmk, type, checkValue }) {
+  return { keyUnderZmk, keyType: type, checkValue };
+}
+
+function parseKeyBlock(fieldNum, fieldValue, defaultType = 'ZPK') {
+  const values = parseSubfields(getFieldDefinition(fieldNum).subfields, fieldValue);
+  if (!values.keyUnderZmk) {
+    throw new Error(`Key block in DE${fieldNum} is missing keyUnderZmk`);
+  }
+
+  return {
+    keyUnderZmk: values.keyUnderZmk,
+    type: values.keyType || defaultType,
+    checkValue: values.checkValue ?? null,
+  };
+}
+
+module.exports = {
+  buildKeyBlock,
+  parseKeyBlock,
+};
@@ -0,0 +1,230 @@
+// Software key store: one ZMK per link plus the working keys exchanged under
+// it, and EMV issuer master keys by BIN prefix. Persisted as AES-256-GCM
+// encrypted JSON so no HSM is required.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const {
+  toKeyBuffer,
+  encryptEcb,
+  decryptEcb,
+  generateKey,
+  calculateCheckValue,
+} = require('./crypto');
+const { CRYPTOGRAM_SCHEMES } = require('./cryptogram');
+
+const WORKING_KEY_TYPES = new Set(['ZPK', 'ZAK']);
+const FILE_VERSION = 1;
+
+function deriveFileKey(passphrase, salt) {
+  return crypto.scryptSync(passphrase, salt, 32);
+}
+
+class KeyStore {
+  constructor(filePath, passphrase) {
+    if (!passphrase) {
+      throw new Error('Key store passphrase is required');
+    }
+    this.filePath = filePath;
+    this.passphrase = passphrase;
+    this.links = {};
+    this.issuerMasterKeys = {};
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      this.links = {};
+      this.issuerMasterKeys = {};
+      return this;
+    }
+
+    const envelope = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    if (envelope.version !== FILE_VERSION) {
+      throw new Error(`Unsupported key store version ${envelope.version}`);
+    }
+
+    const salt = Buffer.from(envelope.salt, 'base64');
+    const decipher = crypto.createDecipheriv(
+      'aes-256-gcm',
+      deriveFileKey(this.passphrase, salt),
+      Buffer.from(envelope.iv, 'base64'),
+    );
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+
+    let plaintext;
+    try {
+      plaintext = Buffer.concat([
+        decipher.update(Buffer.from(envelope.data, 'base64')),
+        decipher.final(),
+      ]);
+    } catch (error) {
+      throw new Error(`Cannot decrypt key store ${this.filePath}: wrong passphrase or corrupt file`);
+    }
+
+    const contents = JSON.parse(plaintext.toString('utf8'));
+    this.links = contents.links ?? {};
+    this.issuerMasterKeys = contents.issuerMasterKeys ?? {};
+    return this;
+  }
+
+  save() {
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', deriveFileKey(this.passphrase, salt), iv);
+    const data = Buffer.concat([
+      cipher.update(JSON.stringify({ links: this.links, issuerMasterKeys: this.issuerMasterKeys }), 'utf8'),
+      cipher.final(),
+    ]);
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(
+      tempPath,
+      JSON.stringify({
+        version: FILE_VERSION,
+        salt: salt.toString('base64'),
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64'),
+      }),
+      { mode: 0o600 },
+    );
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  getLinkEntry(linkName) {
+    if (!this.links[linkName]) {
+      this.links[linkName] = { zmk: null, keys: {} };
+    }
+    return this.links[linkName];
+  }
+
+  setZmk(linkName, zmkHex) {
+    const zmk = toKeyBuffer(zmkHex).toString('hex').toUpperCase();
+    const entry = this.getLinkEntry(linkName);
+    entry.zmk = zmk;
+    entry.keys = {}; // working keys under a replaced ZMK are no longer trustworthy
+    return calculateCheckValue(zmk);
+  }
+
+  hasZmk(linkName) {
+    return Boolean(this.links[linkName]?.zmk);
+  }
+
+  getWorkingKey(linkName, type) {
+    return this.links[linkName]?.keys?.[type]?.key ?? null;
+  }
+
+  // Produces a new working key and its ZMK-encrypted form; nothing is stored
+  // until installWorkingKey() confirms the peer accepted it.
+  generateWorkingKey(linkName, type) {
+    const zmk = this.requireZmk(linkName);
+    assertKeyType(type);
+    const key = generateKey(16);
+    return {
+      type,
+      key: key.toString('hex').toUpperCase(),
+      keyUnderZmk: encryptEcb(zmk, key).toString('hex').toUpperCase(),
+      checkValue: calculateCheckValue(key),
+    };
+  }
+
+  // Decrypts a peer-supplied key under the link ZMK and checks its KCV.
+  unwrapWorkingKey(linkName, type, keyUnderZmkHex, checkValue) {
+    const zmk = this.requireZmk(linkName);
+    assertKeyType(type);
+    const key = decryptEcb(zmk, toKeyBuffer(keyUnderZmkHex));
+    const actualCheckValue = calculateCheckValue(key);
+    if (checkValue && actualCheckValue !== `${checkValue}`.trim().toUpperCase().slice(0, 6)) {
+      throw new Error(
+        `Check value mismatch for ${type} on ${linkName}: expected ${checkValue}, computed ${actualCheckValue}`,
+      );
+    }
+    return { type, key: key.toString('hex').toUpperCase(), checkValue: actualCheckValue };
+  }
+
+  installWorkingKey(linkName, type, keyHex) {
+    assertKeyType(type);
+    const key = toKeyBuffer(keyHex).toString('hex').toUpperCase();
+    const checkValue = calculateCheckValue(key);
+    this.getLinkEntry(linkName).keys[type] = {
+      key,
+      checkValue,
+      updatedAt: new Date().toISOString(),
+    };
+    this.save();
+    return checkValue;
+  }
+
+  setIssuerMasterKey(binPrefix, imkHex, scheme) {
+    if (!/^\d{1,11}$/.test(`${binPrefix}`)) {
+      throw new Error(`BIN prefix must be 1-11 digits, got ${binPrefix}`);
+    }
+    if (!CRYPTOGRAM_SCHEMES.has(scheme)) {
+      throw new Error(`Unsupported cryptogram scheme ${scheme}`);
+    }
+    const imk = toKeyBuffer(imkHex);
+    if (imk.length !== 16) {
+      throw new Error('Issuer master keys must be double-length');
+    }
+    const checkValue = calculateCheckValue(imk);
+    this.issuerMasterKeys[binPrefix] = {
+      imk: imk.toString('hex').toUpperCase(),
+      scheme,
+      checkValue,
+      updatedAt: new Date().toISOString(),
+    };
+    return checkValue;
+  }
+
+  // Longest BIN prefix wins, so a product BIN can override its issuer's range.
+  findIssuerMasterKey(pan) {
+    const digits = `${pan ?? ''}`;
+    const binPrefix = Object.keys(this.issuerMasterKeys)
+      .filter((prefix) => digits.startsWith(prefix))
+      .sort((a, b) => b.length - a.length)[0];
+    return binPrefix ? { binPrefix, ...this.issuerMasterKeys[binPrefix] } : null;
+  }
+
+  describeIssuerMasterKeys() {
+    return Object.entries(this.issuerMasterKeys).map(([binPrefix, entry]) => ({
+      binPrefix,
+      scheme: entry.scheme,
+      checkValue: entry.checkValue,
+      updatedAt: entry.updatedAt,
+    }));
+  }
+
+  requireZmk(linkName) {
+    const zmk = this.links[linkName]?.zmk;
+    if (!zmk) {
+      throw new Error(`No ZMK loaded for link ${linkName}`);
+    }
+    return zmk;
+  }
+
+  describe() {
+    return Object.entries(this.links).map(([linkName, entry]) => ({
+      link: linkName,
+      zmkCheckValue: entry.zmk ? calculateCheckValue(entry.zmk) : null,
+      keys: Object.fromEntries(
+        Object.entries(entry.keys ?? {}).map(([type, key]) => [
+          type,
+          { checkValue: key.checkValue, updatedAt: key.updatedAt },
+        ]),
+      ),
+    }));
+  }
+}
+
+function assertKeyType(type) {
+  if (!WORKING_KEY_TYPES.has(type)) {
+    throw new Error(`Unsupported working key type ${type}`);
+  }
+}
+
+module.exports = {
+  KeyStore,
+  WORKING_KEY_TYPES,
+};
@@ -0,0 +1,124 @@
+// Software PIN block translation for ISO 9564 formats 0, 1 and 3.
+// Errors carry a `code` of PIN_BLOCK_MISSING, INVALID_KEY or INVALID_PIN_BLOCK
+// so callers can map them onto response codes the way NPS.c does.
+
+const crypto = require('crypto');
+const { toKeyBuffer, encryptEcb, decryptEcb, xorBuffers } = require('./crypto');
+
+const PIN_BLOCK_FORMATS = new Set([0, 1, 3]);
+
+function pinError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// PAN field for formats 0 and 3: 0000 + rightmost 12 digits excluding the check digit.
+function buildPanField(pan) {
+  const digits = `${pan ?? ''}`.replace(/\D/g, '');
+  if (digits.length < 13) {
+    throw pinError('INVALID_PIN_BLOCK', 'PAN too short to build a PIN block PAN field');
+  }
+  return Buffer.from(`0000${digits.slice(-13, -1)}`, 'hex');
+}
+
+function randomFill(length, alphabet) {
+  let fill = '';
+  for (let i = 0; i < length; i += 1) {
+    fill += alphabet[crypto.randomInt(alphabet.length)];
+  }
+  return fill;
+}
+
+function encodePinBlock(pin, format, pan) {
+  if (!/^\d{4,12}$/.test(pin)) {
+    throw pinError('INVALID_PIN_BLOCK', 'PIN must be 4-12 digits');
+  }
+
+  const header = `${format}${pin.length.toString(16).toUpperCase()}${pin}`;
+  const fillLength = 16 - header.length;
+
+  if (format === 0) {
+    return xorBuffers(Buffer.from(`${header}${'F'.repeat(fillLength)}`, 'hex'), buildPanField(pan));
+  }
+  if (format === 1) {
+    return Buffer.from(`${header}${randomFill(fillLength, '0123456789ABCDEF')}`, 'hex');
+  }
+  if (format === 3) {
+    return xorBuffers(Buffer.from(`${header}${randomFill(fillLength, 'ABCDEF')}`, 'hex'), buildPanField(pan));
+  }
+
+  throw pinError('INVALID_PIN_BLOCK', `Unsupported PIN block format ${format}`);
+}
+
+function decodePinBlock(clearBlock, format, pan) {
+  const pinField = format === 1 ? clearBlock : xorBuffers(clearBlock, buildPanField(pan));
+  const hex = pinField.toString('hex').toUpperCase();
+
+  if (hex[0] !== `${format}`) {
+    throw pinError('INVALID_PIN_BLOCK', `PIN block control field ${hex[0]} does not match format ${format}`);
+  }
+
+  const pinLength = parseInt(hex[1], 16);
+  const pin = hex.slice(2, 2 + pinLength);
+  const fill = hex.slice(2 + pinLength);
+  if (pinLength < 4 || pinLength > 12 || !/^\d+$/.test(pin)) {
+    throw pinError('INVALID_PIN_BLOCK', 'PIN block does not decode to a valid PIN');
+  }
+  if (format === 0 && !/^F*$/.test(fill)) {
+    throw pinError('INVALID_PIN_BLOCK', 'Format 0 PIN block has invalid padding');
+  }
+  if (format === 3 && !/^[A-F]*$/.test(fill)) {
+    throw pinError('INVALID_PIN_BLOCK', 'Format 3 PIN block has invalid padding');
+  }
+
+  return pin;
+}
+
+function requireKey(key, side) {
+  if (!key) {
+    throw pinError('INVALID_KEY', `No ${side} ZPK available`);
+  }
+  try {
+    return toKeyBuffer(key);
+  } catch (error) {
+    throw pinError('INVALID_KEY', `Invalid ${side} ZPK: ${error.message}`);
+  }
+}
+
+function isMissingPinBlock(pinBlock) {
+  return !pinBlock || /^[0\s]*$/.test(`${pinBlock}`);
+}
+
+function translatePinBlock({
+  pinBlock,
+  pan,
+  sourceKey,
+  sourceFormat = 0,
+  destinationKey,
+  destinationFormat = sourceFormat,
+}) {
+  if (isMissingPinBlock(pinBlock)) {
+    throw pinError('PIN_BLOCK_MISSING', 'Pin Block is Missing');
+  }
+  if (!PIN_BLOCK_FORMATS.has(sourceFormat) || !PIN_BLOCK_FORMATS.has(destinationFormat)) {
+    throw pinError('INVALID_PIN_BLOCK', `Unsupported PIN block format ${sourceFormat}->${destinationFormat}`);
+  }
+
+  const source = requireKey(sourceKey, 'source');
+  const destination = requireKey(destinationKey, 'destination');
+  const encrypted = Buffer.isBuffer(pinBlock) ? pinBlock : Buffer.from(`${pinBlock}`.trim(), 'hex');
+  if (encrypted.length !== 8) {
+    throw pinError('INVALID_PIN_BLOCK', `PIN block must be 8 bytes, got ${encrypted.length}`);
+  }
+
+  const pin = decodePinBlock(decryptEcb(source, encrypted), sourceFormat, pan);
+  return encryptEcb(destination, encodePinBlock(pin, destinationFormat, pan));
+}
+
+module.exports = {
+  PIN_BLOCK_FORMATS,
+  encodePinBlock,
+  decodePinBlock,
+  translatePinBlock,
+};
@@ -1,29 +1,136 @@
+const crypto = require('crypto');
 const net = require('net');
 const fs = require('fs');
-const { ISO8583Encoder } = require('./iso8583/encoder');
+const { Iso8583Codec } = require('./iso8583/codec');
+const { NPSB_SPEC, extendSpec } = require('./iso8583/spec');
+const { validateMessage, formatValidationErrors } = require('./iso8583/validation');
+const { loadRoutingTable, resolveRoute } = require('./routing');
+const { loadLinks, identifyPeer, getListenPorts, normalizeAddress } = require('./links');
+const { createOutboundLink } = require('./outbound');
+const { LinkHealth, LINK_STATES } = require('./link-health');
+const { KeyStore } = require('./security/key-store');
+const { buildKeyBlock, parseKeyBlock } = require('./security/key-exchange');
+const { signMessage, verifyMessageMac } = require('./security/mac');
+const { translatePinBlock } = require('./security/pin');
+const { HsmClient, HSM_RESPONSE_CODES } = require('./hsm/client');
+const { buildTlv, formatIccTags } = require('./iso8583/emv');
+const { verifyArqc, generateArpc } = require('./security/cryptogram');
+const { loadStandInConfig, StandInProcessor, DECLINE_CODES } = require('./stand-in');
+const { SafQueue } = require('./saf-queue');
+const { TransactionJournal, JOURNAL_STATES, getResponseState } = require('./journal');
+const { SwitchMonitor } = require('./monitor');
+const { SettlementLedger, fromDe15, buildTotalsFields, getNetAmount } = require('./settlement');
+const { DEFAULT_FRAMING, encodeFrame, readFrames } = require('./framing');
 
 const PORT = parseInt(process.env.NPSB_PORT ?? '5000', 10);
 const HOST = process.env.NPSB_HOST ?? '0.0.0.0';
-const HEADER_LENGTH = 2;
+const PENDING_TIMEOUT_MS = parseInt(process.env.NPSB_PENDING_TIMEOUT_MS ?? '30000', 10);
+const PENDING_SWEEP_INTERVAL_MS = parseInt(process.env.NPSB_PENDING_SWEEP_INTERVAL_MS ?? '1000', 10);
+const ORIGINAL_RETENTION_MS = parseInt(process.env.NPSB_ORIGINAL_RETENTION_MS ?? '3600000', 10);
+const RECONNECT_MIN_MS = parseInt(process.env.NPSB_RECONNECT_MIN_MS ?? '1000', 10);
+const RECONNECT_MAX_MS = parseInt(process.env.NPSB_RECONNECT_MAX_MS ?? '60000', 10);
+const ECHO_INTERVAL_MS = parseInt(process.env.NPSB_ECHO_INTERVAL_MS ?? '60000', 10);
+const ECHO_MAX_MISSED = parseInt(process.env.NPSB_ECHO_MAX_MISSED ?? '3', 10);
+const KEYSTORE_FILE = process.env.NPSB_KEYSTORE_FILE ?? 'data/keystore.enc';
+const KEYSTORE_PASSPHRASE = process.env.NPSB_KEYSTORE_PASSPHRASE ?? '';
+const KEY_EXCHANGE_INTERVAL_MS = parseInt(process.env.NPSB_KEY_EXCHANGE_INTERVAL_MS ?? '0', 10);
+const MAC_FAILURE_CODE = process.env.NPSB_MAC_FAILURE_CODE ?? 'A0';
+const FORMAT_ERROR_CODE = '30';
+const ARQC_FAILURE_CODE = process.env.NPSB_ARQC_FAILURE_CODE ?? '88';
+const HSM_HOST = process.env.NPSB_HSM_HOST ?? '';
+const HSM_PORT = parseInt(process.env.NPSB_HSM_PORT ?? '1500', 10);
+const HSM_TIMEOUT_MS = parseInt(process.env.NPSB_HSM_TIMEOUT_MS ?? '5000', 10);
 
 const ACQUIRER_HOSTS = parseHostList(process.env.NPSB_ACQUIRERS ?? '');
 const ISSUER_HOSTS = parseHostList(process.env.NPSB_ISSUERS ?? '');
+const ROUTES_FILE = process.env.NPSB_ROUTES_FILE ?? 'config/routes.json';
+const LINKS_FILE = process.env.NPSB_LINKS_FILE ?? 'config/links.json';
+const STANDIN_FILE = process.env.NPSB_STANDIN_FILE ?? 'config/stand-in.json';
+const STANDIN_STATE_FILE = process.env.NPSB_STANDIN_STATE_FILE ?? 'data/stand-in-state.json';
+const SAF_FILE = process.env.NPSB_SAF_FILE ?? 'data/saf-queue.json';
+const SAF_MAX_ATTEMPTS = parseInt(process.env.NPSB_SAF_MAX_ATTEMPTS ?? '10', 10);
+const SAF_RETRY_MIN_MS = parseInt(process.env.NPSB_SAF_RETRY_MIN_MS ?? '5000', 10);
+const SAF_RETRY_MAX_MS = parseInt(process.env.NPSB_SAF_RETRY_MAX_MS ?? '300000', 10);
+const SAF_INTERVAL_MS = parseInt(process.env.NPSB_SAF_INTERVAL_MS ?? '1000', 10);
+const JOURNAL_FILE = process.env.NPSB_JOURNAL_FILE ?? 'data/journal.jsonl';
+const MONITOR_PORT = parseInt(process.env.NPSB_MONITOR_PORT ?? '5080', 10);
+const MONITOR_BIND_HOST = process.env.NPSB_MONITOR_BIND_HOST ?? '127.0.0.1';
+const SETTLEMENT_FILE = process.env.NPSB_SETTLEMENT_FILE ?? 'data/settlement.json';
+const CUTOVER_TIME = process.env.NPSB_CUTOVER_TIME ?? '18:00'; // UTC, midnight in Dhaka
 
 const acquirerConnections = new Map();
 const issuerConnections = new Map();
-const pendingByStan = new Map(); // STAN -> { socket, connectionId, createdAt }
-const isoEncoder = new ISO8583Encoder('ascii', 'bcd');
+const pendingByKey = new Map(); // STAN:DE7:DE32:DE37 -> { socket, connectionId, issuerSocket, issuerConnectionId, issuerLinkName, request, originalKey, cryptogram, createdAt }
+const originalsByKey = new Map(); // MTI:STAN:DE7:DE32 -> { acquirerConnectionId, acquirerLinkName, issuerSocket, issuerConnectionId, issuerLinkName, request, responseCode, reversed, standIn, createdAt }
+const isoCodec = new Iso8583Codec();
+const linkCodecs = new Map(); // link name -> codec for the link's wire profile
+const connectionLinks = new Map(); // connectionId -> configured link
+const linkHealth = new Map(); // connectionId -> LinkHealth
+const pendingKeyChanges = new Map(); // switch STAN -> { linkName, type, key, createdAt }
+let configuredLinks = null;
+let routingTable = null;
+let keyStore = null;
+let hsmClient = null;
+let standIn = null;
+let safQueue = null;
+let journal = null;
+let monitor = null;
+let settlement = null;
+let cutoverTimer = null;
+let switchStan = 0;
 
-const A2A_BITMAP = '';
 const A2A_TRIGGER_FILE = 'send-a2a-request.trigger';
 
-function packIsoMessage(mti, fields, bitmap = '', encoder = isoEncoder) {
-  const packed = encoder.pack({ mti, bitmap, fields });
-  return Buffer.from(packed, 'binary');
+// Data elements copied from the original 0100 into reversal and stand-in advices.
+const REVERSAL_COPY_FIELDS = [2, 3, 4, 5, 6, 11, 12, 13, 18, 22, 32, 37, 41, 42, 43, 49, 103];
+const REVERSAL_MTIS = new Set(['0400', '0420']);
+const ACQUIRER_ADVICE_MTIS = new Set(['0120', '0220']);
+const RECONCILIATION_MTIS = new Set(['0500', '0520']);
+const ADVICE_RESPONSE_MTIS = new Set(['0130', '0230', '0430']);
+// Never stored: the PIN block is under the acquirer's ZPK and the MAC is
+// recalculated for the destination link when the advice is sent.
+const SAF_EXCLUDED_FIELDS = new Set(['52', '64', '128']);
+// DE39 for PIN translation failures, mirroring NPS.c's "Pin Block is Missing"
+// and "INVALID KEY" paths.
+const PIN_ERROR_RESPONSE_CODES = {
+  PIN_BLOCK_MISSING: '55',
+  INVALID_PIN_BLOCK: '55',
+  INVALID_KEY: '96',
+};
+// DE11, DE7, DE32 and DE37 together identify a transaction across acquirers.
+const MATCHING_FIELDS = [11, 7, 32, 37];
+// Echoed from the request into every response the switch builds itself, so
+// the acquirer can pair it with its request on the matching fields.
+const RESPONSE_ECHO_FIELDS = [2, 3, 4, 7, 11, 32, 37, 41];
+
+function pickFields(fields, fieldNums) {
+  const picked = {};
+  for (const fieldNum of fieldNums) {
+    if (fields?.[fieldNum] != null && fields[fieldNum] !== '') {
+      picked[fieldNum] = fields[fieldNum];
+    }
+  }
+  return picked;
+}
+
+function packIsoMessage(mti, fields) {
+  return isoCodec.pack({ mti, fields });
 }
 
 function unpackIsoMessage(buffer) {
-  return isoEncoder.unpackFromBuffer(buffer);
+  return isoCodec.unpack(buffer);
+}
+
+// The switch works on messages in the NPSB profile; a link with a profile of
+// its own is translated on the way in and on the way out.
+function getLinkCodec(link) {
+  if (!link?.profile) {
+    return isoCodec;
+  }
+  if (!linkCodecs.has(link.name)) {
+    linkCodecs.set(link.name, new Iso8583Codec(extendSpec(NPSB_SPEC, link.profile)));
+  }
+  return linkCodecs.get(link.name);
 }
 
 function buildSampleA2AFields() {
@@ -42,11 +149,11 @@ function buildSampleA2AFields() {
     41: '90200151',
     42: 'AL-ARAFAH BANK ',
     43: 'aibl i-banking           DHAKA        BD',
-    47: '9270162000004444555560',
-    48: '8480132001070006085',
+    47: { counterpartAccount: '2000004444555560' },
+    48: { paymentServiceCode: '2001070006085' },
     49: '050',
     103: '2001070006085',
-    112: '    TWHAT_TRX  TIBFTA2A',
+    112: { parameterName: 'TWHAT_TRX', transactionType: 'TIBFTA2A' },
   };
 }
 
@@ -70,8 +177,9 @@ function sendAccountToAccountRequest(connectionId) {
 
   try {
     const fields = buildSampleA2AFields();
-    const messageBuffer = packIsoMessage('0100', fields, A2A_BITMAP);
-    const payload = wrapWithHeader(messageBuffer);
+    const link = connectionLinks.get(targetId);
+    const messageBuffer = getLinkCodec(link).translate(packIsoMessage('0100', fields), isoCodec);
+    const payload = frameMessage(link, messageBuffer);
     targetConnection.write(payload);
 
     console.log('Sent sample 0100 A2A request', {
@@ -99,11 +207,6 @@ function parseHostList(value) {
   );
 }
 
-function normalizeAddress(address) {
-  if (!address) return '';
-  return address.replace(/^::ffff:/, '');
-}
-
 function getTransmissionDateTime() {
   const now = new Date();
   const pad = (value, size) => value.toString().padStart(size, '0');
@@ -117,18 +220,198 @@ function getTransmissionDateTime() {
   return `${month}${day}${hours}${minutes}${seconds}`;
 }
 
-function wrapWithHeader(buffer) {
-  const header = Buffer.alloc(HEADER_LENGTH);
-  header.writeUInt16BE(buffer.length);
-  return Buffer.concat([header, buffer]);
+// Legacy address-assigned connections use the original 2-byte binary length.
+function frameMessage(link, buffer) {
+  return encodeFrame(link?.framing ?? DEFAULT_FRAMING, buffer);
 }
 
-function getFirstSocket(connectionMap) {
-  const iterator = connectionMap.values();
-  const result = iterator.next();
-  return result.done ? null : result.value;
+function isSignedOn(connectionId) {
+  return linkHealth.get(connectionId)?.isSignedOn() ?? false;
 }
 
+function isNetworkMessage(messageBuffer, codec = isoCodec) {
+  return codec.decodeMti(messageBuffer).startsWith('08');
+}
+
+// Network management traffic is never MACed; everything else sent to a
+// MAC-enabled link is signed with that link's exchanged ZAK. The MAC is
+// calculated over the bytes as they go out in the link's profile. A message
+// that is not signed here loses any DE128 it arrived with, which was
+// calculated under another link's key and would not verify.
+function applyOutboundMac(link, messageBuffer, codec = isoCodec) {
+  if (!link?.macEnabled || isNetworkMessage(messageBuffer, codec)) {
+    return codec.removeField(messageBuffer, 128);
+  }
+
+  const key = keyStore?.getWorkingKey(link.name, 'ZAK');
+  if (!key) {
+    console.warn(`No ZAK available for ${link.name}, sending message without DE128`);
+    return codec.removeField(messageBuffer, 128);
+  }
+  return signMessage(key, messageBuffer, { algorithm: link.macAlgorithm, codec });
+}
+
+// Takes a message in the NPSB profile and writes it in the link's profile.
+// Returns the message as written, after any DE128 was applied, converted
+// back to the NPSB profile so callers can unpack and journal it uniformly.
+function sendMessage(socket, messageBuffer) {
+  const link = connectionLinks.get(getConnectionId(socket));
+  const linkCodec = getLinkCodec(link);
+  const outgoingBuffer = applyOutboundMac(link, linkCodec.translate(messageBuffer, isoCodec), linkCodec);
+  socket.write(frameMessage(link, outgoingBuffer));
+  return isoCodec.translate(outgoingBuffer, linkCodec);
+}
+
+// Records a transaction message in the journal and on the live monitor. A
+// journal write failure is logged but never stops a message being handled.
+function journalMessage(transactionId, direction, connectionId, message, raw, state = null, note = null) {
+  const link = connectionLinks.get(connectionId)?.name ?? connectionId;
+  if (journal && transactionId) {
+    try {
+      journal.record(transactionId, { direction, link, message, raw, state, note });
+    } catch (error) {
+      console.error(`Failed to journal ${message.mti} STAN ${message.fields?.[11]}`, error);
+    }
+  }
+  monitor?.publishMessage({ transactionId, direction, link, message, state, note });
+}
+
+// Reversals are journalled against the transaction they reverse when the
+// switch still knows it; everything else starts a new transaction.
+function journalAcquirerRequest(connectionId, message, rawBuffer) {
+  const original = REVERSAL_MTIS.has(message.mti) ? findOriginalForReversal(message).original : null;
+  if (original?.request.journalId) {
+    message.journalId = original.request.journalId;
+    journalMessage(message.journalId, 'in', connectionId, message, rawBuffer);
+    return;
+  }
+
+  message.journalId = crypto.randomUUID();
+  journalMessage(message.journalId, 'in', connectionId, message, rawBuffer, JOURNAL_STATES.RECEIVED);
+}
+
+// Sends a response to an acquirer request and journals it; the state
+// defaults to whatever DE39 of the response implies.
+function replyToAcquirer(socket, request, responseBuffer, state, note = null) {
+  const sent = sendMessage(socket, responseBuffer);
+  const response = unpackIsoMessage(sent);
+  journalMessage(
+    request.journalId,
+    'out',
+    getConnectionId(socket),
+    response,
+    sent,
+    state !== undefined ? state : getResponseState(response.mti, response.fields[39]),
+    note,
+  );
+}
+
+// Checks a request against the field rules; logs and returns the errors
+// summary when it fails, null when the request is well formed.
+function checkRequestFormat(connectionId, message) {
+  const { valid, errors } = validateMessage(message);
+  if (valid) {
+    return null;
+  }
+  const summary = formatValidationErrors(errors);
+  console.warn(`Format error in ${message.mti} STAN ${message.fields[11]} from ${connectionId}: ${summary}`);
+  return summary;
+}
+
+// Snapshot for the live monitor: every link (connected or only configured),
+// in-flight requests and SAF depth per destination.
+function getSwitchStatus(now = Date.now()) {
+  const links = Array.from(linkHealth.entries()).map(([connectionId, health]) => {
+    let role = 'unknown';
+    if (acquirerConnections.has(connectionId)) role = 'acquirer';
+    if (issuerConnections.has(connectionId)) role = 'issuer';
+    return {
+      connectionId,
+      name: connectionLinks.get(connectionId)?.name ?? null,
+      role,
+      state: health.state,
+      missedEchoes: health.missedEchoes,
+    };
+  });
+  const connectedNames = new Set(links.map((link) => link.name));
+  for (const link of configuredLinks ?? []) {
+    if (!connectedNames.has(link.name)) {
+      links.push({ connectionId: null, name: link.name, role: link.role, state: 'disconnected', missedEchoes: 0 });
+    }
+  }
+
+  const pending = Array.from(pendingByKey.values()).map((entry) => ({
+    transactionId: entry.request.journalId ?? null,
+    mti: entry.request.mti,
+    stan: entry.request.fields[11],
+    acquirer: connectionLinks.get(entry.connectionId)?.name ?? entry.connectionId,
+    issuer: entry.issuerLinkName ?? entry.issuerConnectionId,
+    ageMs: now - entry.createdAt,
+  }));
+
+  return { links, pending, saf: safQueue?.counts() ?? {}, settlementDate: settlement?.settlementDate ?? null };
+}
+
+function verifyInboundMac(connectionId, message, payload) {
+  const link = connectionLinks.get(connectionId);
+  if (!link?.macEnabled || message.mti.startsWith('08')) {
+    return true;
+  }
+
+  const key = keyStore?.getWorkingKey(link.name, 'ZAK');
+  if (!key) {
+    console.warn(`No ZAK available for ${link.name}, cannot verify DE128`);
+    return false;
+  }
+  return verifyMessageMac(key, payload, { algorithm: link.macAlgorithm, codec: getLinkCodec(link) });
+}
+
+function getFirstSignedOnSocket(connectionMap) {
+  for (const [connectionId, socket] of connectionMap.entries()) {
+    if (isSignedOn(connectionId)) {
+      return socket;
+    }
+  }
+  return null;
+}
+
+function nextSwitchStan() {
+  switchStan = (switchStan % 999999) + 1;
+  return switchStan.toString().padStart(6, '0');
+}
+
+function getConnectionId(socket) {
+  return `${normalizeAddress(socket.remoteAddress)}:${socket.remotePort}`;
+}
+
+function findIssuerSocketByName(issuerName) {
+  for (const [connectionId, socket] of issuerConnections.entries()) {
+    if (connectionLinks.get(connectionId)?.name === issuerName && isSignedOn(connectionId)) {
+      return socket;
+    }
+  }
+  return null;
+}
+
+// Without a routing table the switch keeps its single-issuer behaviour.
+function resolveIssuer(message) {
+  if (!routingTable) {
+    return { socket: getFirstSignedOnSocket(issuerConnections), responseCode: '91' };
+  }
+
+  const route = resolveRoute(routingTable, message);
+  if (!route) {
+    return { socket: null, responseCode: '15' }; // no such issuer
+  }
+
+  const socket = findIssuerSocketByName(route.issuer);
+  if (!socket) {
+    console.warn(`Route ${route.name} matched but issuer ${route.issuer} is not connected and signed on`);
+  }
+  return { socket, issuerName: route.issuer, responseCode: '91' };
+}
+
+// Legacy role assignment, used only when no link configuration is present.
 function determineRole(address) {
   const normalized = normalizeAddress(address);
   // Treat localhost as acquirer for testing
@@ -141,134 +424,1090 @@ function determineRole(address) {
   return 'unknown';
 }
 
-function buildNetworkResponse(request) {
-  const infoCode = request.fields[70];
-  const stan = request.fields[11] ?? '000000';
-  const transmissionDateTime = request.fields[7] ?? getTransmissionDateTime();
+function buildNetworkResponse(request, responseCode, extraFields = {}) {
+  const infoCode = request.fields[70]?.trim();
 
-  if (!infoCode) {
-    return packIsoMessage('0810', {
-      7: transmissionDateTime,
-      11: stan,
-      39: '96',
-      70: '000',
+  return packIsoMessage('0810', {
+    7: request.fields[7] ?? getTransmissionDateTime(),
+    11: request.fields[11] ?? '000000',
+    39: responseCode,
+    70: infoCode || '000',
+    ...extraFields,
+  });
+}
+
+function getResponseMti(mti) {
+  const responseClass = (parseInt(mti[2], 10) + 1) % 10;
+  return `${mti.slice(0, 2)}${responseClass}${mti[3]}`;
+}
+
+// DE90 layout: original MTI (4), STAN (6), DE7 (10), acquirer ID (11), forwarder ID (11).
+function buildOriginalDataElements(original) {
+  const fields = original.fields;
+  return [
+    original.mti,
+    (fields[11] ?? '').padStart(6, '0'),
+    (fields[7] ?? '').padStart(10, '0'),
+    (fields[32] ?? '').padStart(11, '0'),
+    (fields[33] ?? '').padStart(11, '0'),
+  ].join('');
+}
+
+function parseOriginalDataElements(value) {
+  if (!value || !/^\d{42}$/.test(value)) {
+    return null;
+  }
+
+  return {
+    mti: value.slice(0, 4),
+    stan: value.slice(4, 10),
+    transmissionDateTime: value.slice(10, 20),
+    acquirerId: value.slice(20, 31),
+    forwarderId: value.slice(31, 42),
+  };
+}
+
+function normalizeMatchingField(fieldNum, value) {
+  const trimmed = `${value ?? ''}`.trim();
+  return fieldNum === 32 ? trimmed.padStart(11, '0') : trimmed;
+}
+
+function getMatchingKey(fields) {
+  return MATCHING_FIELDS.map((fieldNum) => normalizeMatchingField(fieldNum, fields[fieldNum])).join(':');
+}
+
+function getOriginalKey(mti, stan, transmissionDateTime, acquirerId) {
+  return [
+    mti,
+    normalizeMatchingField(11, stan),
+    normalizeMatchingField(7, transmissionDateTime),
+    normalizeMatchingField(32, acquirerId),
+  ].join(':');
+}
+
+// Issuers do not always echo every matching field, so an inexact response
+// is matched on the fields it does carry as long as that is unambiguous.
+function findPendingKeyForResponse(message) {
+  const answers = (entry) => getResponseMti(entry.request.mti) === message.mti;
+  const exactKey = getMatchingKey(message.fields);
+  if (pendingByKey.has(exactKey) && answers(pendingByKey.get(exactKey))) {
+    return exactKey;
+  }
+
+  const candidates = [];
+  for (const [key, entry] of pendingByKey.entries()) {
+    if (!answers(entry)) {
+      continue;
+    }
+    const matches = MATCHING_FIELDS.every((fieldNum) => {
+      const value = message.fields[fieldNum];
+      if (value == null || `${value}`.trim() === '') {
+        return fieldNum !== 11;
+      }
+      return (
+        normalizeMatchingField(fieldNum, value) ===
+        normalizeMatchingField(fieldNum, entry.request.fields[fieldNum])
+      );
     });
+    if (matches) {
+      candidates.push(key);
+    }
+  }
+
+  if (candidates.length > 1) {
+    console.warn(
+      `Issuer response STAN ${message.fields[11]} matches ${candidates.length} pending requests, refusing to guess`,
+    );
+    return null;
+  }
+
+  return candidates[0] ?? null;
+}
+
+function sendNetworkRequest(connectionId, socket, infoCode, extraFields = {}) {
+  const health = linkHealth.get(connectionId);
+  const stan = nextSwitchStan();
+
+  if (health) {
+    if (infoCode === '301') {
+      health.recordEchoSent(stan);
+    } else {
+      health.recordRequestSent(stan, infoCode);
+    }
+  }
+
+  sendMessage(
+    socket,
+    packIsoMessage('0800', {
+      7: getTransmissionDateTime(),
+      11: stan,
+      70: infoCode,
+      ...extraFields,
+    }),
+  );
+  return stan;
+}
+
+// Switch-initiated key change (DE70 161); the key is installed once the peer
+// acknowledges it with an 0810 DE39 00.
+function sendKeyChange(connectionId, socket) {
+  const link = connectionLinks.get(connectionId);
+  if (!keyStore || !link || !keyStore.hasZmk(link.name)) {
+    console.warn(`Skipping key exchange for ${link?.name ?? connectionId}: no ZMK available`);
+    return;
   }
 
-  const normalizedInfoCode = typeof infoCode === 'string' ? infoCode.trim() : infoCode;
+  const generated = keyStore.generateWorkingKey(link.name, link.keyExchangeType);
+  const stan = sendNetworkRequest(connectionId, socket, '161', {
+    [link.keyExchangeField]: buildKeyBlock(generated),
+  });
+  pendingKeyChanges.set(stan, { linkName: link.name, type: generated.type, key: generated.key, createdAt: Date.now() });
   console.log(
-    `Network management request MTI ${request.mti}, DE70 raw=[${infoCode}] normalized=[${normalizedInfoCode}]`,
+    `Sent 0800 key change (DE70 161) ${generated.type} KCV ${generated.checkValue} to ${link.name}`,
   );
+}
 
-  if (normalizedInfoCode === '162') {
-    return packIsoMessage('0810', {
-      7: transmissionDateTime,
-      11: stan,
-      39: '00',
-      70: normalizedInfoCode,
-    });
+// The peer's key block, in the link's key exchange field or else DE48 or DE125.
+function getKeyExchangeField(message, link) {
+  return [link.keyExchangeField, 48, 125].find((fieldNum) => message.fields[fieldNum] != null) ?? link.keyExchangeField;
+}
+
+// Peer-pushed key (DE70 161): unwrap under the ZMK and verify the check value.
+function acceptPeerKey(connectionId, message) {
+  const link = connectionLinks.get(connectionId);
+  if (!keyStore || !link) {
+    console.warn(`Cannot accept key change from ${connectionId}: no key store or link identity`);
+    return { responseCode: '96' };
   }
 
-  const supported = new Set(['001', '002', '301']);
-  if (!supported.has(normalizedInfoCode)) {
-    return packIsoMessage('0810', {
-      7: transmissionDateTime,
-      11: stan,
-      39: '96',
-      70: normalizedInfoCode ?? '000',
+  try {
+    const fieldNum = getKeyExchangeField(message, link);
+    const block = parseKeyBlock(fieldNum, message.fields[fieldNum], link.keyExchangeType);
+    const unwrapped = keyStore.unwrapWorkingKey(link.name, block.type, block.keyUnderZmk, block.checkValue);
+    keyStore.installWorkingKey(link.name, unwrapped.type, unwrapped.key);
+    console.log(`Installed ${unwrapped.type} KCV ${unwrapped.checkValue} from ${link.name}`);
+    return { responseCode: '00' };
+  } catch (error) {
+    console.warn(`Rejected key change from ${link.name}: ${error.message}`);
+    return { responseCode: '96' };
+  }
+}
+
+// Peer-requested key (DE70 162): generate, install and return it in the 0810.
+function issueKeyToPeer(connectionId) {
+  const link = connectionLinks.get(connectionId);
+  if (!keyStore || !link || !keyStore.hasZmk(link.name)) {
+    console.warn(`Cannot answer key exchange request from ${connectionId}: no ZMK available`);
+    return { responseCode: '96' };
+  }
+
+  const generated = keyStore.generateWorkingKey(link.name, link.keyExchangeType);
+  keyStore.installWorkingKey(link.name, generated.type, generated.key);
+  console.log(`Issued ${generated.type} KCV ${generated.checkValue} to ${link.name}`);
+  return {
+    responseCode: '00',
+    fields: { [link.keyExchangeField]: buildKeyBlock(generated) },
+  };
+}
+
+// Applies a peer's 0800 and returns the DE39 (plus any extra fields) for the
+// 0810: '00' only when the requested state change actually took effect.
+function applyNetworkRequest(connectionId, message) {
+  const health = linkHealth.get(connectionId);
+  const infoCode = message.fields[70]?.trim();
+
+  switch (infoCode) {
+    case '001':
+    case '002': {
+      if (!health) {
+        console.warn(`Cannot apply DE70 ${infoCode} for untracked connection ${connectionId}`);
+        return { responseCode: '96' };
+      }
+      if (infoCode === '001') {
+        health.signOn('0800 sign-on received');
+        return { responseCode: health.isSignedOn() ? '00' : '96' };
+      }
+      health.signOff('0800 sign-off received');
+      return { responseCode: health.state === LINK_STATES.SIGNED_OFF ? '00' : '96' };
+    }
+    case '161':
+      return acceptPeerKey(connectionId, message);
+    case '162':
+      return issueKeyToPeer(connectionId);
+    case '301':
+      return { responseCode: '00' };
+    default:
+      return { responseCode: '96' };
+  }
+}
+
+function handleNetworkRequest(connectionId, socket, message) {
+  const infoCode = message.fields[70]?.trim();
+  console.log(`Network management request MTI ${message.mti}, DE70 [${infoCode}] from ${connectionId}`);
+
+  let result = { responseCode: '96' };
+  if (checkRequestFormat(connectionId, message)) {
+    result = { responseCode: FORMAT_ERROR_CODE };
+  } else if (infoCode) {
+    result = applyNetworkRequest(connectionId, message);
+  }
+  const { responseCode, fields } = result;
+  sendMessage(socket, buildNetworkResponse(message, responseCode, fields));
+  console.log(`Answered DE70 ${infoCode} with DE39 ${responseCode} for ${connectionId}`);
+}
+
+function handleNetworkResponse(connectionId, message) {
+  const health = linkHealth.get(connectionId);
+  const stan = message.fields[11];
+  const answered = health?.recordResponse(stan, message.fields[39]?.trim());
+
+  if (answered == null) {
+    console.warn(`Unsolicited ${message.mti} STAN ${stan} DE70 ${message.fields[70]} from ${connectionId}`);
+    return;
+  }
+
+  if (answered === '161') {
+    const pendingKey = pendingKeyChanges.get(stan);
+    pendingKeyChanges.delete(stan);
+    if (pendingKey && message.fields[39]?.trim() === '00') {
+      const checkValue = keyStore.installWorkingKey(pendingKey.linkName, pendingKey.type, pendingKey.key);
+      console.log(`Peer ${pendingKey.linkName} accepted ${pendingKey.type} KCV ${checkValue}`);
+    } else if (pendingKey) {
+      console.warn(`Peer ${pendingKey.linkName} rejected ${pendingKey.type} key change (DE39 ${message.fields[39]})`);
+    } else {
+      console.warn(`Ignoring late key change response STAN ${stan} from ${connectionId}, the key was discarded`);
+    }
+  }
+
+  console.log(
+    `Received ${message.mti} DE70 ${answered} DE39 ${message.fields[39]} from ${connectionId}`,
+  );
+}
+
+function stampSettlementDate(messageBuffer) {
+  return settlement ? isoCodec.setField(messageBuffer, 15, settlement.getDe15()) : messageBuffer;
+}
+
+// Links without a configured name (legacy address-assigned connections) settle
+// as a single "acquirer" and a single "issuer" participant.
+function getParticipantName(connectionId, role) {
+  return connectionLinks.get(connectionId)?.name ?? role;
+}
+
+function bookTransaction({ acquirer, issuer, request, amount, reversal = false }) {
+  if (!settlement) {
+    return;
+  }
+  try {
+    settlement.record({
+      acquirer,
+      issuer: issuer ?? 'issuer',
+      processingCode: request.fields[3],
+      amount: amount ?? request.fields[4],
+      reversal,
     });
+  } catch (error) {
+    console.error(`Failed to book STAN ${request.fields[11]} for settlement`, error);
   }
+}
 
-  return packIsoMessage('0810', {
-    7: transmissionDateTime,
-    11: stan,
-    39: '00',
-    70: normalizedInfoCode,
+// A reversal is booked once, and only against an original that was approved.
+function bookReversal(acquirerConnectionId, original, reversal) {
+  if (!original || original.responseCode !== '00' || original.reversed) {
+    return;
+  }
+  original.reversed = true;
+  bookTransaction({
+    acquirer: getParticipantName(original.acquirerConnectionId ?? acquirerConnectionId, 'acquirer'),
+    issuer: original.issuerLinkName,
+    request: original.request,
+    amount: reversal.fields[4],
+    reversal: true,
   });
 }
 
-function sendBackToAcquirer(stan, rawBuffer) {
-  const pending = pendingByStan.get(stan);
+// 0500/0520 carry a participant's own totals for the settlement date in DE15;
+// the answer carries the switch's totals and DE66 says whether they agree.
+function handleReconciliationRequest(connectionId, socket, message, role) {
+  const respond = (responseCode, extraFields = {}) =>
+    sendMessage(
+      socket,
+      packIsoMessage(getResponseMti(message.mti), {
+        7: getTransmissionDateTime(),
+        ...pickFields(message.fields, [...RESPONSE_ECHO_FIELDS, 15]),
+        39: responseCode,
+        ...extraFields,
+      }),
+    );
+
+  if (!isSignedOn(connectionId)) {
+    console.warn(`Rejected ${message.mti} from ${role} ${connectionId}: link is not signed on`);
+    respond('91');
+    return;
+  }
+  if (checkRequestFormat(connectionId, message)) {
+    respond(FORMAT_ERROR_CODE);
+    return;
+  }
+
+  const participant = getParticipantName(connectionId, role);
+  const settlementDate = fromDe15(message.fields[15], settlement.settlementDate);
+  const { settlementCode, totals, differences } = settlement.reconcile(participant, settlementDate, message.fields);
+  for (const difference of differences) {
+    console.warn(
+      `Reconciliation ${participant} ${settlementDate}: DE${difference.field} ${difference.total} ${difference.measure} ` +
+        `reported ${difference.reported}, switch has ${difference.expected}`,
+    );
+  }
+  console.log(
+    `Reconciliation ${participant} ${settlementDate}: ${differences.length === 0 ? 'in balance' : 'out of balance'}, ` +
+      `net ${getNetAmount(totals)}`,
+  );
+  respond('00', { 66: settlementCode, ...buildTotalsFields(totals) });
+}
+
+function sendBackToAcquirer(connectionId, rawBuffer, message) {
+  const stan = message.fields[11];
+  const key = findPendingKeyForResponse(message);
+  const pending = key ? pendingByKey.get(key) : null;
   if (!pending) {
     console.warn(`No pending acquirer request for STAN ${stan}`);
     return;
   }
+  journalMessage(pending.request.journalId, 'in', connectionId, message, rawBuffer);
+
+  const original = pending.originalKey ? originalsByKey.get(pending.originalKey) : null;
+  if (original && message.mti === '0110') {
+    original.responseCode = message.fields[39];
+    if (message.fields[39] === '00') {
+      bookTransaction({
+        acquirer: getParticipantName(pending.connectionId, 'acquirer'),
+        issuer: pending.issuerLinkName,
+        request: pending.request,
+      });
+    }
+  }
+  if (REVERSAL_MTIS.has(pending.request.mti) && message.fields[39] === '00') {
+    bookReversal(pending.connectionId, original, pending.request);
+  }
 
   try {
-    pending.socket.write(wrapWithHeader(rawBuffer));
+    const outgoingBuffer = stampSettlementDate(
+      pending.cryptogram ? addIssuerAuthenticationData(rawBuffer, message, pending.cryptogram) : rawBuffer,
+    );
+    replyToAcquirer(pending.socket, pending.request, outgoingBuffer);
     console.log(`Forwarded issuer response for STAN ${stan} to ${pending.connectionId}`);
   } catch (error) {
     console.error(`Failed to forward response for STAN ${stan}`, error);
   } finally {
-    pendingByStan.delete(stan);
+    pendingByKey.delete(key);
+  }
+}
+
+// Appends tag 91 (ARPC + ARC) to the issuer's DE55 when the switch verified
+// the ARQC itself and the issuer did not answer with its own.
+function addIssuerAuthenticationData(rawBuffer, message, cryptogram) {
+  if (message.emv?.['91']) {
+    return rawBuffer;
+  }
+  const { arpc, arc } = generateArpc(cryptogram.key, cryptogram.arqc, message.fields[39]);
+  console.log(`Generated ARPC ${arpc} for STAN ${message.fields[11]} (ARC ${message.fields[39]})`);
+  const iccData = `${message.fields[55] ?? ''}${buildTlv({ 91: `${arpc}${arc}` })}`;
+  return isoCodec.setField(rawBuffer, 55, iccData);
+}
+
+// ARQC verification runs only for PANs whose BIN has an issuer master key in
+// the key store; other chip transactions are left to the issuer. Returns
+// { cryptogram } (null when not verified here) or { responseCode }.
+function verifyRequestCryptogram(message) {
+  const stan = message.fields[11];
+  const issuerMasterKey = keyStore?.findIssuerMasterKey(message.fields[2]);
+  if (!issuerMasterKey || !message.emv?.['9F26']) {
+    return { cryptogram: null };
+  }
+
+  try {
+    const { valid, key } = verifyArqc({
+      issuerMasterKey: issuerMasterKey.imk,
+      scheme: issuerMasterKey.scheme,
+      pan: message.fields[2],
+      tags: message.emv,
+    });
+    if (!valid) {
+      console.warn(`ARQC verification failed for STAN ${stan} (BIN ${issuerMasterKey.binPrefix})`);
+      return { responseCode: ARQC_FAILURE_CODE };
+    }
+    console.log(`ARQC verified for STAN ${stan} (BIN ${issuerMasterKey.binPrefix}, ${issuerMasterKey.scheme})`);
+    return { cryptogram: { key, arqc: message.emv['9F26'] } };
+  } catch (error) {
+    console.warn(`Cannot verify ARQC for STAN ${stan}: ${error.message}`);
+    return { responseCode: ARQC_FAILURE_CODE };
   }
 }
 
 function buildFailureResponse(original, responseCode = '96') {
-  return packIsoMessage('0110', {
+  const responseMti = original?.mti ? getResponseMti(original.mti) : '0110';
+  return packIsoMessage(responseMti, {
     7: getTransmissionDateTime(),
-    11: original?.fields?.[11] ?? '000000',
+    11: '000000',
+    ...pickFields(original?.fields, RESPONSE_ECHO_FIELDS),
     39: responseCode,
   });
 }
 
+function buildStandInResponse(original, decision) {
+  return packIsoMessage(getResponseMti(original.mti), {
+    7: getTransmissionDateTime(),
+    ...pickFields(original.fields, RESPONSE_ECHO_FIELDS),
+    ...(settlement ? { 15: settlement.getDe15() } : {}),
+    ...(decision.authorizationCode ? { 38: decision.authorizationCode } : {}),
+    39: decision.responseCode,
+  });
+}
+
+function authorizeInStandIn(socket, message, issuerName) {
+  const stan = message.fields[11];
+  console.log(`STAND_IN AUTHORISATION PROCESSING for STAN ${stan} (issuer ${issuerName ?? 'default'})`);
+
+  const decision = standIn.authorize(message, issuerName);
+  console.log(
+    `Stand-in ${decision.approved ? 'approved' : 'declined'} STAN ${stan}: ${decision.reason} (DE39 ${
+      decision.responseCode
+    }${decision.authorizationCode ? `, DE38 ${decision.authorizationCode}` : ''})`,
+  );
+  const acquirerConnectionId = getConnectionId(socket);
+  replyToAcquirer(socket, message, buildStandInResponse(message, decision));
+  if (decision.approved) {
+    bookTransaction({
+      acquirer: getParticipantName(acquirerConnectionId, 'acquirer'),
+      issuer: issuerName,
+      request: message,
+    });
+  }
+
+  // An unavailable stand-in made no decision, so there is nothing to advise.
+  if (decision.responseCode === DECLINE_CODES.UNAVAILABLE) {
+    return;
+  }
+
+  // Kept so the acquirer can reverse the decision like any issuer's answer.
+  originalsByKey.set(getOriginalKey(message.mti, stan, message.fields[7], message.fields[32]), {
+    acquirerConnectionId,
+    acquirerLinkName: connectionLinks.get(acquirerConnectionId)?.name ?? null,
+    issuerSocket: null,
+    issuerConnectionId: null,
+    issuerLinkName: issuerName ?? null,
+    request: message,
+    responseCode: decision.responseCode,
+    standIn: { businessDate: decision.businessDate ?? null },
+    createdAt: Date.now(),
+  });
+
+  const fields = pickFields(message.fields, REVERSAL_COPY_FIELDS);
+  if (decision.authorizationCode) {
+    fields[38] = decision.authorizationCode;
+  }
+  fields[11] = nextSwitchStan(); // the switch's own advice, like its reversal advices
+  fields[39] = decision.responseCode;
+  storeAndForward('0120', fields, issuerName, { reason: 'stand-in', journalId: message.journalId });
+}
+
+// Queues an advice for the destination issuer link (null in the legacy
+// single-issuer setup, where any signed-on issuer will do) and tries it at once.
+// journalState is the journal state an acknowledgement moves the transaction to.
+// DE7 is fixed here, so repeats (x121) go out with the first attempt's DE7.
+function storeAndForward(mti, fields, destination, { reason, journalId = null, journalState = null }) {
+  const entry = safQueue.enqueue({
+    mti,
+    fields: { 7: getTransmissionDateTime(), ...fields },
+    destination,
+    reason,
+    journalId,
+    journalState,
+  });
+  console.log(
+    `SAF queued ${mti} STAN ${fields[11]} for ${destination ?? 'any issuer'} (${reason}, ${safQueue.entries.length} in queue)`,
+  );
+  setImmediate(processSafQueue);
+  return entry;
+}
+
+function getSafDestinationSocket(destination) {
+  return destination ? findIssuerSocketByName(destination) : getFirstSignedOnSocket(issuerConnections);
+}
+
+// Sends every due SAF entry whose destination is signed on. Entries for a
+// destination that is down wait without using up their attempts.
+function processSafQueue() {
+  if (!safQueue) {
+    return;
+  }
+  safQueue.reloadIfChanged();
+
+  for (const entry of safQueue.takeDue()) {
+    const socket = getSafDestinationSocket(entry.destination);
+    if (!socket) {
+      continue;
+    }
+
+    try {
+      const mti = safQueue.recordAttempt(entry);
+      const fields = {
+        7: getTransmissionDateTime(),
+        ...entry.fields,
+        ...(settlement ? { 15: settlement.getDe15() } : {}),
+      };
+      const sent = sendMessage(socket, packIsoMessage(mti, fields));
+      const note = `SAF attempt ${entry.attempts}`;
+      journalMessage(entry.journalId, 'out', getConnectionId(socket), { mti, fields }, sent, null, note);
+      console.log(
+        `SAF sent ${mti} STAN ${entry.fields[11]} to issuer ${entry.destination ?? getConnectionId(socket)} (attempt ${
+          entry.attempts
+        }/${SAF_MAX_ATTEMPTS})`,
+      );
+    } catch (error) {
+      console.error(`SAF failed to send ${entry.mti} STAN ${entry.fields[11]}`, error);
+    }
+  }
+}
+
+function handleAdviceResponse(connectionId, message, rawBuffer) {
+  const stan = message.fields[11];
+  const linkName = connectionLinks.get(connectionId)?.name ?? null;
+  const entry = safQueue.acknowledge(message, linkName);
+  if (!entry) {
+    console.warn(`Unmatched ${message.mti} STAN ${stan} from ${connectionId}`);
+    return;
+  }
+  journalMessage(entry.journalId, 'in', connectionId, message, rawBuffer, entry.journalState);
+
+  console.log(
+    `Issuer ${linkName ?? connectionId} acknowledged ${entry.mti} STAN ${stan} after ${entry.attempts} attempts (DE39 ${
+      message.fields[39]
+    })`,
+  );
+}
+
+function copySafFields(message) {
+  const fields = {};
+  for (const [fieldNum, value] of Object.entries(message.fields)) {
+    if (!SAF_EXCLUDED_FIELDS.has(fieldNum) && value != null && value !== '') {
+      fields[fieldNum] = value;
+    }
+  }
+  return fields;
+}
+
+// The switch takes responsibility for an acquirer's advice once it is stored,
+// so the acquirer is answered straight away whatever the issuer's state.
+function acknowledgeAcquirerAdvice(socket, message) {
+  replyToAcquirer(
+    socket,
+    message,
+    packIsoMessage(getResponseMti(message.mti), {
+      7: getTransmissionDateTime(),
+      ...pickFields(message.fields, RESPONSE_ECHO_FIELDS),
+      39: '00',
+    }),
+    JOURNAL_STATES.STORED,
+  );
+}
+
+function handleAcquirerAdvice(connectionId, socket, message) {
+  const stan = message.fields[11];
+  if (!stan) {
+    console.warn(`Advice ${message.mti} from ${connectionId} missing STAN (DE11)`);
+    replyToAcquirer(socket, message, buildFailureResponse(message, FORMAT_ERROR_CODE));
+    return;
+  }
+
+  const { issuerName, responseCode } = resolveIssuer(message);
+  if (routingTable && !issuerName) {
+    console.warn(`No route for ${message.mti} advice STAN ${stan} from ${connectionId} (DE39 ${responseCode})`);
+    replyToAcquirer(socket, message, buildFailureResponse(message, responseCode));
+    return;
+  }
+
+  storeAndForward(message.mti, copySafFields(message), issuerName, {
+    reason: `advice from ${connectionId}`,
+    journalId: message.journalId,
+    journalState: JOURNAL_STATES.ADVISED,
+  });
+  acknowledgeAcquirerAdvice(socket, message);
+  // A financial advice reports a completed transaction, so it settles now.
+  if (message.mti === '0220' && (message.fields[39] ?? '00') === '00') {
+    bookTransaction({ acquirer: getParticipantName(connectionId, 'acquirer'), issuer: issuerName, request: message });
+  }
+}
+
+// The switch's own advice, so it gets its own STAN; the original's STAN and
+// DE7 travel in DE90.
+function buildReversalAdvice(original) {
+  const fields = pickFields(original.fields, REVERSAL_COPY_FIELDS);
+  fields[11] = nextSwitchStan();
+  fields[39] = '68'; // response received too late
+  fields[90] = buildOriginalDataElements(original);
+  return fields;
+}
+
+function expirePendingRequest(key, entry) {
+  const stan = entry.request.fields[11];
+  pendingByKey.delete(key);
+  console.warn(
+    `Pending request STAN ${stan} from ${entry.connectionId} timed out after ${PENDING_TIMEOUT_MS}ms`,
+  );
+
+  const responseMti = getResponseMti(entry.request.mti);
+  try {
+    const failure = buildFailureResponse(entry.request, '91');
+    const reversal = REVERSAL_MTIS.has(entry.request.mti);
+    replyToAcquirer(entry.socket, entry.request, failure, reversal ? null : JOURNAL_STATES.TIMED_OUT);
+    console.log(`Sent ${responseMti} (DE39 91) for timed-out STAN ${stan} to ${entry.connectionId}`);
+  } catch (error) {
+    console.error(`Failed to send timeout response for STAN ${stan}`, error);
+  }
+
+  // A reversal that times out is left to the acquirer to repeat; never reverse a reversal.
+  if (REVERSAL_MTIS.has(entry.request.mti)) {
+    return;
+  }
+
+  storeAndForward('0420', buildReversalAdvice(entry.request), entry.issuerLinkName, {
+    reason: 'issuer timeout',
+    journalId: entry.request.journalId,
+    journalState: JOURNAL_STATES.REVERSED,
+  });
+}
+
+function sweepPendingRequests(now = Date.now()) {
+  for (const [key, entry] of pendingByKey.entries()) {
+    if (now - entry.createdAt >= PENDING_TIMEOUT_MS) {
+      expirePendingRequest(key, entry);
+    }
+  }
+
+  for (const [key, entry] of originalsByKey.entries()) {
+    if (now - entry.createdAt >= ORIGINAL_RETENTION_MS) {
+      originalsByKey.delete(key);
+    }
+  }
+
+  // An unanswered key change is dropped, so a late 0810 cannot install it.
+  for (const [stan, keyChange] of pendingKeyChanges.entries()) {
+    if (now - keyChange.createdAt >= PENDING_TIMEOUT_MS) {
+      pendingKeyChanges.delete(stan);
+      console.warn(`Key change STAN ${stan} to ${keyChange.linkName} unanswered, discarded ${keyChange.type}`);
+    }
+  }
+}
+
 function cleanupPendingForSocket(socket) {
-  for (const [stan, entry] of pendingByStan.entries()) {
+  for (const [key, entry] of pendingByKey.entries()) {
     if (entry.socket === socket) {
-      pendingByStan.delete(stan);
+      pendingByKey.delete(key);
     }
   }
 }
 
 function handleAcquirerMessage(connectionId, socket, message, rawBuffer) {
+  if (message.mti === '0810') {
+    handleNetworkResponse(connectionId, message);
+    return;
+  }
+
   if (message.mti.startsWith('08')) {
-    const responseBuffer = buildNetworkResponse(message);
-    socket.write(wrapWithHeader(responseBuffer));
-    console.log(
-      `Handled network management ${message.fields[70]} for acquirer ${connectionId}`,
-    );
+    handleNetworkRequest(connectionId, socket, message);
     return;
   }
 
-  if (message.mti !== '0100') {
+  if (RECONCILIATION_MTIS.has(message.mti)) {
+    handleReconciliationRequest(connectionId, socket, message, 'acquirer');
+    return;
+  }
+
+  if (message.mti !== '0100' && !REVERSAL_MTIS.has(message.mti) && !ACQUIRER_ADVICE_MTIS.has(message.mti)) {
     console.warn(`Unsupported MTI ${message.mti} from acquirer ${connectionId}`);
     return;
   }
 
+  journalAcquirerRequest(connectionId, message, rawBuffer);
+
+  if (!isSignedOn(connectionId)) {
+    const state = linkHealth.get(connectionId)?.state ?? 'untracked';
+    console.warn(`Rejected ${message.mti} from acquirer ${connectionId}: link is ${state}, not signed on`);
+    replyToAcquirer(socket, message, buildFailureResponse(message, '91'));
+    return;
+  }
+
+  const formatErrors = checkRequestFormat(connectionId, message);
+  if (formatErrors) {
+    replyToAcquirer(socket, message, buildFailureResponse(message, FORMAT_ERROR_CODE), undefined, formatErrors);
+    return;
+  }
+
+  if (REVERSAL_MTIS.has(message.mti)) {
+    handleAcquirerReversal(connectionId, socket, message, rawBuffer);
+    return;
+  }
+
+  if (ACQUIRER_ADVICE_MTIS.has(message.mti)) {
+    handleAcquirerAdvice(connectionId, socket, message);
+    return;
+  }
+
   const stan = message.fields[11];
   if (!stan) {
     console.warn(`Acquirer message missing STAN (DE11) from ${connectionId}`);
     const failure = buildFailureResponse(message);
-    socket.write(wrapWithHeader(failure));
+    replyToAcquirer(socket, message, failure);
+    return;
+  }
+
+  const link = connectionLinks.get(connectionId);
+  if (
+    link?.institutionId &&
+    normalizeMatchingField(32, message.fields[32]) !== normalizeMatchingField(32, link.institutionId)
+  ) {
+    console.warn(
+      `Acquirer ${link.name} sent DE32 [${message.fields[32]}] but is configured as ${link.institutionId}`,
+    );
+  }
+
+  const key = getMatchingKey(message.fields);
+  if (pendingByKey.has(key)) {
+    console.warn(`Duplicate 0100 STAN ${stan} from ${connectionId} already in flight (${key})`);
+    replyToAcquirer(socket, message, buildFailureResponse(message, '94')); // duplicate transmission
+    return;
+  }
+
+  let cryptogram = null;
+  if (message.emv) {
+    console.log(`ICC data for STAN ${stan}: ${formatIccTags(message.emv)}`);
+    const verification = verifyRequestCryptogram(message);
+    if (verification.responseCode) {
+      replyToAcquirer(socket, message, buildFailureResponse(message, verification.responseCode));
+      return;
+    }
+    cryptogram = verification.cryptogram;
+  }
+
+  const { socket: issuerSocket, issuerName, responseCode } = resolveIssuer(message);
+  if (!issuerSocket && responseCode === '91' && standIn) {
+    authorizeInStandIn(socket, message, issuerName);
+    return;
+  }
+  if (!issuerSocket) {
+    console.warn(`No issuer connection available to forward 0100 request STAN ${stan} (DE39 ${responseCode})`);
+    const failure = buildFailureResponse(message, responseCode);
+    replyToAcquirer(socket, message, failure);
+    return;
+  }
+
+  const issuerConnectionId = getConnectionId(issuerSocket);
+  // Kept by name so advices still reach the link after this connection drops.
+  const issuerLinkName = connectionLinks.get(issuerConnectionId)?.name ?? null;
+  const originalKey = getOriginalKey(message.mti, stan, message.fields[7], message.fields[32]);
+  const createdAt = Date.now();
+  const pending = {
+    socket,
+    connectionId,
+    issuerSocket,
+    issuerConnectionId,
+    issuerLinkName,
+    request: message,
+    originalKey,
+    cryptogram,
+    createdAt,
+  };
+  pendingByKey.set(key, pending);
+  originalsByKey.set(originalKey, {
+    acquirerConnectionId: connectionId,
+    acquirerLinkName: link?.name ?? null,
+    issuerSocket,
+    issuerConnectionId,
+    issuerLinkName,
+    request: message,
+    responseCode: null,
+    createdAt,
+  });
+
+  // PIN translation may wait on the HSM; the entry above keeps duplicates out meanwhile.
+  translateRequestPin(connectionId, issuerConnectionId, message, rawBuffer)
+    .then(({ buffer: outgoingBuffer, responseCode: pinResponseCode }) => {
+      if (pendingByKey.get(key) !== pending) {
+        return; // timed out or superseded by a reversal while translating
+      }
+      if (pinResponseCode) {
+        pendingByKey.delete(key);
+        originalsByKey.delete(originalKey);
+        replyToAcquirer(socket, message, buildFailureResponse(message, pinResponseCode));
+        return;
+      }
+
+      const sent = sendMessage(issuerSocket, stampSettlementDate(outgoingBuffer));
+      journalMessage(message.journalId, 'out', issuerConnectionId, message, sent, JOURNAL_STATES.FORWARDED);
+      console.log(
+        `Forwarded 0100 request STAN ${stan} to issuer ${issuerName ?? issuerConnectionId} from acquirer ${connectionId}`,
+      );
+    })
+    .catch((error) => {
+      // Whatever failed, the acquirer still gets an answer unless it already has one.
+      console.error(`Failed to forward 0100 request STAN ${stan}`, error);
+      if (pendingByKey.get(key) !== pending) {
+        return;
+      }
+      pendingByKey.delete(key);
+      originalsByKey.delete(originalKey);
+      try {
+        replyToAcquirer(socket, message, buildFailureResponse(message), undefined, `Forwarding failed: ${error.message}`);
+      } catch (replyError) {
+        console.error(`Failed to send DE39 96 for STAN ${stan}`, replyError);
+      }
+    });
+}
+
+async function translatePinWithHsm({ pinBlock, pan, sourceKey, sourceFormat, destinationKey, destinationFormat }) {
+  const [sourceZpk, destinationZpk] = await Promise.all([
+    hsmClient.importClearKey('ZPK', sourceKey),
+    hsmClient.importClearKey('ZPK', destinationKey),
+  ]);
+  return hsmClient.translatePin({ sourceZpk, destinationZpk, pinBlock, sourceFormat, destinationFormat, pan });
+}
+
+// Re-encrypts DE52 from the acquirer ZPK to the issuer ZPK and rebuilds the
+// outgoing message around it, through the HSM when NPSB_HSM_HOST is set.
+// Without a key store, or for connections that are not bound to links, the
+// PIN block is forwarded untouched. Resolves with { buffer } or { responseCode }.
+async function translateRequestPin(acquirerConnectionId, issuerConnectionId, message, rawBuffer) {
+  const acquirerLink = connectionLinks.get(acquirerConnectionId);
+  const issuerLink = connectionLinks.get(issuerConnectionId);
+  if (message.fields[52] === undefined || !keyStore || !acquirerLink || !issuerLink) {
+    return { buffer: rawBuffer };
+  }
+
+  const pinArguments = {
+    pinBlock: message.fields[52],
+    pan: message.fields[2],
+    sourceKey: keyStore.getWorkingKey(acquirerLink.name, 'ZPK'),
+    sourceFormat: acquirerLink.pinBlockFormat,
+    destinationKey: keyStore.getWorkingKey(issuerLink.name, 'ZPK'),
+    destinationFormat: issuerLink.pinBlockFormat,
+  };
+  if (hsmClient && (!pinArguments.sourceKey || !pinArguments.destinationKey)) {
+    console.warn(`INVALID KEY: no ZPK for ${pinArguments.sourceKey ? issuerLink.name : acquirerLink.name}`);
+    return { responseCode: PIN_ERROR_RESPONSE_CODES.INVALID_KEY };
+  }
+
+  try {
+    const translated = hsmClient ? await translatePinWithHsm(pinArguments) : translatePinBlock(pinArguments);
+
+    const location = isoCodec.locateField(rawBuffer, 52);
+    const buffer = Buffer.from(rawBuffer);
+    translated.copy(buffer, location.offset);
+    console.log(`Translated DE52 from ${acquirerLink.name} ZPK to ${issuerLink.name} ZPK`);
+    return { buffer };
+  } catch (error) {
+    const responseCode = PIN_ERROR_RESPONSE_CODES[error.code] ?? HSM_RESPONSE_CODES[error.code] ?? '96';
+    console.warn(`PIN translation failed for STAN ${message.fields[11]}: ${error.message} (DE39 ${responseCode})`);
+    return { responseCode };
+  }
+}
+
+function handleMacFailure(connectionId, socket, message, payload, role) {
+  const link = connectionLinks.get(connectionId);
+  const responseCode = link?.macFailureCode ?? MAC_FAILURE_CODE;
+  console.warn(`DE128 verification failed for ${message.mti} STAN ${message.fields[11]} from ${connectionId}`);
+
+  if (role === 'acquirer') {
+    if (message.mti === '0100' || REVERSAL_MTIS.has(message.mti) || ACQUIRER_ADVICE_MTIS.has(message.mti)) {
+      journalAcquirerRequest(connectionId, message, payload);
+      replyToAcquirer(socket, message, buildFailureResponse(message, responseCode));
+    }
+    return;
+  }
+
+  // An issuer response that fails MAC is not trusted: the acquirer is declined
+  // and, as after a timeout, the issuer is told to reverse whatever it did.
+  const key = findPendingKeyForResponse(message);
+  const pending = key ? pendingByKey.get(key) : null;
+  if (!pending) {
+    return;
+  }
+  pendingByKey.delete(key);
+  const note = `Issuer response failed DE128 verification (DE39 ${responseCode})`;
+  journalMessage(pending.request.journalId, 'in', connectionId, message, payload, null, note);
+
+  const reversal = REVERSAL_MTIS.has(pending.request.mti);
+  const original = pending.originalKey ? originalsByKey.get(pending.originalKey) : null;
+  if (original && !reversal) {
+    original.responseCode = responseCode;
+  }
+  const failure = buildFailureResponse(pending.request, responseCode);
+  replyToAcquirer(pending.socket, pending.request, failure, undefined, note);
+
+  if (reversal) {
+    return;
+  }
+  storeAndForward('0420', buildReversalAdvice(pending.request), pending.issuerLinkName, {
+    reason: 'issuer MAC failure',
+    journalId: pending.request.journalId,
+    journalState: JOURNAL_STATES.REVERSED,
+  });
+}
+
+function findOriginalForReversal(message) {
+  const originalData = parseOriginalDataElements(message.fields[90]);
+  if (!originalData) {
+    return { originalData: null, originalKey: null, original: null };
+  }
+
+  const originalKey = getOriginalKey(
+    originalData.mti,
+    originalData.stan,
+    originalData.transmissionDateTime,
+    originalData.acquirerId,
+  );
+  return { originalData, originalKey, original: originalsByKey.get(originalKey) ?? null };
+}
+
+// The issuer only hears of a stand-in approval through its 0120 advice, so
+// the reversal follows it through SAF and the switch answers the acquirer.
+function reverseStandInDecision(connectionId, socket, message, original) {
+  const stan = message.fields[11];
+  if (original.responseCode !== '00' || original.reversed) {
+    console.log(`Reversal ${message.mti} STAN ${stan}: stand-in original was not an open approval, nothing to undo`);
+    acknowledgeAcquirerAdvice(socket, message);
+    return;
+  }
+
+  storeAndForward('0420', copySafFields(message), original.issuerLinkName, {
+    reason: `stand-in reversal from ${connectionId}`,
+    journalId: message.journalId,
+    journalState: JOURNAL_STATES.REVERSED,
+  });
+  acknowledgeAcquirerAdvice(socket, message);
+  bookReversal(connectionId, original, message);
+  standIn.release(original.request, original.standIn.businessDate);
+  console.log(`Reversed stand-in approval STAN ${original.request.fields[11]} for ${connectionId}`);
+}
+
+// Only the acquirer that sent the original may reverse it: the same link
+// (any of its connections) and the same acquiring institution in DE32.
+function ownsOriginal(connectionId, message, original) {
+  const linkName = connectionLinks.get(connectionId)?.name ?? null;
+  if (original.acquirerLinkName && linkName !== original.acquirerLinkName) {
+    return false;
+  }
+  return normalizeMatchingField(32, message.fields[32]) === normalizeMatchingField(32, original.request.fields[32]);
+}
+
+function handleAcquirerReversal(connectionId, socket, message, rawBuffer) {
+  const stan = message.fields[11];
+  const { originalData, originalKey, original } = findOriginalForReversal(message);
+  if (!stan || !originalData) {
+    console.warn(`Reversal ${message.mti} from ${connectionId} missing DE11 or valid DE90`);
+    replyToAcquirer(socket, message, buildFailureResponse(message, FORMAT_ERROR_CODE));
+    return;
+  }
+
+  if (!original) {
+    console.warn(`No original transaction ${originalKey} for reversal STAN ${stan} from ${connectionId}`);
+    replyToAcquirer(socket, message, buildFailureResponse(message, '25')); // unable to locate record
+    return;
+  }
+
+  if (!ownsOriginal(connectionId, message, original)) {
+    console.warn(
+      `Rejected reversal STAN ${stan} from ${connectionId}: original ${originalKey} belongs to ${
+        original.acquirerLinkName ?? original.acquirerConnectionId
+      }`,
+    );
+    replyToAcquirer(socket, message, buildFailureResponse(message, '12')); // invalid transaction
+    return;
+  }
+
+  if (original.standIn) {
+    reverseStandInDecision(connectionId, socket, message, original);
     return;
   }
 
-  const issuerSocket = getFirstSocket(issuerConnections);
+  for (const [pendingKey, entry] of pendingByKey.entries()) {
+    if (entry.originalKey === originalKey && entry.request.mti === originalData.mti) {
+      // The acquirer gave up on the original; a late 0110 has nowhere to go.
+      pendingByKey.delete(pendingKey);
+      console.log(`Reversal ${message.mti} supersedes in-flight original STAN ${originalData.stan}`);
+    }
+  }
+
+  const key = getMatchingKey(message.fields);
+  if (pendingByKey.has(key)) {
+    console.warn(`Duplicate ${message.mti} STAN ${stan} from ${connectionId} already in flight (${key})`);
+    replyToAcquirer(socket, message, buildFailureResponse(message, '94'));
+    return;
+  }
+
+  const issuerSocket =
+    original.issuerSocket.destroyed || !isSignedOn(getConnectionId(original.issuerSocket))
+      ? resolveIssuer(original.request).socket
+      : original.issuerSocket;
+  if (!issuerSocket && message.mti === '0420') {
+    storeAndForward('0420', copySafFields(message), original.issuerLinkName, {
+      reason: `reversal from ${connectionId}`,
+      journalId: message.journalId,
+      journalState: JOURNAL_STATES.REVERSED,
+    });
+    acknowledgeAcquirerAdvice(socket, message);
+    bookReversal(connectionId, original, message);
+    return;
+  }
   if (!issuerSocket) {
-    console.warn('No issuer connection available to forward 0100 request');
-    const failure = buildFailureResponse(message, '91'); // issuer unavailable
-    socket.write(wrapWithHeader(failure));
+    console.warn(`No issuer connection available to forward ${message.mti} reversal`);
+    replyToAcquirer(socket, message, buildFailureResponse(message, '91'));
     return;
   }
 
-  pendingByStan.set(stan, { socket, connectionId, createdAt: Date.now() });
-  issuerSocket.write(wrapWithHeader(rawBuffer));
+  const issuerConnectionId = getConnectionId(issuerSocket);
+  pendingByKey.set(key, {
+    socket,
+    connectionId,
+    issuerSocket,
+    issuerConnectionId,
+    issuerLinkName: connectionLinks.get(issuerConnectionId)?.name ?? null,
+    request: message,
+    originalKey,
+    createdAt: Date.now(),
+  });
+  const sent = sendMessage(issuerSocket, stampSettlementDate(rawBuffer));
+  journalMessage(message.journalId, 'out', issuerConnectionId, message, sent);
   console.log(
-    `Forwarded 0100 request STAN ${stan} to issuer from acquirer ${connectionId}`,
+    `Forwarded ${message.mti} reversal STAN ${stan} (original STAN ${originalData.stan}) to issuer ${issuerConnectionId}`,
   );
 }
 
 function handleIssuerMessage(connectionId, socket, message, rawBuffer) {
+  if (message.mti === '0810') {
+    handleNetworkResponse(connectionId, message);
+    return;
+  }
+
   if (message.mti.startsWith('08')) {
-    const responseBuffer = buildNetworkResponse(message);
-    socket.write(wrapWithHeader(responseBuffer));
-    console.log(
-      `Handled network management ${message.fields[70]} for issuer ${connectionId}`,
-    );
+    handleNetworkRequest(connectionId, socket, message);
     return;
   }
 
-  if (!['0110', '0210', '0410'].includes(message.mti)) {
+  if (RECONCILIATION_MTIS.has(message.mti)) {
+    handleReconciliationRequest(connectionId, socket, message, 'issuer');
+    return;
+  }
+
+  // An 0430 answering a reversal the acquirer is waiting on goes back to it;
+  // any other advice response acknowledges a SAF entry.
+  if (ADVICE_RESPONSE_MTIS.has(message.mti) && !(message.mti === '0430' && findPendingKeyForResponse(message))) {
+    handleAdviceResponse(connectionId, message, rawBuffer);
+    return;
+  }
+
+  if (!['0110', '0210', '0410', '0430'].includes(message.mti)) {
     console.warn(`Unsupported MTI ${message.mti} from issuer ${connectionId}`);
     return;
   }
@@ -279,80 +1518,283 @@ function handleIssuerMessage(connectionId, socket, message, rawBuffer) {
     return;
   }
 
-  sendBackToAcquirer(stan, rawBuffer);
+  sendBackToAcquirer(connectionId, rawBuffer, message);
 }
 
-function startServer() {
-  const server = net.createServer((socket) => {
-    const connectionId = `${normalizeAddress(socket.remoteAddress)}:${socket.remotePort}`;
-    const role = determineRole(socket.remoteAddress);
-
-    if (role === 'acquirer') {
-      acquirerConnections.set(connectionId, socket);
-    } else if (role === 'issuer') {
-      issuerConnections.set(connectionId, socket);
-    }
+function attachConnection(socket, connectionId, role, link) {
+  if (role === 'acquirer') {
+    acquirerConnections.set(connectionId, socket);
+  } else if (role === 'issuer') {
+    issuerConnections.set(connectionId, socket);
+  }
+  if (link) {
+    connectionLinks.set(connectionId, link);
+  }
+
+  // Legacy address-assigned connections predate sign-on and start signed on.
+  const signOnRequired = link ? link.signOnRequired : false;
+  linkHealth.set(
+    connectionId,
+    new LinkHealth(connectionId, {
+      name: link?.name,
+      maxMissedEchoes: ECHO_MAX_MISSED,
+      initialState: signOnRequired ? LINK_STATES.SIGNED_OFF : LINK_STATES.SIGNED_ON,
+      onTransition: (state) => {
+        // Deferred so a peer-initiated sign-on gets its 0810 before any advice.
+        if (role === 'issuer' && state === LINK_STATES.SIGNED_ON) {
+          setImmediate(() => {
+            safQueue?.retryNow(link?.name ?? null);
+            processSafQueue();
+          });
+        }
+      },
+    }),
+  );
+  if (role === 'issuer' && !signOnRequired) {
+    safQueue?.retryNow(link?.name ?? null);
+    processSafQueue();
+  }
 
-    console.log(`Client connected (${role})`, connectionId);
+  const echoIntervalMs = link?.echoIntervalMs ?? ECHO_INTERVAL_MS;
+  const echoTimer =
+    echoIntervalMs > 0
+      ? setInterval(() => {
+          try {
+            sendNetworkRequest(connectionId, socket, '301');
+          } catch (error) {
+            console.error(`Failed to send echo test to ${connectionId}`, error);
+          }
+        }, echoIntervalMs)
+      : null;
 
-    let buffer = Buffer.alloc(0);
+  const keyExchangeIntervalMs = link?.keyExchangeIntervalMs ?? KEY_EXCHANGE_INTERVAL_MS;
+  const keyExchangeTimer =
+    link && keyStore && keyExchangeIntervalMs > 0
+      ? setInterval(() => {
+          try {
+            sendKeyChange(connectionId, socket);
+          } catch (error) {
+            console.error(`Failed to send key change to ${connectionId}`, error);
+          }
+        }, keyExchangeIntervalMs)
+      : null;
 
-    socket.on('data', (chunk) => {
-      buffer = Buffer.concat([buffer, chunk]);
+  console.log(`Client connected (${role}${link ? ` ${link.name}` : ''})`, connectionId);
 
-      while (buffer.length >= HEADER_LENGTH) {
-        const messageLength = buffer.readUInt16BE(0);
-        if (buffer.length < HEADER_LENGTH + messageLength) {
-          break;
-        }
+  const linkCodec = getLinkCodec(link);
+  const framing = link?.framing ?? DEFAULT_FRAMING;
+  let buffer = Buffer.alloc(0);
 
-        const payload = buffer.slice(HEADER_LENGTH, HEADER_LENGTH + messageLength);
-        buffer = buffer.slice(HEADER_LENGTH + messageLength);
+  socket.on('data', (chunk) => {
+    const { messages, remaining, discarded } = readFrames(framing, Buffer.concat([buffer, chunk]));
+    buffer = remaining;
+    if (discarded > 0) {
+      console.warn(`Discarded ${discarded} bytes of unframed data from ${connectionId}`);
+    }
 
-        let request;
-        try {
-          request = unpackIsoMessage(payload);
-        } catch (error) {
-          console.error('Failed to parse ISO8583 message:', error);
+    for (const payload of messages) {
+      // The MAC is checked on the bytes as received; everything after that
+      // works on the message in the NPSB profile.
+      let request;
+      let rawBuffer;
+      try {
+        request = linkCodec.unpack(payload);
+        rawBuffer = isoCodec.translate(payload, linkCodec);
+      } catch (error) {
+        console.error('Failed to parse ISO8583 message:', error);
+        continue;
+      }
+
+      try {
+        if (!verifyInboundMac(connectionId, request, payload)) {
+          handleMacFailure(connectionId, socket, request, rawBuffer, role);
           continue;
         }
 
-        try {
-          if (role === 'acquirer') {
-            handleAcquirerMessage(connectionId, socket, request, payload);
-          } else if (role === 'issuer') {
-            handleIssuerMessage(connectionId, socket, request, payload);
-          } else {
-            console.warn(`Unknown role for connection ${connectionId}, ignoring message`);
-          }
-        } catch (error) {
-          console.error(`Error handling message for ${connectionId}`, error);
+        if (role === 'acquirer') {
+          handleAcquirerMessage(connectionId, socket, request, rawBuffer);
+        } else if (role === 'issuer') {
+          handleIssuerMessage(connectionId, socket, request, rawBuffer);
+        } else {
+          console.warn(`Unknown role for connection ${connectionId}, ignoring message`);
         }
+      } catch (error) {
+        console.error(`Error handling message for ${connectionId}`, error);
       }
-    });
+    }
+  });
 
-    socket.on('close', () => {
-      console.log('Client disconnected', connectionId);
-      cleanupPendingForSocket(socket);
-      acquirerConnections.delete(connectionId);
-      issuerConnections.delete(connectionId);
-    });
+  socket.on('close', () => {
+    console.log('Client disconnected', connectionId);
+    clearInterval(echoTimer);
+    clearInterval(keyExchangeTimer);
+    cleanupPendingForSocket(socket);
+    acquirerConnections.delete(connectionId);
+    issuerConnections.delete(connectionId);
+    connectionLinks.delete(connectionId);
+    linkHealth.delete(connectionId);
+  });
 
-    socket.on('error', (error) => {
-      console.error('Socket error', connectionId, error);
-    });
+  socket.on('error', (error) => {
+    console.error('Socket error', connectionId, error);
   });
+}
+
+function handleInboundConnection(socket) {
+  const connectionId = getConnectionId(socket);
+
+  if (!configuredLinks) {
+    attachConnection(socket, connectionId, determineRole(socket.remoteAddress), null);
+    return;
+  }
+
+  const { link, reason } = identifyPeer(configuredLinks, socket.remoteAddress, socket.localPort);
+  if (!link) {
+    console.warn(`Rejected connection from ${connectionId}: ${reason}`);
+    socket.destroy();
+    return;
+  }
+
+  attachConnection(socket, connectionId, link.role, link);
+}
+
+function startOutboundLinks() {
+  const outboundLinks = (configuredLinks ?? []).filter((link) => link.outbound);
+
+  return outboundLinks.map((link) =>
+    createOutboundLink(link, {
+      minDelayMs: RECONNECT_MIN_MS,
+      maxDelayMs: RECONNECT_MAX_MS,
+      onConnect: (socket) => {
+        const connectionId = getConnectionId(socket);
+        attachConnection(socket, connectionId, link.role, link);
+        sendNetworkRequest(connectionId, socket, '001');
+        console.log(`Sent 0800 sign-on (DE70 001) to ${link.name} ${connectionId}`);
+      },
+    }),
+  );
+}
+
+// Moves the settlement date forward at cutover and logs the closed day's
+// totals per participant; reschedules itself for the next cutover.
+function scheduleCutover() {
+  const delayMs = Math.max(settlement.getNextCutoverAt().getTime() - Date.now(), 1000);
+  return setTimeout(() => {
+    const cutover = settlement.checkCutover();
+    if (cutover) {
+      console.log(`Cutover: settlement date ${cutover.previous} closed, now ${cutover.current}`);
+      for (const [participant, totals] of Object.entries(settlement.state.days[cutover.previous] ?? {})) {
+        console.log(`Settlement ${cutover.previous} ${participant}: net ${getNetAmount(totals)}`);
+      }
+    }
+    cutoverTimer = scheduleCutover();
+  }, delayMs);
+}
+
+function startServer() {
+  configuredLinks = loadLinks(LINKS_FILE);
+  keyStore = KEYSTORE_PASSPHRASE ? new KeyStore(KEYSTORE_FILE, KEYSTORE_PASSPHRASE).load() : null;
+  hsmClient = HSM_HOST ? new HsmClient({ host: HSM_HOST, port: HSM_PORT, timeoutMs: HSM_TIMEOUT_MS }) : null;
+  routingTable = loadRoutingTable(ROUTES_FILE, configuredLinks);
+  const standInConfig = loadStandInConfig(STANDIN_FILE, configuredLinks);
+  standIn = standInConfig ? new StandInProcessor(standInConfig, STANDIN_STATE_FILE).load() : null;
+  safQueue = new SafQueue(SAF_FILE, {
+    maxAttempts: SAF_MAX_ATTEMPTS,
+    minDelayMs: SAF_RETRY_MIN_MS,
+    maxDelayMs: SAF_RETRY_MAX_MS,
+  }).load();
+  // Queued advices outlive a restart, so the switch's STANs carry on after the
+  // highest one still queued instead of starting again at 1.
+  switchStan = safQueue.entries.reduce((highest, entry) => Math.max(highest, parseInt(entry.fields[11], 10) || 0), 0);
+  journal = new TransactionJournal(JOURNAL_FILE);
+  settlement = new SettlementLedger(SETTLEMENT_FILE, { cutoverTime: CUTOVER_TIME }).load();
+  settlement.checkCutover();
+  monitor =
+    MONITOR_PORT > 0
+      ? new SwitchMonitor({ getStatus: getSwitchStatus }).listen(MONITOR_PORT, MONITOR_BIND_HOST, () => {
+          console.log(`Monitor feed on http://${MONITOR_BIND_HOST}:${MONITOR_PORT}/events`);
+        })
+      : null;
+
+  const [primaryPort, ...extraPorts] = getListenPorts(configuredLinks, PORT);
+  const server = net.createServer(handleInboundConnection);
 
-  server.listen(PORT, HOST, () => {
-    console.log(`NPSB ISO8583 switch listening on ${HOST}:${PORT}`);
-    console.log(`Configured acquirer hosts: ${Array.from(ACQUIRER_HOSTS).join(', ') || '(any)'}`);
-    console.log(`Configured issuer hosts: ${Array.from(ISSUER_HOSTS).join(', ') || '(any)'}`);
+  server.listen(primaryPort, HOST, () => {
+    console.log(`NPSB ISO8583 switch listening on ${HOST}:${primaryPort}`);
+    if (configuredLinks) {
+      console.log(
+        `Loaded ${configuredLinks.length} links from ${LINKS_FILE}: ${
+          configuredLinks.map((link) => `${link.name}(${link.role})`).join(', ') || '(none)'
+        }`,
+      );
+    } else {
+      console.log(`No link configuration at ${LINKS_FILE}, assigning roles by address`);
+      console.log(`Configured acquirer hosts: ${Array.from(ACQUIRER_HOSTS).join(', ') || '(any)'}`);
+      console.log(`Configured issuer hosts: ${Array.from(ISSUER_HOSTS).join(', ') || '(any)'}`);
+    }
+    console.log(`Pending request timeout: ${PENDING_TIMEOUT_MS}ms`);
+    console.log(`Echo test interval: ${ECHO_INTERVAL_MS}ms, link down after ${ECHO_MAX_MISSED} missed`);
+    console.log(
+      keyStore
+        ? `Key store ${KEYSTORE_FILE} loaded for ${keyStore.describe().length} links`
+        : 'Key store disabled (set NPSB_KEYSTORE_PASSPHRASE to enable key exchange)',
+    );
+    console.log(
+      hsmClient
+        ? `PIN translation through HSM at ${HSM_HOST}:${HSM_PORT} (timeout ${HSM_TIMEOUT_MS}ms)`
+        : 'No HSM configured, translating PIN blocks in software',
+    );
+    console.log(
+      routingTable
+        ? `Loaded ${routingTable.routes.length} issuer routes from ${ROUTES_FILE}`
+        : `No routing table at ${ROUTES_FILE}, forwarding to the first connected issuer`,
+    );
+    console.log(
+      standIn
+        ? `Stand-in authorisation rules loaded from ${STANDIN_FILE}`
+        : `No stand-in rules at ${STANDIN_FILE}, unavailable issuers get DE39 91`,
+    );
+    const safSummary = Object.entries(safQueue.counts())
+      .map(([destination, { queued, manual }]) => `${destination} ${queued} queued/${manual} manual`)
+      .join(', ');
+    console.log(`SAF queue ${SAF_FILE}: ${safSummary || 'empty'} (max ${SAF_MAX_ATTEMPTS} attempts)`);
+    console.log(`Journalling transactions to ${JOURNAL_FILE}`);
+    console.log(
+      `Settlement date ${settlement.settlementDate} (DE15 ${settlement.getDe15()}), ` +
+        `next cutover ${settlement.getNextCutoverAt().toISOString()}`,
+    );
   });
 
   server.on('error', (error) => {
     console.error('Server error', error);
   });
 
+  const extraServers = extraPorts.map((port) => {
+    const extraServer = net.createServer(handleInboundConnection);
+    extraServer.listen(port, HOST, () => {
+      console.log(`NPSB ISO8583 switch also listening on ${HOST}:${port}`);
+    });
+    extraServer.on('error', (error) => {
+      console.error(`Server error on port ${port}`, error);
+    });
+    return extraServer;
+  });
+
+  const outboundLinks = startOutboundLinks();
+
+  const sweepInterval = setInterval(sweepPendingRequests, PENDING_SWEEP_INTERVAL_MS);
+  const safInterval = setInterval(processSafQueue, SAF_INTERVAL_MS);
+  cutoverTimer = scheduleCutover();
+  server.on('close', () => {
+    clearInterval(sweepInterval);
+    clearInterval(safInterval);
+    clearTimeout(cutoverTimer);
+    monitor?.close();
+    extraServers.forEach((extraServer) => extraServer.close());
+    outboundLinks.forEach((outboundLink) => outboundLink.stop());
+    hsmClient?.close();
+  });
+
   return server;
 }
 
@@ -392,8 +1834,19 @@ if (require.main === module) {
   process.on('SIGTERM', shutdown);
 }
 
+// Journal lookups for the running switch; see TransactionJournal.query for the filters.
+function queryTransactions(filters) {
+  return (journal ?? new TransactionJournal(JOURNAL_FILE)).query(filters);
+}
+
+function getTransaction(transactionId) {
+  return (journal ?? new TransactionJournal(JOURNAL_FILE)).getTransaction(transactionId);
+}
+
 module.exports = {
   startServer,
   sendAccountToAccountRequest,
+  queryTransactions,
+  getTransaction,
 };
 
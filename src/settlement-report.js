@@ -0,0 +1,320 @@
+// End-of-day settlement files for finance, built from the transaction
+// journal: one CSV and one fixed-width report per participant (link name)
+// for a settlement date, covering approved A2A/IBFT transfers (DE3 28xxxx and
+// 40xxxx), their reversals, switch fees and the participant's net position.
+// Amounts are in minor units (poisha) throughout; the CSV shows them as taka.
+//
+// Fixed-width layout, one record per line:
+//   H  date(8 YYYYMMDD) participant(20) generated(14 YYYYMMDDhhmmss)
+//   D  type(8) datetime(14) mti(4) stan(6) rrn(12) pan(19) processing code(6)
+//      role(8) counterparty(20) amount(16) debit(16) credit(16) fee sign(1) fee(12)
+//      transaction id(36)
+//   T  transfers(8) transfer amount(16) reversals(8) reversal amount(16)
+//      debits(16) credits(16) fee sign(1) fees(16) net sign(1 C|D) net(16)
+
+const fs = require('fs');
+const { parseCutoverTime, getSettlementDate, getSettlementParties } = require('./settlement');
+
+const REPORTED_TYPES = new Set(['28', '40']);
+const APPROVAL_MTIS = new Set(['0110', '0210', '0230']);
+const REVERSAL_RESPONSE_MTIS = new Set(['0410', '0430']);
+const ITEM_TYPES = {
+  TRANSFER: 'TRANSFER',
+  REVERSAL: 'REVERSAL',
+};
+
+const CSV_COLUMNS = [
+  'record',
+  'settlement_date',
+  'transaction_id',
+  'type',
+  'date_time',
+  'mti',
+  'stan',
+  'rrn',
+  'pan',
+  'processing_code',
+  'role',
+  'counterparty',
+  'amount',
+  'debit',
+  'credit',
+  'fee',
+  'net',
+];
+
+function parseFee(value = {}, label) {
+  const fixed = parseInt(value.fixed ?? 0, 10);
+  const percent = Number(value.percent ?? 0);
+  if (Number.isNaN(fixed) || fixed < 0 || Number.isNaN(percent) || percent < 0) {
+    throw new Error(`Fee ${label} needs a non-negative fixed amount and percent`);
+  }
+  return { fixed, percent };
+}
+
+function normalizeFees(fees = {}, base = null, label = 'defaults') {
+  return {
+    acquirer: fees.acquirer ? parseFee(fees.acquirer, `${label}.acquirer`) : base?.acquirer ?? parseFee(),
+    issuer: fees.issuer ? parseFee(fees.issuer, `${label}.issuer`) : base?.issuer ?? parseFee(),
+  };
+}
+
+// config/fees.json: switch fees charged per approved transfer, by the role the
+// participant played; per-participant entries override the defaults.
+function loadFeeSchedule(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+
+  const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const defaults = normalizeFees(raw.defaults);
+  const participants = {};
+  for (const [name, fees] of Object.entries(raw.participants ?? {})) {
+    participants[name] = normalizeFees(fees, defaults, name);
+  }
+  return { defaults, participants };
+}
+
+function calculateFee(feeSchedule, participant, role, amount) {
+  const fee = (feeSchedule?.participants[participant] ?? feeSchedule?.defaults)?.[role];
+  return fee ? fee.fixed + Math.round((amount * fee.percent) / 100) : 0;
+}
+
+// The settlement items one journalled transaction contributes: the approved
+// transfer and, when it was later reversed, the reversal. Each is dated by
+// the settlement date in effect when the switch answered the acquirer.
+function getSettlementItems(transaction, cutover) {
+  if (!REPORTED_TYPES.has(`${transaction.processingCode ?? ''}`.slice(0, 2))) {
+    return [];
+  }
+
+  const [first] = transaction.events;
+  const acquirer = first?.direction === 'in' ? first.link : null;
+  const toAcquirer = transaction.events.filter((event) => event.direction === 'out' && event.link === acquirer);
+  const approval = toAcquirer.find(
+    (event) =>
+      APPROVAL_MTIS.has(event.mti) &&
+      event.responseCode === '00' &&
+      (event.mti !== '0230' || (first.responseCode ?? '00') === '00'),
+  );
+  if (!acquirer || !approval) {
+    return [];
+  }
+
+  const issuer = transaction.events.find((event) => event.link && event.link !== acquirer)?.link ?? 'issuer';
+  const base = {
+    transactionId: transaction.id,
+    pan: transaction.pan,
+    processingCode: transaction.processingCode,
+    rrn: transaction.rrn,
+    acquirer,
+    issuer,
+  };
+  const toItem = (type, request, response) => ({
+    ...base,
+    type,
+    at: response.at,
+    settlementDate: getSettlementDate(cutover, new Date(response.at)),
+    mti: request.mti,
+    stan: request.stan,
+    amount: parseInt(request.amount ?? transaction.amount ?? '0', 10) || 0,
+  });
+
+  const items = [toItem(ITEM_TYPES.TRANSFER, first, approval)];
+  const reversal = toAcquirer.find(
+    (event) => REVERSAL_RESPONSE_MTIS.has(event.mti) && event.responseCode === '00' && event.at >= approval.at,
+  );
+  if (reversal) {
+    const request = transaction.events.find(
+      (event) => event.direction === 'in' && event.link === acquirer && event.stan === reversal.stan,
+    );
+    items.push(toItem(ITEM_TYPES.REVERSAL, request ?? reversal, reversal));
+  }
+  return items;
+}
+
+function emptyReportTotals() {
+  return {
+    transfers: { count: 0, amount: 0 },
+    reversals: { count: 0, amount: 0 },
+    debits: 0,
+    credits: 0,
+    fees: 0,
+    net: 0,
+  };
+}
+
+// One participant's view of the day: a transfer debits the funding side and
+// credits the other, a reversal undoes both, and a reversal refunds the fee.
+function buildParticipantReport(items, participant, settlementDate, feeSchedule) {
+  const rows = [];
+  const totals = emptyReportTotals();
+  for (const item of items) {
+    const role = [item.acquirer === participant && 'acquirer', item.issuer === participant && 'issuer'].find(Boolean);
+    if (item.settlementDate !== settlementDate || !role) continue;
+
+    const reversal = item.type === ITEM_TYPES.REVERSAL;
+    const { debited } = getSettlementParties(item);
+    const debitSide = (debited === participant) !== reversal;
+    const fee = calculateFee(feeSchedule, participant, role, item.amount) * (reversal ? -1 : 1);
+    const row = {
+      ...item,
+      role,
+      counterparty: role === 'acquirer' ? item.issuer : item.acquirer,
+      debit: debitSide ? item.amount : 0,
+      credit: debitSide ? 0 : item.amount,
+      fee,
+    };
+    rows.push(row);
+
+    const counter = reversal ? totals.reversals : totals.transfers;
+    counter.count += 1;
+    counter.amount += item.amount;
+    totals.debits += row.debit;
+    totals.credits += row.credit;
+    totals.fees += fee;
+  }
+  totals.net = totals.credits - totals.debits - totals.fees;
+  return { participant, settlementDate, generatedAt: new Date().toISOString(), rows, totals };
+}
+
+// Reports for every participant with activity on the settlement date, by name.
+function buildSettlementReports(transactions, { settlementDate, cutoverTime = '18:00', feeSchedule = null }) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(`${settlementDate}`) || Number.isNaN(Date.parse(settlementDate))) {
+    throw new Error(`Settlement date must be YYYY-MM-DD, got ${settlementDate}`);
+  }
+
+  const cutover = parseCutoverTime(cutoverTime);
+  const items = transactions
+    .flatMap((transaction) => getSettlementItems(transaction, cutover))
+    .filter((item) => item.settlementDate === settlementDate);
+  const participants = new Set(items.flatMap((item) => [item.acquirer, item.issuer]));
+
+  const reports = {};
+  for (const participant of Array.from(participants).sort()) {
+    reports[participant] = buildParticipantReport(items, participant, settlementDate, feeSchedule);
+  }
+  return reports;
+}
+
+function formatAmount(minorUnits) {
+  const absolute = Math.abs(minorUnits);
+  return `${minorUnits < 0 ? '-' : ''}${Math.floor(absolute / 100)}.${`${absolute % 100}`.padStart(2, '0')}`;
+}
+
+function csvValue(value) {
+  const text = value == null ? '' : `${value}`;
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatCsv(report) {
+  const lines = [CSV_COLUMNS.join(',')];
+  for (const row of report.rows) {
+    lines.push(
+      [
+        'D',
+        report.settlementDate,
+        row.transactionId,
+        row.type,
+        row.at,
+        row.mti,
+        row.stan,
+        row.rrn,
+        row.pan,
+        row.processingCode,
+        row.role,
+        row.counterparty,
+        formatAmount(row.amount),
+        formatAmount(row.debit),
+        formatAmount(row.credit),
+        formatAmount(row.fee),
+        '',
+      ]
+        .map(csvValue)
+        .join(','),
+    );
+  }
+
+  const { totals } = report;
+  lines.push(
+    [
+      'T',
+      report.settlementDate,
+      '',
+      `${totals.transfers.count} transfers/${totals.reversals.count} reversals`,
+      report.generatedAt,
+      ...Array(7).fill(''),
+      formatAmount(totals.transfers.amount - totals.reversals.amount),
+      formatAmount(totals.debits),
+      formatAmount(totals.credits),
+      formatAmount(totals.fees),
+      formatAmount(totals.net),
+    ]
+      .map(csvValue)
+      .join(','),
+  );
+  return `${lines.join('\n')}\n`;
+}
+
+const text = (value, length) => `${value ?? ''}`.slice(0, length).padEnd(length, ' ');
+const number = (value, length) => `${Math.abs(value ?? 0)}`.padStart(length, '0').slice(-length);
+const compactTime = (iso) => iso.replace(/\D/g, '').slice(0, 14);
+
+function formatFixedWidth(report) {
+  const lines = [
+    `H${report.settlementDate.replace(/-/g, '')}${text(report.participant, 20)}${compactTime(report.generatedAt)}`,
+  ];
+  for (const row of report.rows) {
+    lines.push(
+      [
+        'D',
+        text(row.type, 8),
+        compactTime(row.at),
+        text(row.mti, 4),
+        text(row.stan, 6),
+        text(row.rrn, 12),
+        text(row.pan, 19),
+        text(row.processingCode, 6),
+        text(row.role, 8),
+        text(row.counterparty, 20),
+        number(row.amount, 16),
+        number(row.debit, 16),
+        number(row.credit, 16),
+        row.fee < 0 ? '-' : '+',
+        number(row.fee, 12),
+        text(row.transactionId, 36),
+      ].join(''),
+    );
+  }
+
+  const { totals } = report;
+  lines.push(
+    [
+      'T',
+      number(totals.transfers.count, 8),
+      number(totals.transfers.amount, 16),
+      number(totals.reversals.count, 8),
+      number(totals.reversals.amount, 16),
+      number(totals.debits, 16),
+      number(totals.credits, 16),
+      totals.fees < 0 ? '-' : '+',
+      number(totals.fees, 16),
+      totals.net < 0 ? 'D' : 'C',
+      number(totals.net, 16),
+    ].join(''),
+  );
+  return `${lines.join('\n')}\n`;
+}
+
+// Participant names become file names; keep them to a safe character set.
+function getReportFileName(participant, format) {
+  return `${participant.replace(/[^A-Za-z0-9_.-]/g, '_')}.${format}`;
+}
+
+module.exports = {
+  loadFeeSchedule,
+  buildSettlementReports,
+  formatCsv,
+  formatFixedWidth,
+  getReportFileName,
+};
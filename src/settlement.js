@@ -0,0 +1,214 @@
+// Business-day bookkeeping for the switch: the settlement date that cutover
+// moves forward (stamped as DE15) and per-participant debit/credit totals
+// that participants reconcile against with 0500/0520. Totals are kept in a
+// local JSON file for the current and the last few settlement dates.
+
+const fs = require('fs');
+const path = require('path');
+
+// Transaction types (DE3 positions 1-2) where the acquirer's customer funds
+// the transfer, so the acquirer is debited and the issuer credited: refunds,
+// payments and A2A/IBFT transfers. For everything else (purchases, cash)
+// the issuer is debited and the acquirer credited.
+const ACQUIRER_FUNDED_TYPES = new Set(['20', '26', '28', '40']);
+
+// ISO 8583 reconciliation totals and the data elements that carry them.
+const TOTAL_FIELDS = {
+  credits: { count: 74, amount: 86 },
+  creditReversals: { count: 75, amount: 87 },
+  debits: { count: 76, amount: 88 },
+  debitReversals: { count: 77, amount: 89 },
+};
+
+const SETTLEMENT_CODES = {
+  IN_BALANCE: '1',
+  OUT_OF_BALANCE: '2',
+};
+
+function parseCutoverTime(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(`${value}`.trim());
+  if (!match || parseInt(match[1], 10) > 23 || parseInt(match[2], 10) > 59) {
+    throw new Error(`Cutover time must be HH:MM, got ${value}`);
+  }
+  return { hours: parseInt(match[1], 10), minutes: parseInt(match[2], 10) };
+}
+
+// Settlement date (YYYY-MM-DD) in effect at `now`; cutover is in UTC, like DE7.
+function getSettlementDate(cutover, now = new Date()) {
+  const date = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  const minutesNow = now.getUTCHours() * 60 + now.getUTCMinutes();
+  if (minutesNow >= cutover.hours * 60 + cutover.minutes) {
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+function getNextCutoverAt(cutover, now = new Date()) {
+  const next = new Date(
+    Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), cutover.hours, cutover.minutes),
+  );
+  if (next <= now) {
+    next.setUTCDate(next.getUTCDate() + 1);
+  }
+  return next;
+}
+
+function toDe15(settlementDate) {
+  return settlementDate.slice(5, 7) + settlementDate.slice(8, 10);
+}
+
+// DE15 has no year; take the candidate date nearest to the current settlement date.
+function fromDe15(de15, currentSettlementDate) {
+  const year = parseInt(currentSettlementDate.slice(0, 4), 10);
+  const current = Date.parse(currentSettlementDate);
+  const candidates = [year - 1, year, year + 1].map((candidateYear) => `${candidateYear}-${de15.slice(0, 2)}-${de15.slice(2, 4)}`);
+  return candidates.reduce((best, candidate) =>
+    Math.abs(Date.parse(candidate) - current) < Math.abs(Date.parse(best) - current) ? candidate : best,
+  );
+}
+
+// Which participant a transaction debits and which it credits.
+function getSettlementParties({ acquirer, issuer, processingCode }) {
+  const acquirerFunded = ACQUIRER_FUNDED_TYPES.has(`${processingCode ?? ''}`.slice(0, 2));
+  return acquirerFunded ? { debited: acquirer, credited: issuer } : { debited: issuer, credited: acquirer };
+}
+
+function emptyTotals() {
+  return Object.fromEntries(Object.keys(TOTAL_FIELDS).map((key) => [key, { count: 0, amount: 0 }]));
+}
+
+// Net position from the participant's side: credits owed to it less debits.
+function getNetAmount(totals) {
+  return (
+    totals.credits.amount -
+    totals.creditReversals.amount -
+    (totals.debits.amount - totals.debitReversals.amount)
+  );
+}
+
+// DE97 is x+n16: C or D followed by sixteen digits.
+function formatNetAmount(net) {
+  return `${net < 0 ? 'D' : 'C'}${`${Math.abs(net)}`.padStart(16, '0')}`;
+}
+
+function buildTotalsFields(totals) {
+  const fields = {};
+  for (const [key, { count, amount }] of Object.entries(TOTAL_FIELDS)) {
+    fields[count] = `${totals[key].count}`.padStart(10, '0');
+    fields[amount] = `${totals[key].amount}`.padStart(16, '0');
+  }
+  fields[97] = formatNetAmount(getNetAmount(totals));
+  return fields;
+}
+
+class SettlementLedger {
+  constructor(filePath, { cutoverTime = '18:00', retentionDays = 7 } = {}) {
+    this.filePath = filePath;
+    this.cutover = parseCutoverTime(cutoverTime);
+    this.retentionDays = retentionDays;
+    this.state = { settlementDate: getSettlementDate(this.cutover), days: {} };
+  }
+
+  load() {
+    if (fs.existsSync(this.filePath)) {
+      this.state = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    }
+    return this;
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(this.state, null, 2));
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  get settlementDate() {
+    return this.state.settlementDate;
+  }
+
+  getDe15() {
+    return toDe15(this.state.settlementDate);
+  }
+
+  getNextCutoverAt(now = new Date()) {
+    return getNextCutoverAt(this.cutover, now);
+  }
+
+  // Moves to the settlement date in effect at `now`; returns { previous, current }
+  // when that is a cutover, otherwise null. Old business days are pruned.
+  checkCutover(now = new Date()) {
+    const current = getSettlementDate(this.cutover, now);
+    if (current <= this.state.settlementDate) {
+      return null;
+    }
+
+    const previous = this.state.settlementDate;
+    this.state.settlementDate = current;
+    const oldest = new Date(Date.parse(current) - this.retentionDays * 86400000).toISOString().slice(0, 10);
+    for (const date of Object.keys(this.state.days)) {
+      if (date < oldest) {
+        delete this.state.days[date];
+      }
+    }
+    this.save();
+    return { previous, current };
+  }
+
+  getTotals(participant, settlementDate = this.state.settlementDate) {
+    return this.state.days[settlementDate]?.[participant] ?? emptyTotals();
+  }
+
+  addTotal(participant, key, amount) {
+    const day = this.state.days[this.state.settlementDate] ?? {};
+    this.state.days[this.state.settlementDate] = day;
+    day[participant] = day[participant] ?? emptyTotals();
+    day[participant][key].count += 1;
+    day[participant][key].amount += amount;
+  }
+
+  // Books an approved financial transaction, or a reversal of one, against
+  // both participants for the current settlement date.
+  record({ acquirer, issuer, processingCode, amount, reversal = false }) {
+    const value = parseInt(amount ?? '0', 10) || 0;
+    const { debited, credited } = getSettlementParties({ acquirer, issuer, processingCode });
+
+    this.addTotal(debited, reversal ? 'debitReversals' : 'debits', value);
+    this.addTotal(credited, reversal ? 'creditReversals' : 'credits', value);
+    this.save();
+  }
+
+  // Compares a participant's own figures (a parsed 0500/0520) with the
+  // switch's; totals the participant leaves out are taken as zero.
+  reconcile(participant, settlementDate, fields) {
+    const totals = this.getTotals(participant, settlementDate);
+    const differences = [];
+    for (const [key, fieldNums] of Object.entries(TOTAL_FIELDS)) {
+      for (const [measure, fieldNum] of Object.entries(fieldNums)) {
+        const reported = parseInt(fields[fieldNum] ?? '0', 10) || 0;
+        if (reported !== totals[key][measure]) {
+          differences.push({ field: fieldNum, total: key, measure, reported, expected: totals[key][measure] });
+        }
+      }
+    }
+
+    return {
+      settlementCode: differences.length === 0 ? SETTLEMENT_CODES.IN_BALANCE : SETTLEMENT_CODES.OUT_OF_BALANCE,
+      totals,
+      differences,
+    };
+  }
+}
+
+module.exports = {
+  TOTAL_FIELDS,
+  SETTLEMENT_CODES,
+  parseCutoverTime,
+  getSettlementDate,
+  getSettlementParties,
+  toDe15,
+  fromDe15,
+  getNetAmount,
+  buildTotalsFields,
+  SettlementLedger,
+};
@@ -0,0 +1,180 @@
+// Stand-in authorisation (STIP) for issuers that are down or not signed on:
+// per-issuer rules from config/stand-in.json and a per-PAN daily velocity
+// store kept in a local file. PANs are stored only as SHA-256 digests.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DECLINE_CODES = {
+  UNAVAILABLE: '91',
+  NOT_PERMITTED: '57',
+  AMOUNT_LIMIT: '61',
+  FREQUENCY_LIMIT: '65',
+};
+
+const RULE_DEFAULTS = {
+  enabled: false,
+  maxAmount: null,
+  dailyAmountPerPan: null,
+  dailyCountPerPan: null,
+  processingCodes: null,
+  allowPinTransactions: false,
+};
+
+function parseLimit(value, label) {
+  if (value == null) return null;
+  const limit = parseInt(value, 10);
+  if (Number.isNaN(limit) || limit < 0) {
+    throw new Error(`Stand-in ${label} must be a non-negative integer`);
+  }
+  return limit;
+}
+
+function normalizeRules(rules = {}, base = RULE_DEFAULTS, label = 'defaults') {
+  return {
+    enabled: rules.enabled ?? base.enabled,
+    maxAmount: rules.maxAmount !== undefined ? parseLimit(rules.maxAmount, `${label}.maxAmount`) : base.maxAmount,
+    dailyAmountPerPan:
+      rules.dailyAmountPerPan !== undefined
+        ? parseLimit(rules.dailyAmountPerPan, `${label}.dailyAmountPerPan`)
+        : base.dailyAmountPerPan,
+    dailyCountPerPan:
+      rules.dailyCountPerPan !== undefined
+        ? parseLimit(rules.dailyCountPerPan, `${label}.dailyCountPerPan`)
+        : base.dailyCountPerPan,
+    processingCodes: rules.processingCodes ? rules.processingCodes.map((code) => `${code}`) : base.processingCodes,
+    allowPinTransactions: rules.allowPinTransactions ?? base.allowPinTransactions,
+  };
+}
+
+function loadStandInConfig(filePath, links) {
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+
+  const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const defaults = normalizeRules(raw.defaults);
+  const issuers = {};
+  for (const [issuerName, rules] of Object.entries(raw.issuers ?? {})) {
+    if (links && !links.some((link) => link.name === issuerName && link.role === 'issuer')) {
+      throw new Error(`Stand-in rules reference unknown issuer link ${issuerName}`);
+    }
+    issuers[issuerName] = normalizeRules(rules, defaults, issuerName);
+  }
+
+  return { defaults, issuers };
+}
+
+function hashPan(pan) {
+  return crypto.createHash('sha256').update(`${pan}`).digest('hex').slice(0, 32);
+}
+
+function getBusinessDate() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+class StandInProcessor {
+  constructor(config, stateFile) {
+    this.config = config;
+    this.stateFile = stateFile;
+    this.state = { date: getBusinessDate(), pans: {} };
+  }
+
+  load() {
+    if (fs.existsSync(this.stateFile)) {
+      this.state = JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+    }
+    return this;
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.stateFile), { recursive: true });
+    const tempPath = `${this.stateFile}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(this.state));
+    fs.renameSync(tempPath, this.stateFile);
+  }
+
+  getRules(issuerName) {
+    return (issuerName && this.config.issuers[issuerName]) || this.config.defaults;
+  }
+
+  // Velocity counters cover one calendar day and reset on the first use after midnight.
+  getVelocity(pan) {
+    const today = getBusinessDate();
+    if (this.state.date !== today) {
+      this.state = { date: today, pans: {} };
+    }
+    return this.state.pans[hashPan(pan)] ?? { count: 0, amount: 0 };
+  }
+
+  // Returns { approved, responseCode, authorizationCode, reason, businessDate }.
+  authorize(message, issuerName) {
+    const rules = this.getRules(issuerName);
+    const decline = (responseCode, reason) => ({ approved: false, responseCode, authorizationCode: null, reason });
+
+    if (!rules.enabled) {
+      return decline(DECLINE_CODES.UNAVAILABLE, 'stand-in disabled');
+    }
+
+    const pan = message.fields[2];
+    if (!pan) {
+      return decline(DECLINE_CODES.UNAVAILABLE, 'no PAN (DE2) to apply velocity limits to');
+    }
+    if (message.fields[52] !== undefined && !rules.allowPinTransactions) {
+      return decline(DECLINE_CODES.UNAVAILABLE, 'PIN cannot be verified in stand-in');
+    }
+
+    const transactionType = `${message.fields[3] ?? ''}`.slice(0, 2);
+    if (rules.processingCodes && !rules.processingCodes.includes(transactionType)) {
+      return decline(DECLINE_CODES.NOT_PERMITTED, `transaction type ${transactionType} not allowed`);
+    }
+
+    const amount = parseInt(message.fields[4] ?? '0', 10) || 0;
+    if (rules.maxAmount != null && amount > rules.maxAmount) {
+      return decline(DECLINE_CODES.AMOUNT_LIMIT, `amount ${amount} over limit ${rules.maxAmount}`);
+    }
+
+    const velocity = this.getVelocity(pan);
+    if (rules.dailyCountPerPan != null && velocity.count + 1 > rules.dailyCountPerPan) {
+      return decline(DECLINE_CODES.FREQUENCY_LIMIT, `daily count limit ${rules.dailyCountPerPan} reached`);
+    }
+    if (rules.dailyAmountPerPan != null && velocity.amount + amount > rules.dailyAmountPerPan) {
+      return decline(DECLINE_CODES.AMOUNT_LIMIT, `daily amount limit ${rules.dailyAmountPerPan} reached`);
+    }
+
+    this.state.pans[hashPan(pan)] = { count: velocity.count + 1, amount: velocity.amount + amount };
+    this.save();
+
+    return {
+      approved: true,
+      responseCode: '00',
+      authorizationCode: `${crypto.randomInt(0, 1000000)}`.padStart(6, '0'),
+      reason: 'approved in stand-in',
+      businessDate: this.state.date,
+    };
+  }
+
+  // Gives back the velocity a reversed approval used. An approval from an
+  // earlier day no longer counts against the PAN, so there is nothing to undo.
+  release(message, businessDate) {
+    const pan = message.fields[2];
+    if (!pan || businessDate !== getBusinessDate()) {
+      return;
+    }
+
+    const velocity = this.getVelocity(pan);
+    const amount = parseInt(message.fields[4] ?? '0', 10) || 0;
+    this.state.pans[hashPan(pan)] = {
+      count: Math.max(velocity.count - 1, 0),
+      amount: Math.max(velocity.amount - amount, 0),
+    };
+    this.save();
+  }
+}
+
+module.exports = {
+  DECLINE_CODES,
+  loadStandInConfig,
+  StandInProcessor,
+};
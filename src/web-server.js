@@ -1,12 +1,40 @@
 const express = require('express');
+const http = require('http');
 const net = require('net');
 const path = require('path');
-const { buildIso8583Message } = require('./iso8583/builder');
+const { Iso8583Codec } = require('./iso8583/codec');
+const { describeFields } = require('./iso8583/describe');
+const { validateMessage, formatValidationErrors } = require('./iso8583/validation');
+const { TransactionJournal } = require('./journal');
+const { normalizeFraming, encodeFrame } = require('./framing');
+const {
+  loadFeeSchedule,
+  buildSettlementReports,
+  formatCsv,
+  formatFixedWidth,
+  getReportFileName,
+} = require('./settlement-report');
 
 const app = express();
 const PORT = process.env.WEB_PORT || 3000;
 const NPSB_HOST = process.env.NPSB_HOST || 'localhost';
 const NPSB_PORT = parseInt(process.env.NPSB_PORT || '5000', 10);
+const JOURNAL_FILE = process.env.NPSB_JOURNAL_FILE || 'data/journal.jsonl';
+const NPSB_MONITOR_URL = process.env.NPSB_MONITOR_URL || 'http://127.0.0.1:5080';
+const FEES_FILE = process.env.NPSB_FEES_FILE || 'config/fees.json';
+const CUTOVER_TIME = process.env.NPSB_CUTOVER_TIME || '18:00';
+// Must match the framing the switch has configured for this acquirer's link.
+const SWITCH_FRAMING = normalizeFraming(
+  {
+    length: process.env.NPSB_FRAME_LENGTH || 'binary2',
+    lengthIncludesHeader: process.env.NPSB_FRAME_LENGTH_INCLUDES_HEADER === 'true',
+    tpdu: process.env.NPSB_FRAME_TPDU || null,
+  },
+  'Switch framing',
+);
+
+const journal = new TransactionJournal(JOURNAL_FILE);
+const isoCodec = new Iso8583Codec();
 
 // Middleware
 app.use(express.json());
@@ -32,18 +60,167 @@ function currentDateTime() {
   };
 }
 
-function buildField47(counterpartAccount) {
-  if (!counterpartAccount) return undefined;
-  const len = pad(counterpartAccount.length, 2);
-  return `9270${len}${counterpartAccount}`;
+// additionalInfo is the DE112 sub-fields, or the legacy fixed-width text
+// ('    TWHAT_TRX  TIBFTA2A') older clients still post; null when it is neither.
+function parseAdditionalInfo(value) {
+  if (value && typeof value === 'object') return value;
+  const words = typeof value === 'string' ? value.trim().split(/\s+/).filter(Boolean) : [];
+  if (words.length === 0 || words.length > 2) return null;
+  return { parameterName: words.length === 2 ? words[0] : 'TWHAT_TRX', transactionType: words[words.length - 1] };
+}
+
+function decodeJournalMessage(event) {
+  const decoded = {
+    at: event.at,
+    direction: event.direction,
+    link: event.link,
+    mti: event.mti,
+    state: event.state,
+    note: event.note,
+    fields: [],
+  };
+  if (!event.raw) return decoded;
+
+  try {
+    const message = isoCodec.unpack(Buffer.from(event.raw, 'hex'));
+    decoded.fields = describeFields(message.fields);
+  } catch (error) {
+    decoded.error = error.message;
+  }
+  return decoded;
+}
+
+// Pairs each request (0100, 0420, 0421, ...) with the response that answered it
+// on the same link: in/out on the acquirer leg, out/in on the issuer leg.
+function pairJournalMessages(events) {
+  const isRequest = (mti) => parseInt(mti[2], 10) % 2 === 0;
+  const answers = (request, response) =>
+    response.link === request.link &&
+    response.direction !== request.direction &&
+    response.mti.slice(0, 2) === request.mti.slice(0, 2) &&
+    parseInt(response.mti[2], 10) === parseInt(request.mti[2], 10) + 1;
+
+  const used = new Set();
+  const exchanges = [];
+  events.forEach((event, index) => {
+    if (!event.mti || !isRequest(event.mti)) return;
+    const responseIndex = events.findIndex(
+      (candidate, candidateIndex) =>
+        candidateIndex > index && !used.has(candidateIndex) && candidate.mti && answers(event, candidate),
+    );
+    if (responseIndex !== -1) used.add(responseIndex);
+    exchanges.push({
+      link: event.link,
+      request: decodeJournalMessage(event),
+      response: responseIndex !== -1 ? decodeJournalMessage(events[responseIndex]) : null,
+    });
+  });
+  return exchanges;
+}
+
+// Transaction search over the switch's journal. Filters: from, to, stan, rrn,
+// pan, amount, responseCode, link, state and limit.
+app.get('/api/transactions', (req, res) => {
+  try {
+    const filters = {};
+    for (const key of ['from', 'to', 'stan', 'rrn', 'pan', 'amount', 'responseCode', 'link', 'state', 'limit']) {
+      if (req.query[key] != null && req.query[key] !== '') {
+        filters[key] = `${req.query[key]}`;
+      }
+    }
+    const transactions = journal.query(filters);
+    res.json({ success: true, count: transactions.length, transactions });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/transactions/:id', (req, res) => {
+  try {
+    const transaction = journal.getTransaction(req.params.id);
+    if (!transaction) {
+      res.status(404).json({ success: false, error: `Transaction ${req.params.id} not found` });
+      return;
+    }
+
+    const { events, ...summary } = transaction;
+    res.json({ success: true, transaction: { ...summary, exchanges: pairJournalMessages(events) } });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// End-of-day settlement files, generated from the journal on request.
+function getSettlementReports(settlementDate) {
+  return buildSettlementReports(journal.loadTransactions(), {
+    settlementDate,
+    cutoverTime: CUTOVER_TIME,
+    feeSchedule: loadFeeSchedule(FEES_FILE),
+  });
 }
 
-function buildField48(counterpartAccount) {
-  if (!counterpartAccount) return undefined;
-  const len = pad(counterpartAccount.length, 2);
-  return `8480${len}${counterpartAccount}`;
+app.get('/api/settlement/:date', (req, res) => {
+  try {
+    const reports = getSettlementReports(req.params.date);
+    const participants = Object.values(reports).map(({ participant, totals }) => ({
+      participant,
+      totals,
+      files: {
+        csv: `/api/settlement/${req.params.date}/${encodeURIComponent(participant)}.csv`,
+        txt: `/api/settlement/${req.params.date}/${encodeURIComponent(participant)}.txt`,
+      },
+    }));
+    res.json({ success: true, settlementDate: req.params.date, participants });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/settlement/:date/:participant.:format(csv|txt)', (req, res) => {
+  let reports;
+  try {
+    reports = getSettlementReports(req.params.date);
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+    return;
+  }
+
+  const { participant, format } = req.params;
+  const report = reports[participant];
+  if (!report) {
+    res.status(404).json({ success: false, error: `No settlement activity for ${participant} on ${req.params.date}` });
+    return;
+  }
+
+  res.attachment(`${req.params.date}-${getReportFileName(participant, format)}`);
+  res.type(format === 'csv' ? 'text/csv' : 'text/plain');
+  res.send(format === 'csv' ? formatCsv(report) : formatFixedWidth(report));
+});
+
+// Relays the switch's monitor feed (src/monitor.js) so the dashboard is served
+// from one origin; the SSE stream stays open until the browser goes away.
+function relayMonitor(pathname, res) {
+  const upstream = http.get(`${NPSB_MONITOR_URL}${pathname}`, (upstreamRes) => {
+    res.writeHead(upstreamRes.statusCode, {
+      'Content-Type': upstreamRes.headers['content-type'] || 'application/json',
+      'Cache-Control': 'no-cache',
+    });
+    upstreamRes.pipe(res);
+  });
+
+  upstream.on('error', (error) => {
+    if (res.headersSent) {
+      res.end();
+      return;
+    }
+    res.status(502).json({ success: false, error: `Switch monitor unavailable: ${error.message}` });
+  });
+  res.on('close', () => upstream.destroy());
 }
 
+app.get('/api/monitor/status', (req, res) => relayMonitor('/status', res));
+app.get('/api/monitor/events', (req, res) => relayMonitor('/events', res));
+
 // API endpoint to send transaction
 app.post('/api/send-transaction', async (req, res) => {
   try {
@@ -68,6 +245,7 @@ app.post('/api/send-transaction', async (req, res) => {
       cardAcceptorName,
       counterpart,
       additionalInfo,
+      transactionType,
       currency,
       field47,
       field48,
@@ -82,38 +260,40 @@ app.post('/api/send-transaction', async (req, res) => {
       rrn ||
       `${defaults.de7.slice(0, 4)}${defaults.de12}${finalStan}`.slice(0, 12).padEnd(12, '0');
     const finalCounterpart = counterpart || '2001070006085';
+    const finalAdditionalInfo = additionalInfo
+      ? parseAdditionalInfo(additionalInfo)
+      : { parameterName: 'TWHAT_TRX', transactionType: transactionType || 'TIBFTA2A' };
+    if (!finalAdditionalInfo) {
+      return res.status(400).json({
+        success: false,
+        error: 'additionalInfo must be the DE112 sub-fields or "[PARAMETER_NAME] TRANSACTION_TYPE"',
+      });
+    }
 
-    // Helper function to ensure fixed-length fields are correct
-    const ensureFixedLength = (value, length, padChar = ' ', padStart = false) => {
-      if (!value) return padChar.repeat(length);
-      const str = String(value);
-      if (str.length === length) return str;
-      if (str.length > length) return str.substring(0, length);
-      return padStart ? str.padStart(length, padChar) : str.padEnd(length, padChar);
-    };
-
+    // Values go out as entered: the codec zero-fills short numerics and
+    // space-pads short text, and anything else wrong is reported, not fixed up.
     const fields = {
       2: pan || '0000950000000000',
-      3: (procCode || '280000').padStart(6, '0').substring(0, 6),
-      4: finalAmount.padStart(12, '0').substring(0, 12),
-      5: finalSettlementAmount.padStart(12, '0').substring(0, 12),
-      6: finalBillingAmount.padStart(12, '0').substring(0, 12),
-      7: (transmissionDateTime || defaults.de7).padStart(10, '0').substring(0, 10),
-      11: finalStan.padStart(6, '0').substring(0, 6),
-      12: (localTime || defaults.de12).padStart(6, '0').substring(0, 6),
-      13: (localDate || defaults.de13).padStart(4, '0').substring(0, 4),
-      18: (merchantType || '6013').padStart(4, '0').substring(0, 4),
-      22: (entryMode || '012').padStart(3, '0').substring(0, 3),
+      3: procCode || '280000',
+      4: finalAmount,
+      5: finalSettlementAmount,
+      6: finalBillingAmount,
+      7: transmissionDateTime || defaults.de7,
+      11: finalStan,
+      12: localTime || defaults.de12,
+      13: localDate || defaults.de13,
+      18: merchantType || '6013',
+      22: entryMode || '012',
       32: acquirerId || '000015',
-      37: ensureFixedLength(finalRrn, 12, '0', true),
-      41: ensureFixedLength(terminalId || '90200151', 8, ' '),
-      42: ensureFixedLength(cardAcceptorId || 'AL-ARAFAH BANK  ', 15, ' '),
-      43: ensureFixedLength(cardAcceptorName || 'aibl i-banking           DHAKA        BD', 40, ' '),
-      47: field47 || buildField47(finalCounterpart),
-      48: field48 || buildField48(finalCounterpart),
-      49: (currency || '050').padStart(3, '0').substring(0, 3),
+      37: finalRrn,
+      41: terminalId || '90200151',
+      42: cardAcceptorId || 'AL-ARAFAH BANK ',
+      43: cardAcceptorName || 'aibl i-banking           DHAKA        BD',
+      47: field47 || { counterpartAccount: finalCounterpart },
+      48: field48 || { paymentServiceCode: finalCounterpart },
+      49: currency || '050',
       103: finalCounterpart,
-      112: additionalInfo || '    TWHAT_TRX  TIBFTA2A',
+      112: finalAdditionalInfo,
     };
 
     // Remove undefined fields
@@ -121,13 +301,20 @@ app.post('/api/send-transaction', async (req, res) => {
       if (fields[key] == null) delete fields[key];
     });
 
+    const { valid, errors } = validateMessage({ mti: '0100', fields });
+    if (!valid) {
+      return res.status(400).json({
+        success: false,
+        error: formatValidationErrors(errors),
+        errors,
+      });
+    }
+
     // Build ISO8583 message
-    const message = buildIso8583Message({ mti: '0100', fields });
+    const message = isoCodec.pack({ mti: '0100', fields });
 
-    // Create payload with header
-    const header = Buffer.alloc(2);
-    header.writeUInt16BE(message.length);
-    const payload = Buffer.concat([header, message]);
+    // Frame the message for the switch link
+    const payload = encodeFrame(SWITCH_FRAMING, message);
 
     // Send via TCP socket
     return new Promise((resolve, reject) => {
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_FRAMING, normalizeFraming, encodeFrame, readFrames } = require('../src/framing');
+
+const MESSAGE = Buffer.from('0800822000000000000004000000000000001019103015000123301', 'ascii');
+
+test('encodes binary2 and ascii4 length indicators', () => {
+  assert.equal(encodeFrame(DEFAULT_FRAMING, Buffer.from('ABC')).toString('hex'), '0003414243');
+
+  const ascii = normalizeFraming({ length: 'ascii4' });
+  assert.equal(encodeFrame(ascii, Buffer.from('ABC')).toString('ascii'), '0003ABC');
+
+  const inclusive = normalizeFraming({ length: 'ascii4', lengthIncludesHeader: true });
+  assert.equal(encodeFrame(inclusive, Buffer.from('ABC')).toString('ascii'), '0007ABC');
+});
+
+test('adds the TPDU on send and strips it on receive', () => {
+  const framing = normalizeFraming({ tpdu: '6000010000', lengthIncludesHeader: true });
+  const frame = encodeFrame(framing, MESSAGE);
+
+  assert.equal(frame.readUInt16BE(0), 2 + 5 + MESSAGE.length);
+  assert.equal(frame.slice(2, 7).toString('hex'), '6000010000');
+  assert.deepEqual(readFrames(framing, frame), { messages: [MESSAGE], remaining: Buffer.alloc(0), discarded: 0 });
+});
+
+test('keeps a partial frame until the rest arrives', () => {
+  const framing = normalizeFraming({ length: 'ascii4' });
+  const stream = Buffer.concat([encodeFrame(framing, MESSAGE), encodeFrame(framing, MESSAGE)]);
+
+  const first = readFrames(framing, stream.slice(0, MESSAGE.length + 10));
+  assert.equal(first.messages.length, 1);
+  assert.equal(first.remaining.length, 6);
+
+  const second = readFrames(framing, Buffer.concat([first.remaining, stream.slice(MESSAGE.length + 10)]));
+  assert.deepEqual(second.messages, [MESSAGE]);
+  assert.equal(second.remaining.length, 0);
+});
+
+test('resynchronises on the next plausible ascii4 length after garbage', () => {
+  const framing = normalizeFraming({ length: 'ascii4' });
+  const stream = Buffer.concat([Buffer.from('\r\nXY', 'latin1'), encodeFrame(framing, MESSAGE)]);
+
+  const { messages, remaining, discarded } = readFrames(framing, stream);
+  assert.deepEqual(messages, [MESSAGE]);
+  assert.equal(remaining.length, 0);
+  assert.equal(discarded, 4);
+});
+
+test('skips binary2 lengths above the frame limit', () => {
+  const framing = normalizeFraming({ maxFrameSize: 1024 });
+  const stream = Buffer.concat([Buffer.from('FFFF', 'hex'), encodeFrame(framing, MESSAGE)]);
+
+  const { messages, discarded } = readFrames(framing, stream);
+  assert.deepEqual(messages, [MESSAGE]);
+  assert.equal(discarded, 2);
+});
+
+test('skips lengths too short to hold the TPDU', () => {
+  const framing = normalizeFraming({ tpdu: '6000010000', maxFrameSize: 512 });
+  const stream = Buffer.concat([Buffer.from('0003', 'hex'), encodeFrame(framing, MESSAGE)]);
+
+  const { messages, discarded } = readFrames(framing, stream);
+  assert.deepEqual(messages, [MESSAGE]);
+  assert.equal(discarded, 2);
+});
+
+test('drops zero-length keep-alives', () => {
+  const framing = normalizeFraming({ length: 'ascii4' });
+  const stream = Buffer.concat([Buffer.from('0000'), encodeFrame(framing, MESSAGE), Buffer.from('0000')]);
+
+  assert.deepEqual(readFrames(framing, stream), { messages: [MESSAGE], remaining: Buffer.alloc(0), discarded: 0 });
+});
+
+test('rejects invalid framing settings', () => {
+  assert.throws(() => normalizeFraming({ length: 'ascii2' }), /length must be one of binary2, ascii4/);
+  assert.throws(() => normalizeFraming({ tpdu: '600001' }), /tpdu must be 5 bytes of hex/);
+  assert.throws(() => normalizeFraming({ length: 'ascii4', maxFrameSize: 10000 }), /between 1 and 9999/);
+  assert.throws(
+    () => encodeFrame(normalizeFraming({ maxFrameSize: 10 }), MESSAGE),
+    /exceeds the 10 byte frame limit/,
+  );
+});
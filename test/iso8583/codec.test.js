@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Iso8583Codec } = require('../../src/iso8583/codec');
+const { NPSB_SPEC, extendSpec } = require('../../src/iso8583/spec');
+
+// The wire profiles a link can select (see config/links.example.json).
+const PROFILES = {
+  npsb: {},
+  'ebcdic, hex bitmap, char lengths': { bitmapEncoding: 'hex', lengthEncoding: 'char', charset: 'ebcdic' },
+  'all characters': { bitmapEncoding: 'hex', numericEncoding: 'char', lengthEncoding: 'char' },
+  'bcd mti': { mtiEncoding: 'bcd' },
+};
+
+const FIELDS = {
+  2: '4111111111111111',
+  3: '000000',
+  4: '000000012345',
+  7: '1019103015',
+  11: '000123',
+  32: '000105',
+  35: '4111111111111111=29121010000000000000',
+  37: '629210000123',
+  41: 'TERM0001',
+  43: 'MERCHANT NAME            DHAKA        BD',
+  48: '848006BKASH1',
+  49: '050',
+  52: '0123456789ABCDEF',
+  55: '9F2608123456789ABCDEF09F360200219F37041234567895050000000000',
+  103: '1234567890123',
+  128: 'A1C72E74EA3FA9B6',
+};
+
+const codecFor = (settings) => new Iso8583Codec(extendSpec(NPSB_SPEC, settings));
+
+for (const [name, settings] of Object.entries(PROFILES)) {
+  test(`${name} profile round-trips every field type`, () => {
+    const codec = codecFor(settings);
+    const message = codec.unpack(codec.pack({ mti: '0200', fields: FIELDS }));
+
+    assert.equal(message.mti, '0200');
+    assert.deepEqual(message.fields, FIELDS);
+    assert.equal(message.emv['9F36'], '0021');
+    assert.deepEqual(message.subfields[48], { paymentServiceCode: 'BKASH1' });
+  });
+
+  test(`${name} profile translates to and from NPSB without loss`, () => {
+    const npsb = new Iso8583Codec();
+    const codec = codecFor(settings);
+    const original = npsb.pack({ mti: '0210', fields: { ...FIELDS, 39: '00' } });
+
+    const translated = codec.translate(original, npsb);
+    assert.deepEqual(codec.unpack(translated).fields, { ...FIELDS, 39: '00' });
+    assert.deepEqual(npsb.translate(translated, codec), original);
+  });
+}
+
+test('profile settings change the bytes on the wire', () => {
+  const fields = { 3: '000000', 11: '000123' };
+  const npsb = new Iso8583Codec().pack({ mti: '0800', fields });
+  assert.equal(npsb.slice(0, 4).toString('ascii'), '0800');
+  assert.equal(npsb.slice(4, 12).toString('hex'), '2020000000000000');
+  assert.equal(npsb.slice(12).toString('hex'), '000000000123');
+
+  const ebcdic = codecFor(PROFILES['ebcdic, hex bitmap, char lengths']).pack({ mti: '0800', fields });
+  assert.equal(ebcdic.slice(0, 4).toString('hex'), 'f0f8f0f0');
+  assert.equal(ebcdic.length, 4 + 16 + 6);
+
+  const characters = codecFor(PROFILES['all characters']).pack({ mti: '0800', fields });
+  assert.equal(characters.toString('ascii'), '08002020000000000000000000000123');
+
+  const bcdMti = codecFor(PROFILES['bcd mti']).pack({ mti: '0800', fields });
+  assert.equal(bcdMti.slice(0, 2).toString('hex'), '0800');
+});
+
+test('DE112 carries the transaction type as binary BER-TLV in every profile', () => {
+  for (const settings of Object.values(PROFILES)) {
+    const codec = codecFor(settings);
+    const packed = codec.pack({
+      mti: '0200',
+      fields: { 3: '400000', 112: { parameterName: 'TWHAT_TRX', transactionType: 'TIBFTA2A' } },
+    });
+    const message = codec.unpack(packed);
+
+    assert.equal(message.fields[112], 'F015D20954574841545F545258D3085449424654413241');
+    assert.deepEqual(message.subfields[112], { parameterName: 'TWHAT_TRX', transactionType: 'TIBFTA2A' });
+  }
+});
+
+test('sub-field values are checked against their layout when building', () => {
+  const codec = new Iso8583Codec();
+  assert.throws(
+    () => codec.pack({ mti: '0800', fields: { 125: { keyUnderZmk: 'not hex!', keyType: 'ZPK' } } }),
+    /keyUnderZmk \(740\) expects an data/,
+  );
+  assert.throws(() => codec.parseSubfields(48, '848099SHORT'), /Malformed PDS 848/);
+});
+
+test('setField and removeField edit a packed message in place', () => {
+  const codec = codecFor(PROFILES['ebcdic, hex bitmap, char lengths']);
+  const packed = codec.pack({ mti: '0200', fields: { 3: '000000', 11: '000123', 41: 'TERM0001' } });
+
+  const withMac = codec.setField(packed, 128, '0011223344556677');
+  assert.deepEqual(codec.unpack(withMac).fields, {
+    3: '000000',
+    11: '000123',
+    41: 'TERM0001',
+    128: '0011223344556677',
+  });
+  assert.deepEqual(codec.locateField(withMac, 128), { offset: withMac.length - 8, length: 8 });
+
+  const withStan = codec.setField(withMac, 11, '000999');
+  assert.equal(codec.unpack(withStan).fields[11], '000999');
+
+  assert.deepEqual(codec.removeField(withMac, 128), packed);
+  assert.equal(codec.removeField(packed, 128), packed);
+});
+
+test('rejects values that do not fit their field', () => {
+  const codec = new Iso8583Codec();
+  assert.throws(() => codec.pack({ mti: '0200', fields: { 4: '12A' } }), /Field 4 expects numeric data/);
+  assert.throws(() => codec.pack({ mti: '0200', fields: { 41: 'TERMINAL01' } }), /Field 41 must be 8 long/);
+  assert.throws(() => codec.pack({ mti: '0200', fields: { 2: '41111111111111111111' } }), /exceeds maximum 19/);
+  assert.throws(() => codec.pack({ mti: '0200', fields: { 52: 'XYZ' } }), /Field 52 expects hex data/);
+  assert.throws(() => codec.pack({ mti: '0200', fields: { 8: '1' } }), /Field 8 is not defined/);
+});
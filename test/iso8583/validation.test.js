@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { VALIDATION_ERRORS, validateMessage, formatValidationErrors } = require('../../src/iso8583/validation');
+
+const PURCHASE = {
+  2: '4111111111111111',
+  3: '000000',
+  4: '000000012345',
+  7: '1019103015',
+  11: '000123',
+  12: '163015',
+  13: '1019',
+  32: '000105',
+  37: '629210000123',
+  41: 'TERM0001',
+  49: '050',
+};
+
+// [field, code] of every error, in the order reported.
+function problems(message) {
+  return validateMessage(message).errors.map(({ field, code }) => [field, code]);
+}
+
+test('accepts a complete purchase request', () => {
+  assert.deepEqual(validateMessage({ mti: '0200', fields: PURCHASE }), { valid: true, errors: [] });
+});
+
+test('rejects a malformed MTI', () => {
+  assert.deepEqual(problems({ mti: '02A0', fields: PURCHASE }), [[null, VALIDATION_ERRORS.INVALID_MTI]]);
+});
+
+test('reports every missing mandatory field', () => {
+  const { 11: stan, 41: terminal, ...fields } = PURCHASE;
+  assert.ok(stan && terminal);
+  assert.deepEqual(problems({ mti: '0100', fields }), [
+    [11, VALIDATION_ERRORS.MISSING_FIELD],
+    [41, VALIDATION_ERRORS.MISSING_FIELD],
+  ]);
+});
+
+test('requires DE4 except for balance inquiries', () => {
+  const { 4: amount, ...fields } = PURCHASE;
+  assert.ok(amount);
+  assert.deepEqual(problems({ mti: '0200', fields }), [[4, VALIDATION_ERRORS.MISSING_FIELD]]);
+  assert.deepEqual(problems({ mti: '0200', fields: { ...fields, 3: '310000' } }), []);
+});
+
+test('requires DE103 for A2A and IBFT transfers', () => {
+  const transfer = { ...PURCHASE, 3: '400000' };
+  const { errors } = validateMessage({ mti: '0200', fields: transfer });
+  assert.equal(formatValidationErrors(errors), 'DE103 is required for A2A/IBFT transfers (DE3 28xxxx, 40xxxx)');
+  assert.deepEqual(problems({ mti: '0200', fields: { ...transfer, 103: '1234567890123' } }), []);
+});
+
+test('rejects fields a financial request may not carry', () => {
+  assert.deepEqual(problems({ mti: '0200', fields: { ...PURCHASE, 70: '301' } }), [
+    [70, VALIDATION_ERRORS.UNEXPECTED_FIELD],
+  ]);
+  assert.deepEqual(problems({ mti: '0200', fields: { ...PURCHASE, 8: '1' } }), [
+    [8, VALIDATION_ERRORS.UNEXPECTED_FIELD],
+  ]);
+});
+
+test('tolerates extra scheme fields on network management messages', () => {
+  const echo = { 7: '1019103015', 11: '000124', 70: '301', 37: '629210000124' };
+  assert.deepEqual(problems({ mti: '0800', fields: echo }), []);
+  assert.deepEqual(problems({ mti: '0800', fields: { ...echo, 70: '161' } }), [[48, VALIDATION_ERRORS.MISSING_FIELD]]);
+});
+
+test('rejects values that break their field definition', () => {
+  assert.deepEqual(
+    problems({
+      mti: '0200',
+      fields: { ...PURCHASE, 2: '41111111111111111111', 4: '12.50', 41: 'TERMINAL01', 52: '0123' },
+    }),
+    [
+      [2, VALIDATION_ERRORS.INVALID_LENGTH],
+      [4, VALIDATION_ERRORS.INVALID_CONTENT],
+      [41, VALIDATION_ERRORS.INVALID_LENGTH],
+      [52, VALIDATION_ERRORS.INVALID_LENGTH],
+    ],
+  );
+});
+
+test('rejects impossible dates and times', () => {
+  assert.deepEqual(problems({ mti: '0200', fields: { ...PURCHASE, 7: '1332103015', 12: '246000', 13: '0230' } }), [
+    [7, VALIDATION_ERRORS.INVALID_DATE],
+    [12, VALIDATION_ERRORS.INVALID_DATE],
+    [13, VALIDATION_ERRORS.INVALID_DATE],
+  ]);
+  assert.deepEqual(problems({ mti: '0200', fields: { ...PURCHASE, 13: '0229' } }), []);
+});
+
+test('rejects sub-fields that do not follow their layout', () => {
+  assert.deepEqual(problems({ mti: '0200', fields: { ...PURCHASE, 48: '848099SHORT' } }), [
+    [48, VALIDATION_ERRORS.INVALID_SUBFIELD],
+  ]);
+  assert.deepEqual(problems({ mti: '0200', fields: { ...PURCHASE, 112: 'E003D20141' } }), [
+    [112, VALIDATION_ERRORS.INVALID_SUBFIELD],
+  ]);
+  assert.deepEqual(problems({ mti: '0200', fields: { ...PURCHASE, 112: 'TWHAT_TRX' } }), [
+    [112, VALIDATION_ERRORS.INVALID_CONTENT],
+  ]);
+  const transactionType = { parameterName: 'TWHAT_TRX', transactionType: 'TIBFTA2A' };
+  assert.deepEqual(problems({ mti: '0200', fields: { ...PURCHASE, 112: transactionType } }), []);
+});
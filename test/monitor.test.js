@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SwitchMonitor } = require('../src/monitor');
+
+const ECHO = { mti: '0800', fields: { 7: '1019103015', 11: '000123', 70: '301' } };
+
+test('keeps only the last minute of message times', (t) => {
+  t.mock.timers.enable({ apis: ['Date'] });
+  const monitor = new SwitchMonitor({ getStatus: () => ({}) });
+
+  for (let second = 0; second < 90; second += 1) {
+    monitor.publishMessage({ transactionId: null, direction: 'in', link: 'ACQ_A', message: ECHO });
+    t.mock.timers.tick(1000);
+  }
+
+  assert.equal(monitor.messageTimes.length, 60);
+  assert.equal(monitor.getStats().messagesPerMinute, 59);
+  assert.equal(monitor.getStats().totalMessages, 90);
+});
+
+test('publishes card data masked', () => {
+  const monitor = new SwitchMonitor({ getStatus: () => ({}) });
+  const chunks = [];
+  monitor.clients.add({ write: (chunk) => chunks.push(chunk) });
+
+  const fields = {
+    2: '4111111111111111',
+    35: '4111111111111111=29121010000000000000',
+    52: '0123456789ABCDEF',
+    55: '9F2608123456789ABCDEF09F360200219F37041234567895050000000000',
+  };
+  monitor.publishMessage({ transactionId: 'T1', direction: 'in', link: 'ACQ_A', message: { mti: '0100', fields } });
+
+  const published = JSON.parse(chunks[0].split('data: ')[1]);
+  const values = Object.fromEntries(published.fields.map(({ field, value }) => [field, value]));
+  assert.deepEqual(values, {
+    2: '411111******1111',
+    35: '411111******1111',
+    52: '0'.repeat(16),
+    55: '0'.repeat(fields[55].length),
+  });
+});
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  calculateCvv,
+  verifyCvv,
+  calculatePvv,
+  verifyPvv,
+  calculateIbm3624Offset,
+  verifyIbm3624Pin,
+} = require('../../src/security/card-verification');
+
+const CVK = '0123456789ABCDEFFEDCBA9876543210';
+const PVK = '0123456789ABCDEF';
+
+test('CVV matches the published Visa example', () => {
+  const card = { cvk: CVK, pan: '4123456789012345', expiry: '8701', serviceCode: '101' };
+  assert.equal(calculateCvv(card), '561');
+  assert.equal(verifyCvv({ ...card, cvv: '561' }), true);
+  assert.equal(verifyCvv({ ...card, cvv: '562' }), false);
+  assert.throws(() => calculateCvv({ ...card, cvk: PVK }), /double-length CVK/);
+});
+
+test('PVV round trip and rejection of another PIN', () => {
+  const account = { pvk: CVK, accountNumber: '411111111111', pvki: '1' };
+  const pvv = calculatePvv({ ...account, pin: '1234' });
+  assert.match(pvv, /^\d{4}$/);
+  assert.equal(verifyPvv({ ...account, pin: '1234', pvv }), true);
+  assert.equal(verifyPvv({ ...account, pin: '1235', pvv }), false);
+});
+
+test('IBM 3624 offset round trip', () => {
+  const account = { pvk: PVK, validationData: '1234567890NNNNNN', accountNumber: '4111111111111111' };
+  const offset = calculateIbm3624Offset({ ...account, pin: '1234' });
+  assert.equal(offset, '7169');
+  assert.equal(verifyIbm3624Pin({ ...account, pin: '1234', offset }), true);
+  assert.equal(verifyIbm3624Pin({ ...account, pin: '4321', offset }), false);
+});
@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const {
+  deriveCardMasterKey,
+  deriveSessionKey,
+  calculateArqc,
+  verifyArqc,
+  generateArpc,
+} = require('../../src/security/cryptogram');
+
+const ISSUER_MASTER_KEY = '0123456789ABCDEFFEDCBA9876543210';
+const PAN = '4761739001010119';
+
+const TAGS = {
+  '9F02': '000000001000',
+  '9F03': '000000000000',
+  '9F1A': '0050',
+  95: '0000000000',
+  '5F2A': '0050',
+  '9A': '261019',
+  '9C': '00',
+  '9F37': '12345678',
+  82: '1800',
+  '9F36': '0021',
+  '9F10': '06010A03A000000F',
+  '5F34': '01',
+};
+
+// Two-key triple DES straight from OpenSSL, independent of src/security/crypto.js.
+function tripleDes(key, block) {
+  const cipher = crypto.createCipheriv('des-ede-ecb', Buffer.from(key, 'hex'), null);
+  cipher.setAutoPadding(false);
+  return Buffer.concat([cipher.update(Buffer.from(block, 'hex')), cipher.final()]).toString('hex').toUpperCase();
+}
+
+function withOddParity(hex) {
+  return Buffer.from(hex, 'hex')
+    .map((byte) => {
+      const bits = byte.toString(2).split('').filter((bit) => bit === '1').length;
+      return bits % 2 === 1 ? byte : byte ^ 0x01;
+    })
+    .toString('hex')
+    .toUpperCase();
+}
+
+function signTags(scheme, tags = TAGS) {
+  const key = scheme === 'CVN10'
+    ? deriveCardMasterKey(ISSUER_MASTER_KEY, PAN, tags['5F34'])
+    : deriveSessionKey(deriveCardMasterKey(ISSUER_MASTER_KEY, PAN, tags['5F34']), tags['9F36']);
+  return { ...tags, '9F26': calculateArqc(key, tags, scheme).toString('hex').toUpperCase() };
+}
+
+test('option A card master key derivation', () => {
+  const y = '4761739001010119'.slice(2) + '01';
+  const notY = Buffer.from(y, 'hex').map((byte) => byte ^ 0xff).toString('hex');
+  const expected = withOddParity(tripleDes(ISSUER_MASTER_KEY, y) + tripleDes(ISSUER_MASTER_KEY, notY));
+
+  assert.equal(deriveCardMasterKey(ISSUER_MASTER_KEY, PAN, '01').toString('hex').toUpperCase(), expected);
+});
+
+test('common session key derivation from the ATC', () => {
+  const cardMasterKey = deriveCardMasterKey(ISSUER_MASTER_KEY, PAN, '01');
+  const cardKeyHex = cardMasterKey.toString('hex');
+  const expected = tripleDes(cardKeyHex, '0021F00000000000') + tripleDes(cardKeyHex, '00210F0000000000');
+
+  assert.equal(deriveSessionKey(cardMasterKey, '0021').toString('hex').toUpperCase(), expected);
+});
+
+for (const scheme of ['CVN10', 'CSK']) {
+  test(`${scheme} ARQC verifies and fails once a tag is altered`, () => {
+    const tags = signTags(scheme);
+    const isValid = (overrides, pan = PAN) =>
+      verifyArqc({ issuerMasterKey: ISSUER_MASTER_KEY, scheme, pan, tags: { ...tags, ...overrides } }).valid;
+
+    assert.equal(isValid({}), true);
+    assert.equal(isValid({ '9F02': '000000002000' }), false);
+    assert.equal(isValid({}, '4761739001010127'), false);
+  });
+}
+
+test('CVN10 covers only the CVR from the issuer application data', () => {
+  const tags = signTags('CVN10');
+  const isValid = (iad) =>
+    verifyArqc({ issuerMasterKey: ISSUER_MASTER_KEY, scheme: 'CVN10', pan: PAN, tags: { ...tags, '9F10': iad } }).valid;
+
+  assert.equal(isValid('06010A03A000000E'), true);
+  assert.equal(isValid('06010A03A010000F'), false);
+});
+
+test('ARQC verification reports missing data and unknown schemes', () => {
+  const tags = signTags('CSK');
+  const verify = (overrides, scheme = 'CSK') => () =>
+    verifyArqc({ issuerMasterKey: ISSUER_MASTER_KEY, scheme, pan: PAN, tags: { ...tags, ...overrides } });
+
+  assert.throws(verify({ '9F26': undefined }), { code: 'MISSING_TAGS' });
+  assert.throws(verify({ '9F37': undefined }), { code: 'MISSING_TAGS' });
+  assert.throws(verify({}, 'CVN17'), { code: 'INVALID_SCHEME' });
+});
+
+test('ARPC method 1 is 3DES of the ARQC XOR the ARC', () => {
+  const key = deriveCardMasterKey(ISSUER_MASTER_KEY, PAN, '01');
+  const arqc = '8E19A8B2F3C4D5E6';
+  const block = (BigInt(`0x${arqc}`) ^ 0x3030000000000000n).toString(16).padStart(16, '0');
+
+  assert.deepEqual(generateArpc(key, arqc, '00'), { arpc: tripleDes(key.toString('hex'), block), arc: '3030' });
+  assert.equal(generateArpc(key, arqc, '05').arc, '3035');
+});
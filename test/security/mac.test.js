@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { encryptEcb, decryptEcb, calculateCheckValue } = require('../../src/security/crypto');
+const { calculateMac, verifyMac, signMessage, verifyMessageMac, hasField128 } = require('../../src/security/mac');
+const { Iso8583Codec } = require('../../src/iso8583/codec');
+const { NPSB_SPEC, extendSpec } = require('../../src/iso8583/spec');
+
+const DOUBLE_KEY = '0123456789ABCDEFFEDCBA9876543210';
+
+test('DES matches the FIPS 81 "Now is t" vector', () => {
+  const cipherText = encryptEcb('0123456789ABCDEF', Buffer.from('Now is t', 'ascii'));
+  assert.equal(cipherText.toString('hex').toUpperCase(), '3FA40E8A984D4815');
+  assert.equal(decryptEcb('0123456789ABCDEF', cipherText).toString('ascii'), 'Now is t');
+});
+
+test('key check value of the standard double-length test key', () => {
+  assert.equal(calculateCheckValue(DOUBLE_KEY), '08D7B4');
+});
+
+test('ISO 9797-1 algorithm 1 matches the ANSI X9.9 vector', () => {
+  const mac = calculateMac('0123456789ABCDEF', Buffer.from('7654321 Now is the time for ', 'ascii'), { algorithm: 1 });
+  assert.equal(mac.toString('hex').toUpperCase(), 'F1D30F6849312CA4');
+});
+
+test('ISO 9797-1 algorithm 3 matches the ANSI X9.19 vector', () => {
+  const data = Buffer.from('Now is the time for all ', 'ascii');
+  const mac = calculateMac(DOUBLE_KEY, data, { algorithm: 3 });
+  assert.equal(mac.toString('hex').toUpperCase(), 'A1C72E74EA3FA9B6');
+  assert.equal(verifyMac(DOUBLE_KEY, data, 'A1C72E74EA3FA9B6'), true);
+  assert.equal(verifyMac(DOUBLE_KEY, data, 'A1C72E74EA3FA9B7'), false);
+});
+
+test('algorithm 3 rejects a single-length key', () => {
+  assert.throws(() => calculateMac('0123456789ABCDEF', Buffer.alloc(8)), /double-length key/);
+});
+
+test('signMessage adds DE128 over the message and verifyMessageMac checks it', () => {
+  const codec = new Iso8583Codec();
+  const message = codec.pack({ mti: '0100', fields: { 2: '4111111111111111', 4: '000000001000', 11: '000001' } });
+  assert.equal(hasField128(message), false);
+
+  const signed = signMessage(DOUBLE_KEY, message);
+  assert.equal(hasField128(signed), true);
+  const mac = calculateMac(DOUBLE_KEY, signed.slice(0, signed.length - 8));
+  assert.equal(codec.unpack(signed).fields[128], mac.toString('hex').toUpperCase());
+  assert.equal(verifyMessageMac(DOUBLE_KEY, signed), true);
+
+  const tampered = Buffer.from(signed);
+  tampered[tampered.length - 12] ^= 0x01;
+  assert.equal(verifyMessageMac(DOUBLE_KEY, tampered), false);
+  assert.equal(verifyMessageMac(DOUBLE_KEY, message), false);
+});
+
+test('signing follows the link profile when given its codec', () => {
+  const codec = new Iso8583Codec(extendSpec(NPSB_SPEC, { bitmapEncoding: 'hex', charset: 'ebcdic' }));
+  const message = codec.pack({ mti: '0200', fields: { 3: '000000', 11: '000002' } });
+  const signed = signMessage(DOUBLE_KEY, message, { algorithm: 1, codec });
+  assert.equal(verifyMessageMac(DOUBLE_KEY, signed, { algorithm: 1, codec }), true);
+  assert.equal(codec.unpack(signed).fields[128].length, 16);
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { encryptEcb, decryptEcb } = require('../../src/security/crypto');
+const { encodePinBlock, decodePinBlock, translatePinBlock } = require('../../src/security/pin');
+
+const PAN = '4111111111111111';
+const ACQUIRER_ZPK = '0123456789ABCDEFFEDCBA9876543210';
+const ISSUER_ZPK = '89ABCDEF0123456776543210FEDCBA98';
+
+test('ISO 9564 format 0 PIN block for PIN 1234', () => {
+  // 041234FFFFFFFFFF XOR 0000111111111111 (rightmost 12 PAN digits without the check digit)
+  assert.equal(encodePinBlock('1234', 0, PAN).toString('hex').toUpperCase(), '041225EEEEEEEEEE');
+  assert.equal(decodePinBlock(Buffer.from('041225EEEEEEEEEE', 'hex'), 0, PAN), '1234');
+});
+
+test('formats 1 and 3 decode back to the PIN', () => {
+  assert.equal(decodePinBlock(encodePinBlock('98765', 1, PAN), 1, PAN), '98765');
+  const format3 = encodePinBlock('4321', 3, PAN);
+  assert.equal(decodePinBlock(format3, 3, PAN), '4321');
+});
+
+test('translates a format 0 block from the acquirer ZPK to the issuer ZPK', () => {
+  const pinBlock = encryptEcb(ACQUIRER_ZPK, Buffer.from('041225EEEEEEEEEE', 'hex')).toString('hex');
+  const translated = translatePinBlock({ pinBlock, pan: PAN, sourceKey: ACQUIRER_ZPK, destinationKey: ISSUER_ZPK });
+  assert.deepEqual(translated, encryptEcb(ISSUER_ZPK, Buffer.from('041225EEEEEEEEEE', 'hex')));
+});
+
+test('translates between formats', () => {
+  const pinBlock = encryptEcb(ACQUIRER_ZPK, encodePinBlock('1234', 0, PAN));
+  const translated = translatePinBlock({
+    pinBlock,
+    pan: PAN,
+    sourceKey: ACQUIRER_ZPK,
+    sourceFormat: 0,
+    destinationKey: ISSUER_ZPK,
+    destinationFormat: 3,
+  });
+  assert.equal(decodePinBlock(decryptEcb(ISSUER_ZPK, translated), 3, PAN), '1234');
+});
+
+test('translation errors carry the codes the switch maps to DE39', () => {
+  const pinBlock = encryptEcb(ACQUIRER_ZPK, encodePinBlock('1234', 0, PAN));
+  const translate = (options) => () =>
+    translatePinBlock({ pinBlock, pan: PAN, sourceKey: ACQUIRER_ZPK, destinationKey: ISSUER_ZPK, ...options });
+
+  assert.throws(translate({ pinBlock: '0000000000000000' }), { code: 'PIN_BLOCK_MISSING' });
+  assert.throws(translate({ destinationKey: null }), { code: 'INVALID_KEY' });
+  assert.throws(translate({ sourceKey: ISSUER_ZPK }), { code: 'INVALID_PIN_BLOCK' });
+  assert.throws(translate({ pinBlock: 'ABCD' }), { code: 'INVALID_PIN_BLOCK' });
+});
@@ -0,0 +1,307 @@
+// Runs the switch in the test process against a throwaway config directory
+// and talks to it over real sockets: acquirers dial the switch, issuers are
+// small servers the switch dials as outbound links. The switch reads its
+// settings from the environment when src/server.js is first required, so
+// each test file starts one switch.
+
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { Iso8583Codec } = require('../../src/iso8583/codec');
+const { DEFAULT_FRAMING, encodeFrame, readFrames } = require('../../src/framing');
+
+const codec = new Iso8583Codec();
+const WAIT_MS = 5000;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function getTransmissionDateTime(date = new Date()) {
+  const pad = (value) => `${value}`.padStart(2, '0');
+  return [date.getUTCMonth() + 1, date.getUTCDate(), date.getUTCHours(), date.getUTCMinutes(), date.getUTCSeconds()]
+    .map(pad)
+    .join('');
+}
+
+// A well-formed 0100 purchase; `stan` also makes DE37 unique.
+function buildPurchase(stan, overrides = {}) {
+  return {
+    2: '4111111111111111',
+    3: '000000',
+    4: '000000010000',
+    7: getTransmissionDateTime(),
+    11: stan,
+    12: '103015',
+    13: '1019',
+    32: '000015',
+    37: `6292${stan}00`,
+    41: 'TERM0001',
+    49: '050',
+    ...overrides,
+  };
+}
+
+// DE90 for a reversal of `request` (see buildOriginalDataElements in server.js).
+function buildOriginalData(mti, fields) {
+  return `${mti}${fields[11]}${fields[7]}${fields[32].padStart(11, '0')}${'0'.repeat(11)}`;
+}
+
+// One end of a link: frames, packs and queues whatever the switch sends. Peers
+// answer the switch's sign-on and echo tests themselves unless told not to.
+class Peer {
+  constructor(socket, { answerNetwork = true } = {}) {
+    this.socket = socket;
+    this.answerNetwork = answerNetwork;
+    this.received = [];
+    this.waiters = [];
+    this.buffer = Buffer.alloc(0);
+    socket.on('data', (chunk) => this.onData(chunk));
+    socket.on('error', () => {});
+  }
+
+  onData(chunk) {
+    const { messages, remaining } = readFrames(DEFAULT_FRAMING, Buffer.concat([this.buffer, chunk]));
+    this.buffer = remaining;
+    for (const payload of messages) {
+      const message = codec.unpack(payload);
+      if (this.answerNetwork && message.mti === '0800') {
+        this.send('0810', { 7: message.fields[7], 11: message.fields[11], 39: '00', 70: message.fields[70] });
+        continue;
+      }
+      this.received.push(message);
+      this.flush();
+    }
+  }
+
+  flush() {
+    for (const waiter of [...this.waiters]) {
+      const index = this.received.findIndex(waiter.predicate);
+      if (index !== -1) {
+        this.waiters.splice(this.waiters.indexOf(waiter), 1);
+        clearTimeout(waiter.timer);
+        waiter.resolve(this.received.splice(index, 1)[0]);
+      }
+    }
+  }
+
+  send(mti, fields) {
+    this.socket.write(encodeFrame(DEFAULT_FRAMING, codec.pack({ mti, fields })));
+  }
+
+  // The next message matching `predicate` (an MTI or a function).
+  next(predicate = () => true, timeoutMs = WAIT_MS) {
+    const matches = typeof predicate === 'string' ? (message) => message.mti === predicate : predicate;
+    return new Promise((resolve, reject) => {
+      const waiter = { predicate: matches, resolve };
+      waiter.timer = setTimeout(() => {
+        this.waiters.splice(this.waiters.indexOf(waiter), 1);
+        reject(new Error(`No matching message within ${timeoutMs}ms`));
+      }, timeoutMs);
+      this.waiters.push(waiter);
+      this.flush();
+    });
+  }
+
+  // Resolves true when nothing matching arrives within `ms`.
+  async silent(predicate, ms = 300) {
+    try {
+      await this.next(predicate, ms);
+      return false;
+    } catch (error) {
+      return true;
+    }
+  }
+
+  async request(mti, fields, responseMti = `${mti.slice(0, 2)}${Number(mti[2]) + 1}${mti[3]}`) {
+    this.send(mti, fields);
+    return this.next(responseMti);
+  }
+
+  close() {
+    this.socket.destroy();
+  }
+}
+
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+async function connect(port) {
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      return await new Promise((resolve, reject) => {
+        const socket = net.createConnection({ host: '127.0.0.1', port });
+        socket.once('connect', () => resolve(socket));
+        socket.once('error', reject);
+      });
+    } catch (error) {
+      if (attempt >= 20) throw error;
+      await sleep(25);
+    }
+  }
+}
+
+// options: { acquirers: { NAME: institutionId }, issuers: { NAME: institutionId },
+//   offlineIssuers: issuer links that never connect, links: extra settings by link name,
+//   routes, standIn, saf: entries already in the queue, keys: (KeyStore) => void, env }
+async function startSwitch(options = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'npsb-switch-'));
+  const file = (name) => path.join(dir, name);
+  const writeJson = (name, value) => fs.writeFileSync(file(name), JSON.stringify(value));
+
+  const issuerServers = {};
+  const issuerSockets = {};
+  const links = [];
+  for (const [name, institutionId] of Object.entries(options.acquirers ?? { ACQ_A: '000015' })) {
+    links.push({
+      name,
+      role: 'acquirer',
+      institutionId,
+      allowedAddresses: ['127.0.0.1'],
+      localPort: await getFreePort(),
+      ...options.links?.[name],
+    });
+  }
+  for (const [name, institutionId] of Object.entries(options.issuers ?? { ISSUER_A: '000095' })) {
+    const server = net.createServer((socket) => {
+      issuerSockets[name] = socket;
+      server.emit('peer', socket);
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    issuerServers[name] = server;
+    links.push({
+      name,
+      role: 'issuer',
+      institutionId,
+      allowedAddresses: ['127.0.0.1'],
+      outbound: { host: '127.0.0.1', port: server.address().port },
+      ...options.links?.[name],
+    });
+  }
+  for (const [name, institutionId] of Object.entries(options.offlineIssuers ?? {})) {
+    links.push({ name, role: 'issuer', institutionId, allowedAddresses: ['192.0.2.1'], ...options.links?.[name] });
+  }
+  writeJson('links.json', { links });
+  if (options.routes) writeJson('routes.json', { routes: options.routes });
+  if (options.standIn) writeJson('stand-in.json', options.standIn);
+
+  Object.assign(process.env, {
+    NPSB_PORT: '0',
+    NPSB_HOST: '127.0.0.1',
+    NPSB_MONITOR_PORT: '0',
+    NPSB_ECHO_INTERVAL_MS: '0',
+    NPSB_RECONNECT_MIN_MS: '50',
+    NPSB_PENDING_SWEEP_INTERVAL_MS: '25',
+    NPSB_SAF_INTERVAL_MS: '25',
+    NPSB_SAF_RETRY_MIN_MS: '200',
+    NPSB_LINKS_FILE: file('links.json'),
+    NPSB_ROUTES_FILE: file('routes.json'),
+    NPSB_STANDIN_FILE: file('stand-in.json'),
+    NPSB_STANDIN_STATE_FILE: file('stand-in-state.json'),
+    NPSB_SAF_FILE: file('saf-queue.json'),
+    NPSB_JOURNAL_FILE: file('journal.jsonl'),
+    NPSB_SETTLEMENT_FILE: file('settlement.json'),
+    NPSB_KEYSTORE_FILE: file('keystore.enc'),
+    ...options.env,
+  });
+  if (options.keys) {
+    const { KeyStore } = require('../../src/security/key-store');
+    const keyStore = new KeyStore(file('keystore.enc'), process.env.NPSB_KEYSTORE_PASSPHRASE);
+    options.keys(keyStore);
+    keyStore.save();
+  }
+  if (options.saf) {
+    writeJson('saf-queue.json', { entries: options.saf });
+  }
+
+  // The switch logs every message; keep it for assertions instead of the TAP output.
+  const logs = [];
+  const original = { log: console.log, warn: console.warn, error: console.error };
+  for (const level of Object.keys(original)) {
+    console[level] = (...args) => logs.push(args.map((arg) => (arg instanceof Error ? arg.stack : `${arg}`)).join(' '));
+  }
+
+  const switchModule = require('../../src/server');
+  const server = switchModule.startServer();
+
+  const issuers = {};
+  await Promise.all(
+    Object.entries(issuerServers).map(async ([name, issuerServer]) => {
+      const socket = issuerSockets[name] ?? (await new Promise((resolve) => issuerServer.once('peer', resolve)));
+      issuers[name] = new Peer(socket);
+      await issuers[name].request('0800', { 7: getTransmissionDateTime(), 11: '900001', 70: '301' });
+    }),
+  );
+
+  const acquirerPorts = Object.fromEntries(
+    links.filter((link) => link.role === 'acquirer').map((link) => [link.name, link.localPort]),
+  );
+  const peers = [...Object.values(issuers)];
+
+  return {
+    dir,
+    file,
+    logs,
+    issuers,
+    module: switchModule,
+
+    // Connects as an acquirer link and signs on unless told not to.
+    async connectAcquirer(name = Object.keys(acquirerPorts)[0], { signOn = true } = {}) {
+      const peer = new Peer(await connect(acquirerPorts[name]));
+      peers.push(peer);
+      if (signOn) {
+        const response = await peer.request('0800', { 7: getTransmissionDateTime(), 11: '800001', 70: '001' });
+        if (response.fields[39] !== '00') throw new Error(`Sign-on refused with DE39 ${response.fields[39]}`);
+      }
+      return peer;
+    },
+
+    // Waits for a log line matching `pattern`.
+    async waitForLog(pattern, timeoutMs = WAIT_MS) {
+      const deadline = Date.now() + timeoutMs;
+      while (Date.now() < deadline) {
+        const line = logs.find((entry) => pattern.test(entry));
+        if (line) return line;
+        await sleep(10);
+      }
+      throw new Error(`No log line matching ${pattern}`);
+    },
+
+    readJournal() {
+      const journalFile = file('journal.jsonl');
+      if (!fs.existsSync(journalFile)) return [];
+      return fs.readFileSync(journalFile, 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+    },
+
+    readJson(name) {
+      return JSON.parse(fs.readFileSync(file(name), 'utf8'));
+    },
+
+    async stop() {
+      peers.forEach((peer) => peer.close());
+      await new Promise((resolve) => server.close(resolve));
+      Object.values(issuerServers).forEach((issuerServer) => issuerServer.close());
+      await sleep(50); // the switch logs the disconnects
+      Object.assign(console, original);
+      fs.rmSync(dir, { recursive: true, force: true });
+    },
+  };
+}
+
+module.exports = {
+  Peer,
+  sleep,
+  getTransmissionDateTime,
+  buildPurchase,
+  buildOriginalData,
+  startSwitch,
+};
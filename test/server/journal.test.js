@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startSwitch, buildPurchase, buildOriginalData, getTransmissionDateTime } = require('./harness');
+
+let npsb;
+let acquirer;
+const issuer = () => npsb.issuers.ISSUER_A;
+
+test.before(async () => {
+  npsb = await startSwitch();
+  acquirer = await npsb.connectAcquirer();
+});
+
+test.after(() => npsb.stop());
+
+test('journals the lifecycle of a transaction and its reversal', async () => {
+  const purchase = buildPurchase('900001', { 52: '0123456789ABCDEF' });
+  acquirer.send('0100', purchase);
+  const forwarded = await issuer().next('0100');
+  issuer().send('0110', { ...forwarded.fields, 39: '00' });
+  await acquirer.next('0110');
+
+  const [approved] = npsb.module.queryTransactions({ rrn: purchase[37] });
+  assert.equal(approved.state, 'approved');
+  assert.equal(approved.pan, '411111******1111');
+  assert.deepEqual(approved.links, ['ACQ_A', 'ISSUER_A']);
+
+  const { events } = npsb.module.getTransaction(approved.id);
+  assert.deepEqual(
+    events.map(({ direction, mti, state }) => [direction, mti, state]),
+    [
+      ['in', '0100', 'received'],
+      ['out', '0100', 'forwarded'],
+      ['in', '0110', null],
+      ['out', '0110', 'approved'],
+    ],
+  );
+  for (const { raw } of events) {
+    assert.ok(!raw.includes(Buffer.from('4111111111111111').toString('hex').toUpperCase()), 'raw carries the PAN');
+    assert.ok(!raw.includes('0123456789ABCDEF'), 'raw carries the PIN block');
+  }
+
+  const original = buildOriginalData('0100', purchase);
+  acquirer.send('0400', { ...purchase, 7: getTransmissionDateTime(), 11: '900002', 90: original });
+  const reversal = await issuer().next('0400');
+  issuer().send('0410', { ...reversal.fields, 39: '00' });
+  await acquirer.next('0410');
+
+  const [reversed] = npsb.module.queryTransactions({ stan: '900002' });
+  assert.equal(reversed.id, approved.id);
+  assert.equal(reversed.state, 'reversed');
+  assert.equal(reversed.messageCount, 8);
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startSwitch, getTransmissionDateTime } = require('./harness');
+const { KeyStore } = require('../../src/security/key-store');
+const { encryptEcb, decryptEcb, generateKey, calculateCheckValue } = require('../../src/security/crypto');
+
+const PASSPHRASE = 'test passphrase';
+const ACQUIRER_ZMK = '0123456789ABCDEFFEDCBA9876543210';
+
+let npsb;
+let acquirer;
+
+test.before(async () => {
+  npsb = await startSwitch({
+    links: { ISSUER_A: { keyExchangeIntervalMs: 200 } },
+    env: { NPSB_KEYSTORE_PASSPHRASE: PASSPHRASE },
+    keys: (keyStore) => {
+      keyStore.setZmk('ACQ_A', ACQUIRER_ZMK);
+      keyStore.setZmk('ISSUER_A', 'FEDCBA98765432100123456789ABCDEF');
+    },
+  });
+  acquirer = await npsb.connectAcquirer();
+});
+
+test.after(() => npsb.stop());
+
+const storedKey = (linkName) =>
+  new KeyStore(npsb.file('keystore.enc'), PASSPHRASE).load().getWorkingKey(linkName, 'ZPK');
+
+const keyChange = (stan, keyBlock) =>
+  acquirer.request('0800', { 7: getTransmissionDateTime(), 11: stan, 48: keyBlock, 70: '161' });
+
+test('issues a working key under the ZMK on request (DE70 162)', async () => {
+  const response = await acquirer.request('0800', { 7: getTransmissionDateTime(), 11: '800101', 70: '162' });
+  assert.equal(response.fields[39], '00');
+
+  const { keyUnderZmk, keyType, checkValue } = response.subfields[48];
+  const key = decryptEcb(ACQUIRER_ZMK, Buffer.from(keyUnderZmk, 'hex'));
+  assert.equal(keyType, 'ZPK');
+  assert.equal(calculateCheckValue(key), checkValue);
+  assert.equal(storedKey('ACQ_A'), key.toString('hex').toUpperCase());
+});
+
+test('installs a key pushed by the peer once its check value verifies (DE70 161)', async () => {
+  const key = generateKey();
+  const keyUnderZmk = encryptEcb(ACQUIRER_ZMK, key).toString('hex').toUpperCase();
+
+  const wrong = await keyChange('800102', { keyUnderZmk, keyType: 'ZPK', checkValue: '000000' });
+  assert.equal(wrong.fields[39], '96');
+  assert.notEqual(storedKey('ACQ_A'), key.toString('hex').toUpperCase());
+
+  const right = await keyChange('800103', { keyUnderZmk, keyType: 'ZPK', checkValue: calculateCheckValue(key) });
+  assert.equal(right.fields[39], '00');
+  assert.equal(storedKey('ACQ_A'), key.toString('hex').toUpperCase());
+});
+
+test('sends its own key changes and installs them once the peer accepts', async () => {
+  await npsb.waitForLog(/Peer ISSUER_A accepted ZPK/);
+  // Keys keep rotating; whichever is stored now was logged as accepted.
+  const checkValue = calculateCheckValue(Buffer.from(storedKey('ISSUER_A'), 'hex'));
+  assert.ok(npsb.logs.some((line) => line.includes(`Peer ISSUER_A accepted ZPK KCV ${checkValue}`)));
+});
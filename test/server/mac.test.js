@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startSwitch, buildPurchase, buildOriginalData } = require('./harness');
+
+let npsb;
+let acquirer;
+const issuer = () => npsb.issuers.ISSUER_A;
+
+test.before(async () => {
+  npsb = await startSwitch({
+    links: { ISSUER_A: { macEnabled: true } },
+    env: { NPSB_KEYSTORE_PASSPHRASE: 'test passphrase' },
+    keys: (keyStore) => keyStore.installWorkingKey('ISSUER_A', 'ZAK', '0123456789ABCDEFFEDCBA9876543210'),
+  });
+  acquirer = await npsb.connectAcquirer();
+});
+
+test.after(() => npsb.stop());
+
+test('an issuer response that fails DE128 is declined and reversed at the issuer', async () => {
+  const purchase = buildPurchase('200001');
+  acquirer.send('0100', purchase);
+  const forwarded = await issuer().next('0100');
+  assert.match(forwarded.fields[128], /^[0-9A-F]{16}$/);
+
+  issuer().send('0110', { ...forwarded.fields, 39: '00', 128: '0000000000000000' });
+  const response = await acquirer.next('0110');
+  assert.equal(response.fields[39], 'A0');
+
+  const reversal = await issuer().next('0420');
+  assert.equal(reversal.fields[39], '68');
+  assert.equal(reversal.fields[90], buildOriginalData('0100', purchase));
+  assert.notEqual(reversal.fields[11], purchase[11]);
+
+  const inbound = npsb.readJournal().find((entry) => entry.mti === '0110' && entry.direction === 'in');
+  assert.match(inbound.note, /failed DE128 verification/);
+});
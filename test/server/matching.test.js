@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startSwitch, buildPurchase } = require('./harness');
+
+let npsb;
+let acquirerA;
+let acquirerB;
+const issuer = () => npsb.issuers.ISSUER_A;
+
+test.before(async () => {
+  npsb = await startSwitch({ acquirers: { ACQ_A: '000015', ACQ_B: '000016' } });
+  acquirerA = await npsb.connectAcquirer('ACQ_A');
+  acquirerB = await npsb.connectAcquirer('ACQ_B');
+});
+
+test.after(() => npsb.stop());
+
+test('responses go back to the acquirer that sent the request, whatever its STAN', async () => {
+  const fromA = buildPurchase('500001');
+  const fromB = buildPurchase('500001', { 7: fromA[7], 32: '000016', 37: '629250000102' });
+  acquirerA.send('0100', fromA);
+  const forwardedA = await issuer().next('0100');
+  acquirerB.send('0100', fromB);
+  const forwardedB = await issuer().next('0100');
+
+  issuer().send('0110', { ...forwardedB.fields, 39: '51' });
+  issuer().send('0110', { ...forwardedA.fields, 39: '00' });
+
+  const responseA = await acquirerA.next('0110');
+  const responseB = await acquirerB.next('0110');
+  assert.deepEqual([responseA.fields[32], responseA.fields[39]], ['000015', '00']);
+  assert.deepEqual([responseB.fields[32], responseB.fields[39]], ['000016', '51']);
+});
+
+test('a request already in flight is answered as a duplicate transmission', async () => {
+  const purchase = buildPurchase('500002');
+  acquirerA.send('0100', purchase);
+  const forwarded = await issuer().next('0100');
+
+  const duplicate = await acquirerA.request('0100', purchase);
+  assert.equal(duplicate.fields[39], '94');
+  assert.equal(await issuer().silent('0100'), true);
+
+  issuer().send('0110', { ...forwarded.fields, 39: '00' });
+  assert.equal((await acquirerA.next('0110')).fields[39], '00');
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startSwitch, buildPurchase, buildOriginalData, getTransmissionDateTime } = require('./harness');
+
+let npsb;
+let acquirerA;
+let acquirerB;
+const issuer = () => npsb.issuers.ISSUER_A;
+
+test.before(async () => {
+  npsb = await startSwitch({ acquirers: { ACQ_A: '000015', ACQ_B: '000016' } });
+  acquirerA = await npsb.connectAcquirer('ACQ_A');
+  acquirerB = await npsb.connectAcquirer('ACQ_B');
+});
+
+test.after(() => npsb.stop());
+
+async function approve(stan) {
+  const purchase = buildPurchase(stan);
+  acquirerA.send('0100', purchase);
+  const forwarded = await issuer().next('0100');
+  issuer().send('0110', { ...forwarded.fields, 39: '00' });
+  assert.equal((await acquirerA.next('0110')).fields[39], '00');
+  return purchase;
+}
+
+function buildReversal(original, stan, overrides = {}) {
+  return { ...original, 7: getTransmissionDateTime(), 11: stan, 90: buildOriginalData('0100', original), ...overrides };
+}
+
+test('a reversal is matched to its original through DE90 and forwarded', async () => {
+  const purchase = await approve('300001');
+
+  acquirerA.send('0400', buildReversal(purchase, '300002'));
+  const forwarded = await issuer().next('0400');
+  assert.equal(forwarded.fields[90], buildOriginalData('0100', purchase));
+
+  issuer().send('0410', { ...forwarded.fields, 39: '00' });
+  const response = await acquirerA.next('0410');
+  assert.equal(response.fields[11], '300002');
+  assert.equal(response.fields[39], '00');
+});
+
+test('a reversal whose DE90 matches nothing is answered with DE39 25', async () => {
+  const purchase = buildPurchase('300003');
+  const response = await acquirerA.request('0400', buildReversal(purchase, '300004'));
+  assert.equal(response.fields[39], '25');
+});
+
+test('another acquirer cannot reverse the original', async () => {
+  const purchase = await approve('300005');
+
+  const own = await acquirerB.request('0400', buildReversal(purchase, '300006', { 32: '000016' }));
+  assert.equal(own.fields[39], '12');
+  const spoofed = await acquirerB.request('0400', buildReversal(purchase, '300007'));
+  assert.equal(spoofed.fields[39], '12');
+  assert.equal(await issuer().silent('0400'), true);
+
+  acquirerA.send('0400', buildReversal(purchase, '300008'));
+  const forwarded = await issuer().next('0400');
+  assert.equal(forwarded.fields[11], '300008');
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startSwitch, buildPurchase } = require('./harness');
+
+let npsb;
+let acquirer;
+
+test.before(async () => {
+  npsb = await startSwitch({
+    issuers: { ISSUER_A: '000095', ISSUER_B: '000096' },
+    routes: [
+      { name: 'visa-a', issuer: 'ISSUER_A', binRanges: [{ low: '411111', high: '411119' }] },
+      { name: 'mastercard-b', issuer: 'ISSUER_B', binRanges: [{ low: '522222', high: '522222' }] },
+      { name: 'accounts-b', issuer: 'ISSUER_B', accountPrefixes: ['7770'] },
+    ],
+  });
+  acquirer = await npsb.connectAcquirer();
+});
+
+test.after(() => npsb.stop());
+
+async function expectRoutedTo(issuerName, request) {
+  acquirer.send('0100', request);
+  const forwarded = await npsb.issuers[issuerName].next('0100');
+  assert.equal(forwarded.fields[11], request[11]);
+  npsb.issuers[issuerName].send('0110', { ...forwarded.fields, 39: '00' });
+  assert.equal((await acquirer.next('0110')).fields[39], '00');
+}
+
+test('routes by the PAN BIN range', async () => {
+  await expectRoutedTo('ISSUER_A', buildPurchase('600001', { 2: '4111150000000001' }));
+  await expectRoutedTo('ISSUER_B', buildPurchase('600002', { 2: '5222220000000002' }));
+});
+
+test('routes transfers by the destination account in DE103 or DE47 PDS927', async () => {
+  const transfer = { 2: '6011000000000003', 3: '280000' };
+  await expectRoutedTo('ISSUER_B', buildPurchase('600003', { ...transfer, 103: '7770001234567' }));
+  await expectRoutedTo(
+    'ISSUER_B',
+    buildPurchase('600004', { ...transfer, 47: { counterpartAccount: '7770007654321' }, 103: '1000000000001' }),
+  );
+});
+
+test('answers DE39 15 when no route matches', async () => {
+  const response = await acquirer.request('0100', buildPurchase('600005', { 2: '6011000000000005' }));
+  assert.equal(response.fields[39], '15');
+  assert.equal(await npsb.issuers.ISSUER_A.silent('0100'), true);
+  assert.equal(await npsb.issuers.ISSUER_B.silent('0100'), true);
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startSwitch, buildPurchase, buildOriginalData } = require('./harness');
+
+// An 0420 left in the queue by a previous run of the switch.
+const QUEUED = {
+  id: 'queued-before-restart',
+  destination: 'ISSUER_A',
+  mti: '0420',
+  fields: { 7: '1019103015', 11: '000500', 32: '000015', 37: '629200050000', 39: '68', 90: '0'.repeat(42) },
+  reason: 'issuer timeout',
+  journalId: null,
+  journalState: null,
+  status: 'queued',
+  attempts: 0,
+  createdAt: new Date().toISOString(),
+  lastAttemptAt: null,
+  nextAttemptAt: 0,
+};
+
+let npsb;
+let acquirer;
+const issuer = () => npsb.issuers.ISSUER_A;
+
+test.before(async () => {
+  npsb = await startSwitch({ saf: [QUEUED], env: { NPSB_PENDING_TIMEOUT_MS: '300' } });
+  acquirer = await npsb.connectAcquirer();
+});
+
+test.after(() => npsb.stop());
+
+test('repeats a queued advice until the issuer acknowledges that advice', async () => {
+  const first = await issuer().next('0420');
+  assert.equal(first.fields[11], '000500');
+
+  const repeat = await issuer().next('0421');
+  assert.equal(repeat.fields[7], first.fields[7]);
+
+  issuer().send('0430', { 7: '1020000000', 11: '000500', 39: '00' });
+  await npsb.waitForLog(/Unmatched 0430 STAN 000500/);
+  assert.equal(npsb.readJson('saf-queue.json').entries.length, 1);
+
+  issuer().send('0430', { 7: first.fields[7], 11: '000500', 39: '00', 90: first.fields[90] });
+  await npsb.waitForLog(/acknowledged 0420 STAN 000500/);
+  assert.deepEqual(npsb.readJson('saf-queue.json').entries, []);
+});
+
+test('a timed-out request is declined with DE39 91 and reversed under a new switch STAN', async () => {
+  const purchase = buildPurchase('400001');
+  acquirer.send('0100', purchase);
+  await issuer().next('0100');
+
+  const response = await acquirer.next('0110');
+  assert.equal(response.fields[39], '91');
+
+  const reversal = await issuer().next('0420');
+  assert.equal(reversal.fields[90], buildOriginalData('0100', purchase));
+  assert.ok(Number(reversal.fields[11]) > 500, `STAN ${reversal.fields[11]} reuses a queued one`);
+
+  issuer().send('0430', { 7: reversal.fields[7], 11: reversal.fields[11], 39: '00' });
+  await npsb.waitForLog(new RegExp(`acknowledged 0420 STAN ${reversal.fields[11]}`));
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startSwitch, buildPurchase, getTransmissionDateTime } = require('./harness');
+const {
+  SETTLEMENT_CODES,
+  buildTotalsFields,
+  getSettlementDate,
+  parseCutoverTime,
+  toDe15,
+} = require('../../src/settlement');
+
+let npsb;
+let acquirer;
+let de15;
+const issuer = () => npsb.issuers.ISSUER_A;
+
+test.before(async () => {
+  npsb = await startSwitch({ env: { NPSB_CUTOVER_TIME: '18:00' } });
+  acquirer = await npsb.connectAcquirer();
+  de15 = toDe15(getSettlementDate(parseCutoverTime('18:00')));
+});
+
+test.after(() => npsb.stop());
+
+function totals({ credits = 0, debits = 0 }) {
+  const total = (amount) => ({ count: amount > 0 ? 1 : 0, amount });
+  return { credits: total(credits), creditReversals: total(0), debits: total(debits), debitReversals: total(0) };
+}
+
+const reconcile = (peer, stan, figures) =>
+  peer.request('0500', { 7: getTransmissionDateTime(), 11: stan, 15: de15, ...buildTotalsFields(figures) });
+
+test('stamps the settlement date on both legs of an approved transaction', async () => {
+  acquirer.send('0100', buildPurchase('950001'));
+  const forwarded = await issuer().next('0100');
+  assert.equal(forwarded.fields[15], de15);
+
+  issuer().send('0110', { ...forwarded.fields, 39: '00' });
+  const response = await acquirer.next('0110');
+  assert.equal(response.fields[15], de15);
+});
+
+test('0500 from each participant is compared with the switch totals', async () => {
+  const acquirerInBalance = await reconcile(acquirer, '950002', totals({ credits: 10000 }));
+  assert.equal(acquirerInBalance.mti, '0510');
+  assert.equal(acquirerInBalance.fields[39], '00');
+  assert.equal(acquirerInBalance.fields[66], SETTLEMENT_CODES.IN_BALANCE);
+
+  const issuerInBalance = await reconcile(issuer(), '950003', totals({ debits: 10000 }));
+  assert.equal(issuerInBalance.fields[66], SETTLEMENT_CODES.IN_BALANCE);
+  assert.equal(issuerInBalance.fields[88], '0000000000010000');
+
+  const outOfBalance = await reconcile(acquirer, '950004', totals({ credits: 9000 }));
+  assert.equal(outOfBalance.fields[66], SETTLEMENT_CODES.OUT_OF_BALANCE);
+  assert.equal(outOfBalance.fields[86], '0000000000010000');
+  await npsb.waitForLog(/Reconciliation ACQ_A .*: DE86 credits amount reported 9000, switch has 10000/);
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startSwitch, buildPurchase, getTransmissionDateTime } = require('./harness');
+
+let npsb;
+let acquirer;
+const issuer = () => npsb.issuers.ISSUER_A;
+
+test.before(async () => {
+  npsb = await startSwitch();
+  acquirer = await npsb.connectAcquirer('ACQ_A', { signOn: false });
+});
+
+test.after(() => npsb.stop());
+
+const networkRequest = (stan, infoCode) =>
+  acquirer.request('0800', { 7: getTransmissionDateTime(), 11: stan, 70: infoCode });
+
+test('declines financial traffic until the link signs on', async () => {
+  const response = await acquirer.request('0100', buildPurchase('700001'));
+  assert.equal(response.fields[39], '91');
+  assert.equal(await issuer().silent('0100'), true);
+});
+
+test('sign-on is answered with the request DE7 and DE11 and opens the link', async () => {
+  const request = { 7: getTransmissionDateTime(), 11: '700002', 70: '001' };
+  const response = await acquirer.request('0800', request);
+  assert.deepEqual([response.fields[7], response.fields[11], response.fields[39]], [request[7], '700002', '00']);
+  await npsb.waitForLog(/Link ACQ_A .* -> signed-on/);
+
+  acquirer.send('0100', buildPurchase('700003'));
+  const forwarded = await issuer().next('0100');
+  issuer().send('0110', { ...forwarded.fields, 39: '00' });
+  assert.equal((await acquirer.next('0110')).fields[39], '00');
+});
+
+test('sign-off closes the link again', async () => {
+  assert.equal((await networkRequest('700004', '002')).fields[39], '00');
+  await npsb.waitForLog(/Link ACQ_A .* -> signed-off/);
+
+  const response = await acquirer.request('0100', buildPurchase('700005'));
+  assert.equal(response.fields[39], '91');
+});
+
+test('echo tests are answered whatever the sign-on state', async () => {
+  assert.equal((await networkRequest('700006', '301')).fields[39], '00');
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startSwitch, buildPurchase, buildOriginalData, getTransmissionDateTime } = require('./harness');
+
+let npsb;
+let acquirer;
+
+test.before(async () => {
+  npsb = await startSwitch({
+    issuers: {},
+    offlineIssuers: { ISSUER_B: '000095' },
+    routes: [{ name: 'visa-b', issuer: 'ISSUER_B', binRanges: [{ low: '411111', high: '411111' }] }],
+    standIn: { issuers: { ISSUER_B: { enabled: true, maxAmount: 50000, dailyCountPerPan: 1 } } },
+  });
+  acquirer = await npsb.connectAcquirer();
+});
+
+test.after(() => npsb.stop());
+
+const safEntries = () => npsb.readJson('saf-queue.json').entries;
+
+test('approves for an unavailable issuer and advises it through SAF', async () => {
+  const response = await acquirer.request('0100', buildPurchase('100001'));
+  assert.equal(response.fields[39], '00');
+  assert.match(response.fields[38], /^\d{6}$/);
+
+  const advice = safEntries().find((entry) => entry.fields[37] === '629210000100');
+  assert.equal(advice.mti, '0120');
+  assert.equal(advice.destination, 'ISSUER_B');
+  assert.equal(advice.fields[38], response.fields[38]);
+  assert.notEqual(advice.fields[11], '100001');
+});
+
+test('declines outside the issuer rules', async () => {
+  const response = await acquirer.request('0100', buildPurchase('100002', { 4: '000000090000' }));
+  assert.equal(response.fields[39], '61');
+});
+
+test('a reversal of a stand-in approval is queued and gives back the velocity', async () => {
+  const approval = buildPurchase('100003', { 2: '4111110000000003' });
+  assert.equal((await acquirer.request('0100', approval)).fields[39], '00');
+  const limited = await acquirer.request('0100', buildPurchase('100004', { 2: '4111110000000003' }));
+  assert.equal(limited.fields[39], '65');
+
+  const reversal = await acquirer.request('0400', {
+    ...approval,
+    7: getTransmissionDateTime(),
+    11: '100005',
+    90: buildOriginalData('0100', approval),
+  });
+  assert.equal(reversal.mti, '0410');
+  assert.equal(reversal.fields[39], '00');
+
+  const queued = safEntries().find((entry) => entry.mti === '0420');
+  assert.equal(queued.destination, 'ISSUER_B');
+  assert.equal(queued.fields[90], buildOriginalData('0100', approval));
+
+  const { days, settlementDate } = npsb.readJson('settlement.json');
+  assert.deepEqual(days[settlementDate].ACQ_A.creditReversals, { count: 1, amount: 10000 });
+
+  const again = await acquirer.request('0100', buildPurchase('100006', { 2: '4111110000000003' }));
+  assert.equal(again.fields[39], '00');
+
+  const repeat = await acquirer.request('0400', {
+    ...approval,
+    7: getTransmissionDateTime(),
+    11: '100007',
+    90: buildOriginalData('0100', approval),
+  });
+  assert.equal(repeat.fields[39], '00');
+  assert.equal(safEntries().filter((entry) => entry.mti === '0420').length, 1);
+});
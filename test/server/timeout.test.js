@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startSwitch, buildPurchase, buildOriginalData } = require('./harness');
+
+let npsb;
+let acquirer;
+const issuer = () => npsb.issuers.ISSUER_A;
+
+test.before(async () => {
+  npsb = await startSwitch({ env: { NPSB_PENDING_TIMEOUT_MS: '300' } });
+  acquirer = await npsb.connectAcquirer();
+});
+
+test.after(() => npsb.stop());
+
+test('an unanswered request is declined with DE39 91 and reversed at the issuer', async () => {
+  const purchase = buildPurchase('110001');
+  acquirer.send('0100', purchase);
+  const forwarded = await issuer().next('0100');
+
+  const response = await acquirer.next('0110');
+  assert.equal(response.fields[11], '110001');
+  assert.equal(response.fields[39], '91');
+
+  const reversal = await issuer().next('0420');
+  assert.equal(reversal.fields[39], '68');
+  assert.equal(reversal.fields[90], buildOriginalData('0100', purchase));
+
+  // The acquirer already has its answer, so a late approval goes nowhere.
+  issuer().send('0110', { ...forwarded.fields, 39: '00' });
+  await npsb.waitForLog(/No pending acquirer request for STAN 110001/);
+  assert.equal(await acquirer.silent('0110'), true);
+});